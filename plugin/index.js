@@ -8,6 +8,11 @@ const VoyageManager = require('./lib/voyageManager');
 const DeltaPublisher = require('./lib/publisher');
 const PositionTracker = require('./lib/positionTracker');
 const FreeboardSync = require('./lib/freeboardSync');
+const BackupManager = require('./lib/backup');
+const PressureTrend = require('./lib/pressureTrend');
+const Clock = require('./lib/clock');
+const TrackRetention = require('./lib/trackRetention');
+const VesselState = require('./lib/vesselState');
 const registerRoutes = require('./lib/routes');
 const NoonReportHandler = require('./lib/noonReportHandler');
 
@@ -31,13 +36,15 @@ module.exports = function (app) {
     noonReportHandler: null,
     positionTracker: null,
     freeboardSync: null,
+    backupManager: null,
+    pressureTrend: null,
+    clock: null,
+    trackRetention: null,
+    vesselState: null,
 
     // Current options
     options: {},
 
-    // Pending log text (submitted before noon)
-    pendingLogText: null,
-
     /**
      * Start the plugin
      */
@@ -48,7 +55,7 @@ module.exports = function (app) {
 
       try {
         // Initialize storage (async with sql.js)
-        plugin.storage = new LogStorage(app);
+        plugin.storage = new LogStorage(app, options);
         const storageInit = await plugin.storage.init();
         if (!storageInit) {
           app.setPluginError('Failed to initialize storage');
@@ -65,11 +72,24 @@ module.exports = function (app) {
         }
 
         // Initialize all components
-        plugin.voyageManager = new VoyageManager(plugin.storage);
+        plugin.voyageManager = new VoyageManager(plugin.storage, options);
         plugin.distanceCalculator = new DistanceCalculator(app, plugin.storage);
         plugin.dataCollector = new DataCollector(app, options);
+        plugin.dataCollector.startIntervalStats();
+
+        // Timestamps come from GNSS time when available; reports wait for a trusted clock
+        plugin.clock = new Clock(app, plugin);
+        plugin.dataCollector.clock = plugin.clock;
+        plugin.clock.start();
         plugin.publisher = new DeltaPublisher(app, plugin);
 
+        // Restore pending log status — the entry itself survives restarts in the database
+        const pendingLog = plugin.storage.getPendingLog();
+        if (pendingLog) {
+          app.debug(`Pending log entry restored (submitted ${new Date(pendingLog.submitted_at * 1000).toISOString()})`);
+        }
+        plugin.publisher.publishPendingLog(pendingLog ? pendingLog.log_text : null);
+
         // Initialize noon report handler
         plugin.noonReportHandler = new NoonReportHandler(app, plugin);
 
@@ -85,6 +105,22 @@ module.exports = function (app) {
         // Initialize Freeboard-SK sync (start deferred until position is available)
         plugin.freeboardSync = new FreeboardSync(app, plugin, plugin.storage);
 
+        // Scheduled backups run whether or not a voyage is active
+        plugin.backupManager = new BackupManager(app, plugin);
+        plugin.backupManager.start();
+
+        // The barometer is watched for storm warnings whether or not a voyage is active
+        plugin.pressureTrend = new PressureTrend(app, plugin);
+        plugin.pressureTrend.start();
+
+        // Old track points are thinned whether or not a voyage is active
+        plugin.trackRetention = new TrackRetention(app, plugin);
+        plugin.trackRetention.start();
+
+        // Under way, anchored and moored are logged as they happen
+        plugin.vesselState = new VesselState(app, plugin);
+        plugin.vesselState.start();
+
         // Only start scheduler if there is an active voyage
         if (activeVoyage) {
           await plugin.waitForPosition();
@@ -110,10 +146,34 @@ module.exports = function (app) {
         plugin.positionTracker.stop();
       }
 
+      if (plugin.dataCollector) {
+        plugin.dataCollector.stopIntervalStats();
+      }
+
+      if (plugin.clock) {
+        plugin.clock.stop();
+      }
+
       if (plugin.freeboardSync) {
         plugin.freeboardSync.stop();
       }
 
+      if (plugin.backupManager) {
+        plugin.backupManager.stop();
+      }
+
+      if (plugin.pressureTrend) {
+        plugin.pressureTrend.stop();
+      }
+
+      if (plugin.trackRetention) {
+        plugin.trackRetention.stop();
+      }
+
+      if (plugin.vesselState) {
+        plugin.vesselState.stop();
+      }
+
       if (plugin.mailer) {
         plugin.mailer.close();
       }
@@ -176,7 +236,8 @@ module.exports = function (app) {
       plugin.scheduler = new ReportScheduler(
         app, 
         plugin.options, 
-        plugin.noonReportHandler.handleNoonReport.bind(plugin.noonReportHandler)
+        plugin.noonReportHandler.handleNoonReport.bind(plugin.noonReportHandler),
+        plugin.clock
       );
       plugin.scheduler.start();
 
@@ -0,0 +1,285 @@
+/**
+ * Logbook Backup Module
+ * Consistent database snapshots for download, restore from an uploaded
+ * snapshot, and scheduled rotating backups with optional email delivery
+ */
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DatabaseSync } = require('node:sqlite');
+const { MIGRATIONS } = require('./data/migrations');
+
+const BACKUP_PREFIX = 'noon-log-';
+const RESTORE_PREFIX = 'pre-restore-';
+const BACKUP_SUFFIX = '.db';
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // Check hourly whether a backup is due
+const REQUIRED_TABLES = ['schema_version', 'log_entries', 'voyage_info'];
+const MAX_UPLOAD_BYTES = 500 * 1024 * 1024;
+const STAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/;
+
+/**
+ * Filename stamp for a time, e.g. 2023-11-14T12-00-00-000Z
+ * @param {number} ms - Unix time in milliseconds
+ * @returns {string}
+ */
+function formatStamp(ms) {
+  return new Date(ms).toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Time a backup was written, read back from its filename stamp
+ * @param {string} stamp - Filename without its prefix
+ * @returns {number|null} Unix time in milliseconds
+ */
+function parseStamp(stamp) {
+  const match = STAMP_PATTERN.exec(stamp);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second, ms] = match.slice(1).map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second, ms);
+}
+
+class BackupManager {
+  constructor(app, plugin) {
+    this.app = app;
+    this.plugin = plugin;
+    this.timer = null;
+    this.backupDir = path.join(app.getDataDirPath(), 'backups');
+  }
+
+  get settings() {
+    return {
+      enabled: true,
+      intervalHours: 24,
+      keepCopies: 7,
+      emailBackup: false,
+      emailTo: '',
+      ...this.plugin.options.backup
+    };
+  }
+
+  /**
+   * Start scheduled backups
+   */
+  start() {
+    if (!this.settings.enabled) {
+      this.app.debug('Scheduled backups not enabled');
+      return;
+    }
+
+    this.app.debug(`Starting scheduled backups every ${this.settings.intervalHours}h, keeping ${this.settings.keepCopies}`);
+    this.runIfDue();
+    this.timer = setInterval(() => this.runIfDue(), CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Stop scheduled backups
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.app.debug('Scheduled backups stopped');
+    }
+  }
+
+  /**
+   * Current time from the trusted clock
+   * @returns {number} Unix time in milliseconds
+   */
+  now() {
+    return this.plugin.clock ? this.plugin.clock.now() : Date.now();
+  }
+
+  /**
+   * Run a scheduled backup if the newest local copy is older than the interval
+   */
+  async runIfDue() {
+    try {
+      const latest = this.listBackups()[0];
+      const intervalMs = this.settings.intervalHours * 60 * 60 * 1000;
+      if (latest && this.now() - latest.createdAt < intervalMs) return;
+      await this.runScheduledBackup();
+    } catch (error) {
+      this.app.error(`Scheduled backup failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a rotating local backup and email it if configured
+   * @returns {Promise<Object>} { file, emailed, removed }
+   */
+  async runScheduledBackup() {
+    const filePath = this.createSnapshot(this.backupDir);
+    const removed = this.rotate();
+    this.app.debug(`Backup written: ${filePath}${removed.length ? `, removed ${removed.length} old cop${removed.length !== 1 ? 'ies' : 'y'}` : ''}`);
+
+    let emailed = false;
+    if (this.settings.emailBackup) {
+      if (!this.plugin.mailer) {
+        this.app.error('Backup email enabled but email is not configured');
+      } else {
+        const result = await this.plugin.mailer.sendBackup(filePath, this.settings.emailTo || null);
+        emailed = result.success;
+        if (!result.success) {
+          this.app.error(`Backup email failed: ${result.error}`);
+        }
+      }
+    }
+
+    return { file: path.basename(filePath), emailed, removed };
+  }
+
+  /**
+   * Write a consistent snapshot of the logbook
+   * @param {string} dir - Directory to write into
+   * @returns {string} Snapshot file path
+   */
+  createSnapshot(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = formatStamp(this.now());
+    let filePath = path.join(dir, `${BACKUP_PREFIX}${stamp}${BACKUP_SUFFIX}`);
+    for (let n = 1; fs.existsSync(filePath); n++) {
+      filePath = path.join(dir, `${BACKUP_PREFIX}${stamp}-${n}${BACKUP_SUFFIX}`);
+    }
+    this.plugin.storage.writeSnapshot(filePath);
+    return filePath;
+  }
+
+  /**
+   * Local backups, newest first. The time written is taken from the filename
+   * stamp, so a clock that was wrong when a file was touched does not reorder them.
+   *
+   * @param {string} prefix - Which copies to list (scheduled backups by default)
+   * @returns {Array} [{ file, path, size, createdAt }]
+   */
+  listBackups(prefix = BACKUP_PREFIX) {
+    if (!fs.existsSync(this.backupDir)) return [];
+
+    return fs.readdirSync(this.backupDir)
+      .filter(file => file.startsWith(prefix) && file.endsWith(BACKUP_SUFFIX))
+      .map(file => {
+        const filePath = path.join(this.backupDir, file);
+        const stat = fs.statSync(filePath);
+        const createdAt = parseStamp(file.slice(prefix.length)) ?? stat.mtimeMs;
+        return { file, path: filePath, size: stat.size, createdAt };
+      })
+      .sort((a, b) => b.createdAt - a.createdAt || b.file.localeCompare(a.file));
+  }
+
+  /**
+   * Delete local backups, and copies kept before a restore, beyond the
+   * configured number of each
+   * @returns {Array<string>} Removed file names
+   */
+  rotate() {
+    const keep = Math.max(1, this.settings.keepCopies);
+    const excess = [
+      ...this.listBackups().slice(keep),
+      ...this.listBackups(RESTORE_PREFIX).slice(keep)
+    ];
+    for (const backup of excess) {
+      fs.unlinkSync(backup.path);
+    }
+    return excess.map(backup => backup.file);
+  }
+
+  /**
+   * Check that a file is an intact noon log database this version can open
+   * @param {string} filePath - Candidate snapshot
+   * @returns {Object} { valid, error, schemaVersion, logCount }
+   */
+  validateSnapshot(filePath) {
+    let db = null;
+    try {
+      db = new DatabaseSync(filePath, { readOnly: true });
+
+      const integrity = db.prepare('PRAGMA integrity_check').get();
+      if (integrity?.integrity_check !== 'ok') {
+        return { valid: false, error: 'Database failed integrity check' };
+      }
+
+      const tables = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(row => row.name);
+      const missing = REQUIRED_TABLES.filter(table => !tables.includes(table));
+      if (missing.length > 0) {
+        return { valid: false, error: `Not a noon log database (missing ${missing.join(', ')})` };
+      }
+
+      const schemaVersion = db.prepare('SELECT MAX(version) as version FROM schema_version').get().version || 0;
+      const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+      if (schemaVersion > latestVersion) {
+        return { valid: false, error: `Backup is from a newer plugin version (schema ${schemaVersion}, this version supports ${latestVersion})` };
+      }
+
+      const logCount = db.prepare('SELECT COUNT(*) as count FROM log_entries').get().count;
+      return { valid: true, schemaVersion, logCount };
+    } catch (error) {
+      return { valid: false, error: `Not a readable SQLite database: ${error.message}` };
+    } finally {
+      if (db) db.close();
+    }
+  }
+
+  /**
+   * Replace the logbook with an uploaded snapshot. The upload is streamed to
+   * a file and checked there, never held in memory. The current logbook is
+   * kept in the backup directory first.
+   *
+   * @param {stream.Readable} upload - Uploaded database file
+   * @returns {Promise<Object>} { restoredLogs, schemaVersion, previous }
+   */
+  async restore(upload) {
+    fs.mkdirSync(this.backupDir, { recursive: true });
+    const uploadPath = path.join(this.backupDir, `upload-${Date.now()}${BACKUP_SUFFIX}`);
+
+    try {
+      await this.saveUpload(upload, uploadPath);
+      const validation = this.validateSnapshot(uploadPath);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      const safetyPath = path.join(this.backupDir, `${RESTORE_PREFIX}${formatStamp(this.now())}${BACKUP_SUFFIX}`);
+      this.plugin.storage.replaceWithSnapshot(uploadPath, safetyPath);
+      this.rotate();
+
+      this.app.debug(`Logbook restored from upload (${validation.logCount} entries), previous logbook kept at ${safetyPath}`);
+      return {
+        restoredLogs: validation.logCount,
+        schemaVersion: this.plugin.storage.getSchemaVersion(),
+        previous: path.basename(safetyPath)
+      };
+    } finally {
+      fs.rmSync(uploadPath, { force: true });
+    }
+  }
+
+  /**
+   * Write an upload to a file. Past MAX_UPLOAD_BYTES the rest is read and
+   * dropped, so the client still gets an answer rather than a reset connection.
+   *
+   * @param {stream.Readable} upload - Uploaded file
+   * @param {string} filePath - Where to write it
+   */
+  async saveUpload(upload, filePath) {
+    let size = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, size <= MAX_UPLOAD_BYTES ? chunk : null);
+      }
+    });
+    await pipeline(upload, limit, fs.createWriteStream(filePath));
+
+    if (size === 0) {
+      throw new Error('Upload the database file as the request body (application/octet-stream)');
+    }
+    if (size > MAX_UPLOAD_BYTES) {
+      throw new Error(`Upload is too large to be a logbook database (max ${MAX_UPLOAD_BYTES / 1024 / 1024} MB)`);
+    }
+  }
+}
+
+BackupManager.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+
+module.exports = BackupManager;
@@ -0,0 +1,218 @@
+/**
+ * Trusted Clock Module
+ * Prefers GNSS time (navigation.datetime) over the system clock, detects
+ * system clock jumps, reports whether the time can be trusted yet, and
+ * repairs entries shown to have been written while the clock was wrong
+ */
+const { performance } = require('perf_hooks');
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+const JUMP_THRESHOLD_MS = 2 * 60 * 1000; // Smaller differences are drift, not a wrong clock
+const GNSS_MAX_AGE_SECONDS = 60;
+const MIN_PLAUSIBLE_MS = Date.UTC(2024, 0, 1); // No log is written before this plugin version existed
+const MAX_FUTURE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Whether a time could be the real date
+ * @param {number} ms - Milliseconds since the epoch
+ * @returns {boolean} False for the 1970 of a Pi without a real-time clock
+ */
+function isPlausible(ms) {
+  return Number.isFinite(ms) && ms >= MIN_PLAUSIBLE_MS;
+}
+
+class Clock {
+  constructor(app, plugin) {
+    this.app = app;
+    this.plugin = plugin;
+    this.timer = null;
+    this.gnssOffset = null; // GNSS time minus system time (ms), once known
+    this.lastSample = null;
+    this.uncorrectedSince = Date.now(); // System time from which entries were written on the uncorrected system clock
+    this.trusted = null;
+    this.implausibleRepaired = false;
+  }
+
+  get useGnss() {
+    return (this.plugin.options.timeSource || 'gnss') === 'gnss';
+  }
+
+  /**
+   * Start watching the clock
+   */
+  start() {
+    this.app.debug(`Clock: ${this.useGnss ? 'preferring GNSS time' : 'using the system clock'}`);
+    this.check();
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Stop watching the clock
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Current time, corrected to GNSS time when it is known
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return this.fromSystemTime(Date.now());
+  }
+
+  /**
+   * A time read from the system clock, corrected to GNSS time when it is known
+   * @param {number} ms - System time (ms since the epoch)
+   * @returns {number} Milliseconds since the epoch
+   */
+  fromSystemTime(ms) {
+    return ms + (this.useGnss && this.gnssOffset !== null ? this.gnssOffset : 0);
+  }
+
+  /**
+   * Whether timestamps can be trusted: GNSS time is known, or the system
+   * clock at least shows a plausible date
+   * @returns {boolean}
+   */
+  isTrusted() {
+    if (this.useGnss && this.gnssOffset !== null) return true;
+    return isPlausible(Date.now());
+  }
+
+  /**
+   * Look for a system clock jump and take in the latest GNSS time
+   */
+  check() {
+    try {
+      const wall = Date.now();
+      const mono = performance.now();
+
+      if (this.lastSample) {
+        const expected = this.lastSample.wall + (mono - this.lastSample.mono);
+        const jump = wall - expected;
+        if (Math.abs(jump) > JUMP_THRESHOLD_MS) {
+          this.handleJump(jump);
+        }
+      }
+      this.lastSample = { wall, mono };
+
+      if (this.useGnss) {
+        this.takeGnssTime(wall);
+      }
+
+      const trusted = this.isTrusted();
+      if (trusted !== this.trusted) {
+        // A clock that was wrong has been put right; a clock trusted from the start proves nothing
+        const wasWrong = this.trusted === false;
+        this.trusted = trusted;
+        if (trusted) {
+          this.app.debug(`Clock trusted: ${new Date(this.now()).toISOString()}${this.gnssOffset !== null ? ' (GNSS)' : ''}`);
+          // Report statistics run from here, not from a time read off an untrusted clock
+          this.plugin.dataCollector.resetIntervalStats();
+          if (wasWrong) {
+            // Replaces the error shown while reports were held
+            this.app.setPluginStatus(`Clock set to ${new Date(this.now()).toISOString()} — reports resumed`);
+            this.repairImplausible();
+          }
+        } else {
+          this.app.setPluginError(`System clock reads ${new Date(wall).toISOString()} — reports are held until GNSS time or a plausible clock is available`);
+        }
+      }
+    } catch (error) {
+      this.app.error(`Clock check failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use navigation.datetime from the GNSS, if fresh
+   * @param {number} wall - System time of this check
+   */
+  takeGnssTime(wall) {
+    const reading = this.plugin.dataCollector.getReading('navigation.datetime', { maxAge: GNSS_MAX_AGE_SECONDS });
+    const gnssMs = typeof reading?.value === 'string' ? Date.parse(reading.value) : NaN;
+    if (!isPlausible(gnssMs)) return;
+
+    // The GNSS time was current when the server received it
+    const receivedAt = Date.parse(reading.timestamp);
+    const offset = gnssMs - (Number.isFinite(receivedAt) ? receivedAt : wall);
+    const first = this.gnssOffset === null;
+    const wasOff = first && Math.abs(offset) > JUMP_THRESHOLD_MS;
+    if (wasOff) {
+      // Everything written on the current system clock was off by this much
+      this.app.debug(`System clock is ${(offset / 1000).toFixed(0)} s off GNSS time`);
+      this.repair(this.uncorrectedSince, wall, offset, `System clock was ${this.describeShift(offset)} GNSS time`);
+    }
+    this.gnssOffset = offset;
+    if (wasOff) this.plugin.dataCollector.resetIntervalStats();
+    if (first) this.repairImplausible();
+  }
+
+  /**
+   * The system clock moved by more than the time that passed. This may be
+   * a correction (NTP, set by hand) but also a suspend and resume, so the
+   * entries already written are left alone: only GNSS time or an
+   * impossible date proves them wrong.
+   *
+   * @param {number} jump - Size of the step (ms)
+   */
+  handleJump(jump) {
+    this.app.error(`System clock jumped by ${(jump / 1000).toFixed(0)} s — entries already written are left as they are`);
+
+    if (this.useGnss && this.gnssOffset !== null) {
+      // Entries were written on GNSS time; only the offset to the system clock moved
+      this.gnssOffset -= jump;
+      return;
+    }
+
+    // What follows is on a different system clock from what came before
+    this.uncorrectedSince = Date.now();
+  }
+
+  /**
+   * Shift what was written on the wrong clock
+   * @param {number} fromMs - Wrong-clock time the period started
+   * @param {number} toMs - Wrong-clock time the period ended
+   * @param {number} shiftMs - Correction to add
+   * @param {string} reason - Recorded with each corrected log entry
+   */
+  repair(fromMs, toMs, shiftMs, reason) {
+    if (!this.plugin.storage) return;
+    const result = this.plugin.storage.shiftTimestamps(
+      Math.floor(fromMs / 1000), Math.ceil(toMs / 1000), Math.round(shiftMs / 1000), reason
+    );
+    if (result.logs + result.points > 0) {
+      this.app.debug(`Clock correction: ${result.logs} log entries and ${result.points} track points re-dated`);
+    }
+  }
+
+  /**
+   * Re-date anything left with an impossible date. Runs once, when the time
+   * is first known to be right — GNSS time arrives or a wrong clock is set.
+   */
+  repairImplausible() {
+    if (!this.plugin.storage || this.implausibleRepaired) return;
+    this.implausibleRepaired = true;
+    const now = Math.floor(this.now() / 1000);
+    const result = this.plugin.storage.repairImplausibleTimestamps(
+      Math.floor(MIN_PLAUSIBLE_MS / 1000), now + MAX_FUTURE_SECONDS, 'Written with an implausible system clock', now
+    );
+    if (result.logs + result.points > 0) {
+      this.app.debug(`Re-dated ${result.logs} log entries and ${result.points} track points with implausible timestamps`);
+    }
+  }
+
+  // e.g. '3.0 hours behind' for a clock that needed 3 hours added
+  describeShift(ms) {
+    const hours = Math.abs(ms) / 3600000;
+    const size = hours >= 48 ? `${(hours / 24).toFixed(0)} days` : hours >= 1 ? `${hours.toFixed(1)} hours` : `${(Math.abs(ms) / 60000).toFixed(0)} minutes`;
+    return `${size} ${ms > 0 ? 'behind' : 'ahead'}`;
+  }
+}
+
+Clock.isPlausible = isPlausible;
+
+module.exports = Clock;
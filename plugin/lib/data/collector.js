@@ -2,21 +2,30 @@
  * Collects data from SignalK paths
  */
 
-// FIX #9: Define conversion constants at top of file
-const CONVERSIONS = {
-  KELVIN_TO_CELSIUS: 273.15,
-  CELSIUS_TO_FAHRENHEIT_MULT: 9 / 5,
-  CELSIUS_TO_FAHRENHEIT_ADD: 32,
-  MS_TO_KNOTS: 1.94384,
-  MS_TO_KMH: 3.6,
-  PASCAL_TO_HPA: 0.01,
-  PASCAL_TO_INHG: 0.0002953,
-  METERS_TO_FEET: 3.28084,
-  METERS_TO_KM: 0.001,
-  METERS_TO_NM: 1 / 1852,
-  RADIANS_TO_DEGREES: 180 / Math.PI,
-  MINUTES_PER_DEGREE: 60
-};
+const { CONVERSIONS, pathMatches } = require('./units');
+const DerivedFields = require('./derived');
+const DeadReckoning = require('./deadReckoning');
+const { checkFix } = require('./fixFilter');
+
+// Minimum spacing of samples for interval statistics
+const STATS_SAMPLE_PERIOD_MS = 1000;
+
+// Keys of a SignalK tree node that hold data about the node, not child paths
+const NODE_KEYS = new Set(['value', 'values', 'meta', '$source', 'timestamp', 'pgn', 'sentence']);
+
+// Readings older than this are treated as missing unless configured otherwise
+const DEFAULT_MAX_AGE_SECONDS = 3600;
+
+/**
+ * Parse a preferred-source setting into an ordered list
+ * @param {string|Array} sources - "n2k.115, nmea0183.GP" or an array
+ * @returns {Array<string>} Sources, most preferred first
+ */
+function parseSources(sources) {
+  if (Array.isArray(sources)) return sources.filter(Boolean);
+  if (typeof sources !== 'string') return [];
+  return sources.split(',').map(source => source.trim()).filter(Boolean);
+}
 
 // FIX #13: Date/time helper functions
 const DateHelpers = {
@@ -53,6 +62,152 @@ class DataCollector {
   constructor(app, options) {
     this.app = app;
     this.options = options;
+    this.clock = null; // Trusted clock, set by the plugin once started
+    this.intervalStats = new Map();
+    this.intervalStart = this.now(); // Restarted by the clock once the time can be trusted
+    this.unsubscribes = [];
+    this.derivedFields = new DerivedFields(this, options);
+    this.deadReckoning = new DeadReckoning(this, options);
+  }
+
+  /**
+   * Current time for timestamps, from the trusted clock (GNSS time when known)
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return this.clock ? this.clock.now() : Date.now();
+  }
+
+  /**
+   * A SignalK timestamp on the trusted clock. The server stamps deltas on
+   * arrival with its own clock, which is wrong by the same amount as ours.
+   * @param {string} timestamp - ISO timestamp from a delta
+   * @returns {number} Milliseconds since the epoch, NaN if unreadable
+   */
+  readingTime(timestamp) {
+    const ms = Date.parse(timestamp);
+    return this.clock ? this.clock.fromSystemTime(ms) : ms;
+  }
+
+  /**
+   * Age (seconds) past which readings are treated as missing, 0 for any age
+   * @returns {number}
+   */
+  get dataMaxAge() {
+    return this.options.dataMaxAge ?? DEFAULT_MAX_AGE_SECONDS;
+  }
+
+  /**
+   * Age (seconds) past which a position fix counts as lost. A GPS updates
+   * every second or so, so dead reckoning takes over long before the
+   * general data age limit would drop the position.
+   * @returns {number}
+   */
+  get positionMaxAge() {
+    const { enabled, fixMaxAge } = this.deadReckoning.settings;
+    if (!enabled || !fixMaxAge) return this.dataMaxAge;
+    return this.dataMaxAge ? Math.min(fixMaxAge, this.dataMaxAge) : fixMaxAge;
+  }
+
+  /**
+   * Whether the current time can be trusted for reports
+   * @returns {boolean}
+   */
+  isTimeTrusted() {
+    return this.clock ? this.clock.isTrusted() : true;
+  }
+
+  /**
+   * Subscribe to the custom data paths (and inputs of derived fields that
+   * need them) and accumulate statistics for each between reports, so peaks
+   * between noon readings are not lost
+   */
+  startIntervalStats() {
+    const customPaths = [
+      ...(this.options.customDataPaths || []).map(pathConfig => pathConfig.path),
+      ...this.derivedFields.statsPaths()
+    ];
+    if (customPaths.length === 0 || !this.app.subscriptionmanager) {
+      return;
+    }
+
+    this.app.subscriptionmanager.subscribe(
+      {
+        context: 'vessels.self',
+        subscribe: customPaths.map(path => ({ path, period: STATS_SAMPLE_PERIOD_MS }))
+      },
+      this.unsubscribes,
+      error => this.app.error(`Interval statistics subscription error: ${error}`),
+      delta => {
+        for (const update of delta.updates || []) {
+          for (const { path, value } of update.values || []) {
+            this.recordSample(path, value, update.$source);
+          }
+        }
+      }
+    );
+    this.app.debug(`Collecting interval statistics for ${customPaths.length} path(s)`);
+  }
+
+  /**
+   * Stop collecting interval statistics
+   */
+  stopIntervalStats() {
+    this.unsubscribes.forEach(unsubscribe => unsubscribe());
+    this.unsubscribes = [];
+  }
+
+  /**
+   * Add one reading to a path's statistics. Angles (rad) are averaged as
+   * vectors, so 350° and 10° average to 0° rather than 180°.
+   * @param {string} path - SignalK path
+   * @param {*} value - SI value
+   * @param {string} [source] - $source of the sample; samples from sources not
+   *   in the path's preferred list are ignored
+   */
+  recordSample(path, value, source) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+    const sources = parseSources(this.getPathConfig(path)?.sources);
+    if (source && sources.length > 0 && !sources.includes(source)) return;
+
+    let stats = this.intervalStats.get(path);
+    if (!stats) {
+      stats = { angular: this.getUnits(path) === 'rad', samples: 0, sum: 0, sumSin: 0, sumCos: 0, min: value, max: value };
+      this.intervalStats.set(path, stats);
+    }
+    stats.samples++;
+    stats.sum += value;
+    stats.sumSin += Math.sin(value);
+    stats.sumCos += Math.cos(value);
+    stats.min = Math.min(stats.min, value);
+    stats.max = Math.max(stats.max, value);
+  }
+
+  /**
+   * Statistics for a path since the last report
+   * @param {string} path - SignalK path
+   * @returns {Object|null} { min, max, mean, samples, since } — min/max are null for angles
+   */
+  getIntervalStats(path) {
+    const stats = this.intervalStats.get(path);
+    if (!stats) return null;
+
+    return {
+      min: stats.angular ? null : stats.min,
+      max: stats.angular ? null : stats.max,
+      mean: stats.angular ? Math.atan2(stats.sumSin, stats.sumCos) : stats.sum / stats.samples,
+      samples: stats.samples,
+      since: DateHelpers.toUnixTimestamp(new Date(this.intervalStart))
+    };
+  }
+
+  /**
+   * Start a new statistics interval (after a report has been stored, or
+   * when the time the current one started from turns out to be wrong)
+   */
+  resetIntervalStats() {
+    this.intervalStats.clear();
+    this.intervalStart = this.now();
   }
 
   /**
@@ -72,216 +227,199 @@ class DataCollector {
   }
 
   /**
-   * Get position data
-   * @returns {Object|null} Object with latitude and longitude, or null
+   * Read a path, choosing among sources and rejecting stale values.
+   * Each configured source is tried in order, then whatever SignalK selected;
+   * the first reading no older than maxAge is used.
+   *
+   * @param {string} path - SignalK path
+   * @param {Object} [settings] - { maxAge: seconds (0 = any age), sources: preferred $source list }
+   * @returns {Object|null} { value, source, quality } — quality is null for a good
+   *   reading, 'substituted' when not from the first preferred source, or 'stale'
+   *   (value null) when every reading is too old; null if the path has no value
    */
-  getPosition() {
-    const posPath = this.options.positionPath || 'navigation.position';
-    const position = this.getValue(posPath);
-
-    if (!position || typeof position !== 'object') {
+  getReading(path, { maxAge = 0, sources = [] } = {}) {
+    let node;
+    try {
+      node = this.app.getSelfPath(path);
+    } catch (error) {
+      this.app.debug(`Error getting value for path ${path}: ${error.message}`);
       return null;
     }
+    if (!node || node.value === undefined) return null;
 
-    return {
-      latitude: position.latitude || null,
-      longitude: position.longitude || null
-    };
-  }
-
-  /**
-   * Convert value based on data type and unit preference
-   * @param {number} value - Raw value from SignalK
-   * @param {string} path - SignalK path to determine data type
-   * @returns {object} Object with converted value and unit label
-   */
-  convertValueWithUnit(value, path) {
-    if (value === null || value === undefined) {
-      return { value: null, unit: '' };
-    }
-
-    const useMetric = this.options.useMetricUnits || false;
-
-    // Temperature conversion (SignalK uses Kelvin)
-    if (path.includes('temperature')) {
-      if (useMetric) {
-        // Kelvin to Celsius
-        return { 
-          value: value - CONVERSIONS.KELVIN_TO_CELSIUS, 
-          unit: '°C' 
-        };
-      } else {
-        // Kelvin to Fahrenheit
-        const celsius = value - CONVERSIONS.KELVIN_TO_CELSIUS;
-        return { 
-          value: celsius * CONVERSIONS.CELSIUS_TO_FAHRENHEIT_MULT + CONVERSIONS.CELSIUS_TO_FAHRENHEIT_ADD, 
-          unit: '°F' 
-        };
+    const candidates = [];
+    for (const source of sources) {
+      const reading = source === node.$source ? node : node.values?.[source];
+      if (reading && reading.value !== undefined) {
+        candidates.push({ value: reading.value, timestamp: reading.timestamp, source });
       }
     }
+    candidates.push({ value: node.value, timestamp: node.timestamp, source: node.$source || null });
 
-    // Wind speed (SignalK uses m/s)
-    if (path.includes('wind') && path.includes('speed')) {
-      if (useMetric) {
-        // Keep m/s
-        return { value: value, unit: 'm/s' };
-      } else {
-        // m/s to knots
-        return { 
-          value: value * CONVERSIONS.MS_TO_KNOTS, 
-          unit: 'kts' 
-        };
-      }
+    const now = this.now();
+    const isFresh = candidate => {
+      const age = now - this.readingTime(candidate.timestamp);
+      return !maxAge || isNaN(age) || age <= maxAge * 1000;
+    };
+    const chosen = candidates.find(isFresh);
+    if (!chosen) {
+      return { value: null, source: candidates[0].source, quality: 'stale' };
     }
 
-    // Wind angle (SignalK uses radians)
-    if (path.includes('wind') && (path.includes('angle') || path.includes('direction'))) {
-      // Always convert radians to degrees
-      const degrees = value * CONVERSIONS.RADIANS_TO_DEGREES;
-      return { 
-        value: degrees < 0 ? degrees + 360 : degrees, 
-        unit: '°' 
-      };
-    }
+    const substituted = sources.length > 0 && chosen.source !== sources[0];
+    return { value: chosen.value, source: chosen.source, quality: substituted ? 'substituted' : null };
+  }
 
-    // Pressure (SignalK uses Pascals)
-    if (path.includes('pressure')) {
-      if (useMetric) {
-        // Pascal to hPa (hectopascal/millibar)
-        return { 
-          value: value * CONVERSIONS.PASCAL_TO_HPA, 
-          unit: 'hPa' 
-        };
-      } else {
-        // Pascal to inHg (inches of mercury)
-        return { 
-          value: value * CONVERSIONS.PASCAL_TO_INHG, 
-          unit: 'inHg' 
-        };
-      }
-    }
+  /**
+   * customDataPaths entry that a concrete path was collected from
+   * @param {string} path - SignalK path
+   * @returns {Object|undefined} Path configuration
+   */
+  getPathConfig(path) {
+    return (this.options.customDataPaths || []).find(config => config.path && pathMatches(config.path, path));
+  }
 
-    // Speed (SignalK uses m/s)
-    if (path.includes('speed') && !path.includes('wind')) {
-      if (useMetric) {
-        // m/s to km/h
-        return { 
-          value: value * CONVERSIONS.MS_TO_KMH, 
-          unit: 'km/h' 
-        };
-      } else {
-        // m/s to knots
-        return { 
-          value: value * CONVERSIONS.MS_TO_KNOTS, 
-          unit: 'kts' 
-        };
-      }
+  /**
+   * Get the SI unit of a SignalK path from its metadata
+   * @param {string} path - SignalK path
+   * @returns {string} Unit from meta.units, '' if the path has none
+   */
+  getUnits(path) {
+    try {
+      const units = this.app.getSelfPath(path)?.meta?.units
+        ?? this.app.getMetadata?.(`vessels.self.${path}`)?.units;
+      return units || '';
+    } catch (error) {
+      this.app.debug(`Error getting units for path ${path}: ${error.message}`);
+      return '';
     }
+  }
 
-    // Distance (SignalK uses meters)
-    if (path.includes('distance')) {
-      if (useMetric) {
-        // meters to kilometers
-        return { 
-          value: value * CONVERSIONS.METERS_TO_KM, 
-          unit: 'km' 
-        };
-      } else {
-        // meters to nautical miles
-        return { 
-          value: value * CONVERSIONS.METERS_TO_NM, 
-          unit: 'nm' 
-        };
-      }
+  /**
+   * Expand a configured path against the live SignalK tree. A * segment
+   * matches every instance (e.g. tanks.fuel.*.currentLevel). Instances are
+   * keyed by their SignalK id, so each keeps the same path from report to report.
+   * @param {Object} pathConfig - { path, label } from customDataPaths
+   * @returns {Array} [{ path, label }] in path order
+   */
+  expandPath(pathConfig) {
+    const segments = pathConfig.path.split('.');
+    const firstWildcard = segments.indexOf('*');
+    if (firstWildcard === -1) {
+      return [{ path: pathConfig.path, label: pathConfig.label || pathConfig.path }];
     }
 
-    // Depth (SignalK uses meters)
-    if (path.includes('depth')) {
-      if (useMetric) {
-        return { value: value, unit: 'm' };
-      } else {
-        // meters to feet
-        return { 
-          value: value * CONVERSIONS.METERS_TO_FEET, 
-          unit: 'ft' 
-        };
+    const matches = [];
+    const walk = (node, index, pathSegments, ids) => {
+      if (!node || typeof node !== 'object') return;
+      if (index === segments.length) {
+        if ('value' in node) matches.push({ path: pathSegments.join('.'), ids });
+        return;
       }
-    }
+      const segment = segments[index];
+      const keys = segment === '*' ? Object.keys(node).filter(key => !NODE_KEYS.has(key)) : [segment];
+      for (const key of keys) {
+        walk(node[key], index + 1, [...pathSegments, key], segment === '*' ? [...ids, key] : ids);
+      }
+    };
 
-    // Battery State of Charge (SignalK uses ratio 0-1)
-    if (path.includes('stateOfCharge') || path.includes('soc')) {
-      // Convert ratio to percentage
-      return { 
-        value: value * 100, 
-        unit: '%' 
-      };
+    try {
+      const prefix = segments.slice(0, firstWildcard);
+      walk(this.app.getSelfPath(prefix.join('.')), firstWildcard, prefix, []);
+    } catch (error) {
+      this.app.debug(`Error expanding path ${pathConfig.path}: ${error.message}`);
     }
 
-    // Battery Voltage (SignalK uses volts)
-    if (path.includes('voltage') || (path.includes('electrical') && path.includes('batteries'))) {
-      // Auto-detect if this looks like a percentage (0-1 range)
-      if (value >= 0 && value <= 1) {
-        // Likely a state of charge ratio, convert to percentage
-        return { 
-          value: value * 100, 
-          unit: '%' 
-        };
-      }
-      // Otherwise treat as voltage
-      return { 
-        value: value, 
-        unit: 'V' 
-      };
-    }
+    return matches
+      .sort((a, b) => a.path.localeCompare(b.path))
+      .map(match => ({ path: match.path, label: this.instanceLabel(pathConfig, match) }));
+  }
 
-    // Default: no conversion
-    return { value: value, unit: '' };
+  /**
+   * Label for one instance of a wildcard path: {id} in the configured label
+   * is replaced by the instance id, otherwise the id is appended
+   * @param {Object} pathConfig - { path, label } from customDataPaths
+   * @param {Object} match - { path, ids }
+   * @returns {string} Label
+   */
+  instanceLabel(pathConfig, match) {
+    if (!pathConfig.label) return match.path;
+    const instance = match.ids.join(' ');
+    return pathConfig.label.includes('{id}')
+      ? pathConfig.label.replace(/\{id\}/g, instance)
+      : `${pathConfig.label} (${instance})`;
   }
 
   /**
-   * Format value for display
-   * @param {*} value - Value to format
-   * @returns {string} Formatted value
+   * Get position data from the preferred position source. Without a usable
+   * fix the position is dead reckoned from the last one.
+   * @returns {Object|null} Object with latitude, longitude, source and quality
+   *   (quality 'dr' adds error, fixTimestamp, course and speed), or null when
+   *   there is no fix and no dead-reckoned position
    */
-  formatValue(value) {
-    if (value === null || value === undefined) {
-      return 'N/A';
+  getPosition() {
+    const posPath = this.options.positionPath || 'navigation.position';
+    const reading = this.getReading(posPath, {
+      maxAge: this.positionMaxAge,
+      sources: parseSources(this.options.positionSources)
+    });
+    const position = reading?.value;
+
+    if (!position || typeof position !== 'object') {
+      if (reading?.quality === 'stale') {
+        this.app.debug(`Position from ${reading.source || posPath} is stale`);
+      }
+      return this.deadReckoning.positionAt(Math.floor(this.now() / 1000));
     }
 
-    if (typeof value === 'number') {
-      // Round to 2 decimal places
-      return value.toFixed(2);
+    // Only a valid fix restarts dead reckoning — never 0,0 or out-of-range values
+    if (!checkFix(position, null, {})) {
+      this.deadReckoning.observeFix(position, Math.floor(this.now() / 1000));
     }
 
-    return String(value);
+    return {
+      latitude: position.latitude || null,
+      longitude: position.longitude || null,
+      source: reading.source,
+      quality: reading.quality
+    };
   }
 
   /**
    * Collect all custom data paths
-   * @returns {Array} Array of data objects
+   * Values are kept in SignalK SI units; they are converted for display on output.
+   * Stale readings are returned with a null value and quality 'stale'.
+   * @returns {Array} Array of { path, label, value, units, stats, quality, source } objects
    */
   collectCustomData() {
     const customPaths = this.options.customDataPaths || [];
     const collectedData = [];
 
     for (const pathConfig of customPaths) {
-      try {
-        const rawValue = this.getValue(pathConfig.path);
-        
-        if (rawValue !== null) {
-          const converted = this.convertValueWithUnit(rawValue, pathConfig.path);
-          
-          collectedData.push({
-            path: pathConfig.path,
-            label: pathConfig.label || pathConfig.path,
-            value: this.formatValue(converted.value),
-            unit: converted.unit,
-            rawValue: converted.value
-          });
+      const settings = {
+        maxAge: pathConfig.maxAge ?? this.dataMaxAge,
+        sources: parseSources(pathConfig.sources)
+      };
+      for (const { path, label } of this.expandPath(pathConfig)) {
+        try {
+          const reading = this.getReading(path, settings);
+          const stale = reading?.quality === 'stale';
+
+          if (reading !== null && (reading.value !== null || stale)) {
+            collectedData.push({
+              path: path,
+              label: label,
+              value: reading.value,
+              units: this.getUnits(path),
+              stats: stale ? null : this.getIntervalStats(path),
+              quality: reading.quality,
+              source: reading.source
+            });
+          }
+        } catch (error) {
+          // FIX #8: Better error handling - continue collecting other data
+          this.app.error(`Error collecting data for ${path}: ${error.message}`);
         }
-      } catch (error) {
-        // FIX #8: Better error handling - continue collecting other data
-        this.app.error(`Error collecting data for ${pathConfig.path}: ${error.message}`);
       }
     }
 
@@ -294,8 +432,8 @@ class DataCollector {
    */
   collectNoonData() {
     const position = this.getPosition();
-    const customData = this.collectCustomData();
-    const now = Date.now();
+    const customData = [...this.collectCustomData(), ...this.derivedFields.collect()];
+    const now = this.now();
 
     // FIX #13: Use date helper functions for consistency
     return {
@@ -332,5 +470,6 @@ class DataCollector {
 // Export helpers for use in other modules
 DataCollector.DateHelpers = DateHelpers;
 DataCollector.CONVERSIONS = CONVERSIONS;
+DataCollector.parseSources = parseSources;
 
 module.exports = DataCollector;
\ No newline at end of file
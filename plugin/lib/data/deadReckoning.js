@@ -0,0 +1,106 @@
+/**
+ * Dead reckoning
+ *
+ * Carries the last good GPS fix forward on heading and speed through the
+ * water (falling back to the last COG/SOG) while the GPS is lost, with an
+ * estimated error that grows with time and distance run.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const METRES_PER_NM = 1852;
+const BASE_ERROR_NM = 0.1; // Error of the fix the estimate starts from
+const DISTANCE_ERROR_FRACTION = 0.05; // Log and compass error, as a fraction of distance run
+
+/**
+ * Short label for a dead-reckoned position
+ * @param {number|null} error - Estimated error (nm)
+ * @returns {string} e.g. 'DR ±2.4 nm'
+ */
+function describe(error) {
+  return typeof error === 'number' ? `DR ±${error.toFixed(1)} nm` : 'DR';
+}
+
+class DeadReckoning {
+  /**
+   * @param {Object} collector - DataCollector, for heading and speed
+   * @param {Object} options - Plugin options
+   */
+  constructor(collector, options) {
+    this.collector = collector;
+    this.options = options;
+    this.lastFix = null;
+    this.estimate = null;
+  }
+
+  get settings() {
+    return {
+      enabled: true,
+      fixMaxAge: 30,
+      maxHours: 24,
+      driftRate: 0.5,
+      ...this.options.deadReckoning
+    };
+  }
+
+  /**
+   * Restart dead reckoning from a good GPS fix
+   * @param {Object} fix - { latitude, longitude }
+   * @param {number} timestamp - Unix timestamp of the fix
+   */
+  observeFix(fix, timestamp) {
+    this.lastFix = {
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      timestamp,
+      course: this.collector.getValue('navigation.courseOverGroundTrue'),
+      speed: this.collector.getValue('navigation.speedOverGround')
+    };
+    this.estimate = { latitude: fix.latitude, longitude: fix.longitude, timestamp, distanceRun: 0 };
+  }
+
+  /**
+   * Advance the estimate to a moment
+   * @param {number} timestamp - Unix timestamp
+   * @returns {Object|null} { latitude, longitude, source, quality: 'dr', error (nm), fixTimestamp,
+   *   course (rad), speed (m/s) }, or null without a fix to start from, heading and speed,
+   *   or once the fix is older than the configured limit
+   */
+  positionAt(timestamp) {
+    const settings = this.settings;
+    if (!settings.enabled || !this.lastFix) return null;
+
+    const hours = (timestamp - this.lastFix.timestamp) / 3600;
+    if (hours > settings.maxHours) return null;
+
+    const course = this.collector.getValue('navigation.headingTrue') ??
+                   this.collector.getValue('navigation.courseOverGroundTrue') ?? this.lastFix.course;
+    const speed = this.collector.getValue('navigation.speedThroughWater') ??
+                  this.collector.getValue('navigation.speedOverGround') ?? this.lastFix.speed;
+    if (typeof course !== 'number' || typeof speed !== 'number') return null;
+
+    // Step from the previous estimate, so changes of heading and speed are followed
+    const step = speed * Math.max(0, timestamp - this.estimate.timestamp);
+    const latitude = this.estimate.latitude + (step * Math.cos(course) / EARTH_RADIUS_M) * 180 / Math.PI;
+    const cosLat = Math.max(Math.cos(this.estimate.latitude * Math.PI / 180), 1e-6);
+    let longitude = this.estimate.longitude + (step * Math.sin(course) / (EARTH_RADIUS_M * cosLat)) * 180 / Math.PI;
+    longitude = ((longitude + 540) % 360) - 180;
+
+    this.estimate = { latitude, longitude, timestamp, distanceRun: this.estimate.distanceRun + step };
+    const distanceRunNm = this.estimate.distanceRun / METRES_PER_NM;
+
+    return {
+      latitude,
+      longitude,
+      source: 'dead reckoning',
+      quality: 'dr',
+      error: BASE_ERROR_NM + distanceRunNm * DISTANCE_ERROR_FRACTION + hours * settings.driftRate,
+      fixTimestamp: this.lastFix.timestamp,
+      course,
+      speed
+    };
+  }
+}
+
+DeadReckoning.describe = describe;
+
+module.exports = DeadReckoning;
@@ -0,0 +1,341 @@
+/**
+ * Derived fields
+ *
+ * Values SignalK does not deliver directly, computed from other paths at
+ * collection time and stored like any other reading: built-in calculators
+ * (true wind, Beaufort force, sea-air temperature difference, battery net
+ * amp-hours) and user expressions over paths.
+ */
+
+const TWO_PI = 2 * Math.PI;
+
+// Upper limit (m/s) of each Beaufort force; anything above the last is force 12
+const BEAUFORT_LIMITS = [0.5, 1.5, 3.3, 5.5, 7.9, 10.7, 13.8, 17.1, 20.7, 24.4, 28.4, 32.6];
+const BEAUFORT_NAMES = [
+  'Calm', 'Light air', 'Light breeze', 'Gentle breeze', 'Moderate breeze', 'Fresh breeze',
+  'Strong breeze', 'Near gale', 'Gale', 'Strong gale', 'Storm', 'Violent storm', 'Hurricane force'
+];
+
+// Functions an expression may call
+const FUNCTIONS = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  hypot: Math.hypot,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  atan2: Math.atan2
+};
+
+/**
+ * Compile an expression such as
+ *   "environment.water.temperature - environment.outside.temperature"
+ * into a function of a path lookup. Only numbers, paths, + - * / % ^,
+ * parentheses and the functions above are accepted — nothing is evaluated
+ * as JavaScript.
+ *
+ * @param {string} source - Expression text
+ * @returns {Object} { paths, evaluate(lookup) } — evaluate returns null when a path has no numeric value
+ * @throws {Error} On a syntax error
+ */
+function compileExpression(source) {
+  const tokens = [];
+  const tokenPattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_$][\w$]*(?:\.[\w$]+)*)|([-+*/%^(),]))/y;
+  let position = 0;
+  while (position < source.length) {
+    tokenPattern.lastIndex = position;
+    const match = tokenPattern.exec(source);
+    if (!match || match[0].length === 0) {
+      if (/^\s*$/.test(source.slice(position))) break;
+      throw new Error(`Unexpected character at ${position + 1}: "${source.slice(position).trim()[0]}"`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] });
+    position = tokenPattern.lastIndex;
+  }
+
+  let index = 0;
+  const paths = new Set();
+  const peek = () => tokens[index];
+  const accept = (op) => {
+    if (peek()?.type === 'op' && peek().value === op) {
+      index++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (op) => {
+    if (!accept(op)) throw new Error(`Expected "${op}"`);
+  };
+
+  // Each parse step returns a node: (lookup) => number|null
+  const binary = (left, right, apply) => (lookup) => {
+    const a = left(lookup);
+    const b = right(lookup);
+    return a === null || b === null ? null : apply(a, b);
+  };
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (peek()?.type === 'op' && (peek().value === '+' || peek().value === '-')) {
+      const op = tokens[index++].value;
+      node = binary(node, parseTerm(), op === '+' ? (a, b) => a + b : (a, b) => a - b);
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (peek()?.type === 'op' && ['*', '/', '%'].includes(peek().value)) {
+      const op = tokens[index++].value;
+      const apply = { '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b }[op];
+      node = binary(node, parseUnary(), apply);
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (accept('-')) {
+      const operand = parseUnary();
+      return (lookup) => {
+        const value = operand(lookup);
+        return value === null ? null : -value;
+      };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (accept('^')) {
+      return binary(base, parseUnary(), Math.pow);
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      return () => token.value;
+    }
+
+    if (token.type === 'name') {
+      if (accept('(')) {
+        // Own properties only — constructor, toString etc. must not be reachable
+        const fn = Object.hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+        if (!fn) throw new Error(`Unknown function "${token.value}"`);
+        const args = [];
+        if (!accept(')')) {
+          do {
+            args.push(parseExpression());
+          } while (accept(','));
+          expect(')');
+        }
+        return (lookup) => {
+          const values = args.map(arg => arg(lookup));
+          return values.includes(null) ? null : fn(...values);
+        };
+      }
+      paths.add(token.value);
+      return (lookup) => {
+        const value = lookup(token.value);
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+      };
+    }
+
+    if (token.value === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const root = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}"`);
+  }
+
+  return {
+    paths: [...paths],
+    evaluate(lookup) {
+      const value = root(lookup);
+      return value === null || !Number.isFinite(value) ? null : value;
+    }
+  };
+}
+
+/**
+ * Beaufort force for a wind speed
+ * @param {number} speed - Wind speed (m/s)
+ * @returns {number} Force 0-12
+ */
+function beaufortForce(speed) {
+  const force = BEAUFORT_LIMITS.findIndex(limit => speed < limit);
+  return force === -1 ? 12 : force;
+}
+
+class DerivedFields {
+  /**
+   * @param {Object} collector - DataCollector, for path values and interval statistics
+   * @param {Object} options - Plugin options
+   */
+  constructor(collector, options) {
+    this.collector = collector;
+    this.app = collector.app;
+    this.fields = [];
+
+    for (const config of options.derivedFields || []) {
+      const field = { ...config };
+      if (config.type === 'expression') {
+        try {
+          field.compiled = compileExpression(config.expression || '');
+        } catch (error) {
+          this.app.error(`Derived field "${config.label || config.expression}" ignored: ${error.message}`);
+          continue;
+        }
+      }
+      this.fields.push(field);
+    }
+  }
+
+  /**
+   * Paths that need interval statistics (battery current is integrated over
+   * the report interval)
+   * @returns {Array<string>} SignalK paths
+   */
+  statsPaths() {
+    return this.fields
+      .filter(field => field.type === 'batteryNetAh')
+      .map(field => field.path || 'electrical.batteries.house.current');
+  }
+
+  /**
+   * Compute every configured field
+   * @returns {Array} [{ path, label, value, units }] for fields that could be computed
+   */
+  collect() {
+    const collected = [];
+    for (const field of this.fields) {
+      try {
+        const result = this.compute(field);
+        if (result && result.value !== null) {
+          collected.push({
+            path: this.fieldPath(field),
+            label: field.label || this.fieldPath(field),
+            value: result.value,
+            units: result.units
+          });
+        }
+      } catch (error) {
+        this.app.error(`Error computing derived field ${this.fieldPath(field)}: ${error.message}`);
+      }
+    }
+    return collected;
+  }
+
+  /**
+   * Stable storage path for a field
+   * @param {Object} field - Field configuration
+   * @returns {string} e.g. derived.trueWindSpeed
+   */
+  fieldPath(field) {
+    if (field.type !== 'expression') return `derived.${field.type}`;
+    const slug = (field.label || field.expression || '')
+      .replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))
+      .replace(/^./, first => first.toLowerCase());
+    return `derived.${slug || 'expression'}`;
+  }
+
+  /**
+   * Current value of an input path. A value older than the maximum data age
+   * reads as missing, so nothing is derived from it.
+   * @param {string} path - SignalK path
+   * @returns {*} Value, or null if missing or stale
+   */
+  read(path) {
+    const reading = this.collector.getReading(path, { maxAge: this.collector.dataMaxAge });
+    return reading?.value ?? null;
+  }
+
+  /**
+   * Compute one field
+   * @param {Object} field - Field configuration
+   * @returns {Object|null} { value, units } in SI units, null if inputs are missing or stale
+   */
+  compute(field) {
+    const get = (path) => this.read(path);
+
+    switch (field.type) {
+      case 'trueWindSpeed': {
+        const wind = this.trueWind();
+        return wind && { value: wind.speed, units: 'm/s' };
+      }
+      case 'trueWindDirection': {
+        const wind = this.trueWind();
+        return wind && { value: wind.direction, units: 'rad' };
+      }
+      case 'beaufort': {
+        const speed = field.path ? get(field.path) : (get('environment.wind.speedTrue') ?? this.trueWind()?.speed);
+        if (typeof speed !== 'number') return null;
+        const force = beaufortForce(speed);
+        return { value: `${force} (${BEAUFORT_NAMES[force]})`, units: '' };
+      }
+      case 'seaAirTempDiff': {
+        const sea = get('environment.water.temperature');
+        const air = get('environment.outside.temperature');
+        if (typeof sea !== 'number' || typeof air !== 'number') return null;
+        return { value: sea - air, units: 'ΔK' };
+      }
+      case 'batteryNetAh': {
+        // Mean current over the interval times its length is the net charge
+        const stats = this.collector.getIntervalStats(field.path || 'electrical.batteries.house.current');
+        if (!stats) return null;
+        const seconds = Math.floor(this.collector.now() / 1000) - stats.since;
+        return { value: stats.mean * seconds, units: 'C' };
+      }
+      case 'expression':
+        return { value: field.compiled.evaluate(get), units: field.units || '' };
+      default:
+        this.app.debug(`Unknown derived field type ${field.type}`);
+        return null;
+    }
+  }
+
+  /**
+   * True wind from apparent wind, boat speed and heading
+   * @returns {Object|null} { speed (m/s), direction (rad true) }
+   */
+  trueWind() {
+    const get = (path) => this.read(path);
+    const aws = get('environment.wind.speedApparent');
+    const awa = get('environment.wind.angleApparent');
+    const boatSpeed = get('navigation.speedThroughWater') ?? get('navigation.speedOverGround');
+    const heading = get('navigation.headingTrue') ?? get('navigation.courseOverGroundTrue');
+    if ([aws, awa, boatSpeed, heading].some(value => typeof value !== 'number')) return null;
+
+    // Subtract the boat's motion from the apparent wind vector (x ahead, y to starboard)
+    const x = aws * Math.cos(awa) - boatSpeed;
+    const y = aws * Math.sin(awa);
+    const direction = (heading + Math.atan2(y, x)) % TWO_PI;
+    return {
+      speed: Math.hypot(x, y),
+      direction: direction < 0 ? direction + TWO_PI : direction
+    };
+  }
+}
+
+DerivedFields.compileExpression = compileExpression;
+DerivedFields.beaufortForce = beaufortForce;
+
+module.exports = DerivedFields;
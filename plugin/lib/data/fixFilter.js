@@ -0,0 +1,57 @@
+/**
+ * GPS fix plausibility checks, shared by the live position tracker and the
+ * track clean-up maintenance task
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const MS_TO_KNOTS = 1.94384;
+const NULL_ISLAND_DEGREES = 1e-6;
+
+// Distance between two positions in metres (haversine)
+function distanceMetres(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const a = Math.sin((lat2 - lat1) * toRad / 2) ** 2 +
+            Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) *
+            Math.sin((lon2 - lon1) * toRad / 2) ** 2;
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Check a fix against the previous accepted one
+ *
+ * @param {Object} fix - { latitude, longitude, timestamp, hdop }
+ * @param {Object|null} previous - Last accepted fix { latitude, longitude, timestamp }
+ * @param {Object} limits - { maxSpeed (knots), maxHdop }; 0 disables a check
+ * @returns {Object|null} { reason, detail } for an implausible fix, null if it looks good
+ */
+function checkFix(fix, previous, limits) {
+  const { latitude, longitude } = fix;
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return { reason: 'invalid', detail: `Invalid coordinates ${latitude}, ${longitude}` };
+  }
+
+  if (Math.abs(latitude) < NULL_ISLAND_DEGREES && Math.abs(longitude) < NULL_ISLAND_DEGREES) {
+    return { reason: 'null_island', detail: 'Position 0, 0' };
+  }
+
+  if (limits.maxHdop > 0 && typeof fix.hdop === 'number' && fix.hdop > limits.maxHdop) {
+    return { reason: 'hdop', detail: `HDOP ${fix.hdop} above ${limits.maxHdop}` };
+  }
+
+  if (limits.maxSpeed > 0 && previous) {
+    const seconds = Math.max(1, fix.timestamp - previous.timestamp);
+    const knots = distanceMetres(previous.latitude, previous.longitude, latitude, longitude) / seconds * MS_TO_KNOTS;
+    if (knots > limits.maxSpeed) {
+      return { reason: 'speed', detail: `Implied speed ${knots.toFixed(0)} kts above ${limits.maxSpeed} kts` };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  checkFix,
+  distanceMetres,
+  MS_TO_KNOTS
+};
@@ -0,0 +1,497 @@
+/**
+ * Database schema migrations
+ *
+ * Each step runs exactly once, in version order, inside its own transaction.
+ * The highest applied version is recorded in the schema_version table.
+ * Never edit or reorder a step that has shipped — append a new one instead,
+ * so existing logbooks are upgraded in place without losing history.
+ */
+
+const { isGap } = require('./segments');
+
+/**
+ * Add a column to a table unless it already exists
+ * @param {Object} db - DatabaseSync instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(row => row.name);
+  if (!columns.includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS log_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          voyage_id INTEGER,
+          timestamp INTEGER NOT NULL,
+          date_str TEXT NOT NULL,
+          latitude REAL,
+          longitude REAL,
+          log_text TEXT,
+          email_sent BOOLEAN DEFAULT 0,
+          is_auto_track BOOLEAN DEFAULT 0,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      // Logbooks created before voyages and auto-tracking existed
+      addColumnIfMissing(db, 'log_entries', 'voyage_id', 'INTEGER');
+      addColumnIfMissing(db, 'log_entries', 'is_auto_track', 'BOOLEAN DEFAULT 0');
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS log_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_id INTEGER NOT NULL,
+          data_path TEXT NOT NULL,
+          data_label TEXT,
+          data_value TEXT,
+          data_unit TEXT,
+          FOREIGN KEY (log_id) REFERENCES log_entries(id) ON DELETE CASCADE
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS distance_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_id INTEGER NOT NULL,
+          distance_since_last REAL,
+          total_distance REAL,
+          FOREIGN KEY (log_id) REFERENCES log_entries(id) ON DELETE CASCADE
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS voyage_info (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          voyage_name TEXT,
+          start_timestamp INTEGER NOT NULL,
+          end_timestamp INTEGER,
+          is_active BOOLEAN DEFAULT 1
+        )
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_log_timestamp ON log_entries(timestamp)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_log_date ON log_entries(date_str)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_voyage_active ON voyage_info(is_active)`);
+    }
+  },
+  {
+    version: 2,
+    description: 'Persist pending log entry',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS pending_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_text TEXT NOT NULL,
+          author TEXT,
+          submitted_at INTEGER NOT NULL
+        )
+      `);
+
+      addColumnIfMissing(db, 'log_entries', 'author', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    description: 'Journal entries',
+    up(db) {
+      // Journal entries are timestamped log entries written through the day;
+      // report_log_id links each one to the noon report that rolled it up
+      addColumnIfMissing(db, 'log_entries', 'is_journal', 'BOOLEAN DEFAULT 0');
+      addColumnIfMissing(db, 'log_entries', 'report_log_id', 'INTEGER');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_log_journal ON log_entries(is_journal, report_log_id)`);
+    }
+  },
+  {
+    version: 4,
+    description: 'Log entry corrections audit trail',
+    up(db) {
+      // Corrections never overwrite history — every change keeps its old value here.
+      // data_id is set when the corrected field is a log_data observation
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS log_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_id INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          field TEXT,
+          data_id INTEGER,
+          old_value TEXT,
+          new_value TEXT,
+          reason TEXT NOT NULL,
+          author TEXT,
+          revised_at INTEGER NOT NULL,
+          FOREIGN KEY (log_id) REFERENCES log_entries(id) ON DELETE CASCADE
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_revision_log ON log_revisions(log_id)`);
+
+      addColumnIfMissing(db, 'log_entries', 'is_deleted', 'BOOLEAN DEFAULT 0');
+    }
+  },
+  {
+    version: 5,
+    description: 'Sealed log entries hash chain',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS log_seals (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          log_id INTEGER NOT NULL UNIQUE,
+          format INTEGER NOT NULL,
+          prev_hash TEXT NOT NULL,
+          hash TEXT NOT NULL,
+          sealed_at INTEGER NOT NULL,
+          sealed_by TEXT
+        )
+      `);
+
+      // Sealed entries are read-only at the database level. Only delivery
+      // bookkeeping (email_sent, report_log_id) may still change.
+      const sealed = (ref) => `EXISTS (SELECT 1 FROM log_seals WHERE log_id = ${ref})`;
+      const abort = `BEGIN SELECT RAISE(ABORT, 'Sealed log entry is read-only'); END`;
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS sealed_log_entries_update
+        BEFORE UPDATE OF voyage_id, timestamp, date_str, latitude, longitude, log_text, author,
+                         is_auto_track, is_journal, is_deleted ON log_entries
+        WHEN ${sealed('OLD.id')} ${abort}
+      `);
+      db.exec(`CREATE TRIGGER IF NOT EXISTS sealed_log_entries_delete BEFORE DELETE ON log_entries WHEN ${sealed('OLD.id')} ${abort}`);
+
+      for (const table of ['log_data', 'distance_log', 'log_revisions']) {
+        db.exec(`CREATE TRIGGER IF NOT EXISTS sealed_${table}_insert BEFORE INSERT ON ${table} WHEN ${sealed('NEW.log_id')} ${abort}`);
+        db.exec(`CREATE TRIGGER IF NOT EXISTS sealed_${table}_update BEFORE UPDATE ON ${table} WHEN ${sealed('OLD.log_id')} ${abort}`);
+        db.exec(`CREATE TRIGGER IF NOT EXISTS sealed_${table}_delete BEFORE DELETE ON ${table} WHEN ${sealed('OLD.log_id')} ${abort}`);
+      }
+
+      db.exec(`CREATE TRIGGER IF NOT EXISTS log_seals_update BEFORE UPDATE ON log_seals BEGIN SELECT RAISE(ABORT, 'Seals cannot be modified'); END`);
+      db.exec(`CREATE TRIGGER IF NOT EXISTS log_seals_delete BEFORE DELETE ON log_seals BEGIN SELECT RAISE(ABORT, 'Seals cannot be removed'); END`);
+    }
+  },
+  {
+    version: 6,
+    description: 'Track points table',
+    up(db) {
+      // Auto-tracked positions in SignalK units: SOG in m/s, COG and heading in radians
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS track_points (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          voyage_id INTEGER,
+          timestamp INTEGER NOT NULL,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          sog REAL,
+          cog REAL,
+          heading REAL,
+          source TEXT
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_track_voyage_time ON track_points(voyage_id, timestamp)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_track_time ON track_points(timestamp)`);
+
+      // Move auto-tracked log entries across. Their log_data values were stored
+      // formatted for display, so SOG is converted back from the recorded unit;
+      // course and heading were never converted and are still radians.
+      const observation = (dataPath, valueExpr) => `(
+        SELECT ${valueExpr} FROM log_data d
+        WHERE d.log_id = le.id AND d.data_path = '${dataPath}' LIMIT 1
+      )`;
+      const sog = `CASE d.data_unit
+        WHEN 'kts' THEN CAST(d.data_value AS REAL) / 1.94384
+        WHEN 'km/h' THEN CAST(d.data_value AS REAL) / 3.6
+        WHEN 'm/s' THEN CAST(d.data_value AS REAL)
+      END`;
+      const radians = `CASE WHEN COALESCE(d.data_unit, '') = '' THEN CAST(d.data_value AS REAL) END`;
+
+      db.exec(`
+        INSERT INTO track_points (voyage_id, timestamp, latitude, longitude, sog, cog, heading, source)
+        SELECT le.voyage_id, le.timestamp, le.latitude, le.longitude,
+               ${observation('navigation.speedOverGround', sog)},
+               ${observation('navigation.courseOverGroundTrue', radians)},
+               ${observation('navigation.headingTrue', radians)},
+               NULL
+        FROM log_entries le
+        WHERE le.is_auto_track = 1 AND le.latitude IS NOT NULL AND le.longitude IS NOT NULL
+        ORDER BY le.timestamp ASC, le.id ASC
+      `);
+
+      const autoTracked = 'SELECT id FROM log_entries WHERE is_auto_track = 1';
+      db.exec(`DELETE FROM log_revisions WHERE log_id IN (${autoTracked})`);
+      db.exec(`DELETE FROM distance_log WHERE log_id IN (${autoTracked})`);
+      db.exec(`DELETE FROM log_data WHERE log_id IN (${autoTracked})`);
+      db.exec(`DELETE FROM log_entries WHERE is_auto_track = 1`);
+    }
+  },
+  {
+    version: 7,
+    description: 'Backfill voyage_id',
+    up(db) {
+      // Older rows were grouped into voyages by timestamp alone. Give each one the
+      // voyage whose window contains it: from its start until it was ended, or
+      // until the next voyage started. Rows outside every voyage stay NULL.
+      const voyageFor = (ref) => `(
+        SELECT v.id FROM voyage_info v
+        WHERE v.start_timestamp <= ${ref}
+          AND ${ref} < COALESCE(
+            v.end_timestamp,
+            (SELECT MIN(n.start_timestamp) FROM voyage_info n WHERE n.start_timestamp > v.start_timestamp),
+            ${ref} + 1
+          )
+        ORDER BY v.start_timestamp DESC LIMIT 1
+      )`;
+
+      // Sealed entries are read-only and keep whatever voyage they were sealed with
+      db.exec(`
+        UPDATE log_entries SET voyage_id = ${voyageFor('log_entries.timestamp')}
+        WHERE voyage_id IS NULL AND id NOT IN (SELECT log_id FROM log_seals)
+      `);
+      db.exec(`
+        UPDATE track_points SET voyage_id = ${voyageFor('track_points.timestamp')}
+        WHERE voyage_id IS NULL
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_log_voyage ON log_entries(voyage_id, timestamp)`);
+    }
+  },
+  {
+    version: 8,
+    description: 'Voyage statistics cache',
+    up(db) {
+      // Maintained incrementally as track points and reports are written.
+      // Rows are filled in by LogStorage on open — distance needs JS, not SQL.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS voyage_stats (
+          voyage_id INTEGER PRIMARY KEY,
+          distance REAL NOT NULL DEFAULT 0,
+          point_count INTEGER NOT NULL DEFAULT 0,
+          reports_sent INTEGER NOT NULL DEFAULT 0,
+          first_fix_timestamp INTEGER,
+          first_latitude REAL,
+          first_longitude REAL,
+          last_fix_timestamp INTEGER,
+          last_latitude REAL,
+          last_longitude REAL
+        )
+      `);
+    }
+  },
+  {
+    version: 9,
+    description: 'Full-text search index',
+    up(db) {
+      // External-content FTS5 index over log and journal text, kept in step by triggers
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS log_search USING fts5(
+          log_text,
+          author,
+          content = 'log_entries',
+          content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        )
+      `);
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS log_search_insert AFTER INSERT ON log_entries BEGIN
+          INSERT INTO log_search (rowid, log_text, author) VALUES (NEW.id, NEW.log_text, NEW.author);
+        END
+      `);
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS log_search_delete AFTER DELETE ON log_entries BEGIN
+          INSERT INTO log_search (log_search, rowid, log_text, author) VALUES ('delete', OLD.id, OLD.log_text, OLD.author);
+        END
+      `);
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS log_search_update AFTER UPDATE OF log_text, author ON log_entries BEGIN
+          INSERT INTO log_search (log_search, rowid, log_text, author) VALUES ('delete', OLD.id, OLD.log_text, OLD.author);
+          INSERT INTO log_search (rowid, log_text, author) VALUES (NEW.id, NEW.log_text, NEW.author);
+        END
+      `);
+
+      db.exec(`INSERT INTO log_search (log_search) VALUES ('rebuild')`);
+    }
+  },
+  {
+    version: 10,
+    description: 'Raw SI data values',
+    up(db) {
+      // Readings are stored as SignalK SI numbers and converted when shown
+      addColumnIfMissing(db, 'log_data', 'raw_value', 'REAL');
+
+      // Recover SI values from the text shown at the time, by its recorded unit.
+      // These were rounded to two decimals, so the recovered value is too.
+      const v = 'CAST(data_value AS REAL)';
+      const raw = `CASE COALESCE(data_unit, '')
+        WHEN '°C' THEN ${v} + 273.15
+        WHEN '°F' THEN (${v} - 32) * 5.0 / 9.0 + 273.15
+        WHEN '°' THEN ${v} * ${Math.PI} / 180
+        WHEN 'kts' THEN ${v} / 1.94384
+        WHEN 'km/h' THEN ${v} / 3.6
+        WHEN 'hPa' THEN ${v} * 100
+        WHEN 'inHg' THEN ${v} / 0.0002953
+        WHEN 'km' THEN ${v} * 1000
+        WHEN 'nm' THEN ${v} * 1852
+        WHEN 'ft' THEN ${v} / 3.28084
+        WHEN '%' THEN ${v} / 100
+        WHEN 'm/s' THEN ${v}
+        WHEN 'm' THEN ${v}
+        WHEN 'V' THEN ${v}
+        WHEN '' THEN ${v}
+      END`;
+
+      // Only plain numbers are converted; anything else stays as text. Sealed
+      // entries are read-only and keep the text they were sealed with.
+      db.exec(`
+        UPDATE log_data SET raw_value = ${raw}, data_value = NULL, data_unit = NULL
+        WHERE raw_value IS NULL
+          AND trim(data_value) GLOB '*[0-9]*'
+          AND trim(data_value) NOT GLOB '*[^0-9.+-]*'
+          AND log_id NOT IN (SELECT log_id FROM log_seals)
+      `);
+    }
+  },
+  {
+    version: 11,
+    description: 'Data value units',
+    up(db) {
+      // SI unit of raw_value from the path's SignalK metadata. Rows stored
+      // before this are left NULL and fall back to the old path rules.
+      addColumnIfMissing(db, 'log_data', 'raw_unit', 'TEXT');
+    }
+  },
+  {
+    version: 12,
+    description: 'Interval statistics',
+    up(db) {
+      // Statistics of each reading since the previous report, in the same SI
+      // unit as raw_value (the last reading). min/max are NULL for angles.
+      addColumnIfMissing(db, 'log_data', 'stat_min', 'REAL');
+      addColumnIfMissing(db, 'log_data', 'stat_max', 'REAL');
+      addColumnIfMissing(db, 'log_data', 'stat_mean', 'REAL');
+      addColumnIfMissing(db, 'log_data', 'stat_samples', 'INTEGER');
+      addColumnIfMissing(db, 'log_data', 'stat_since', 'INTEGER');
+    }
+  },
+  {
+    version: 13,
+    description: 'Pressure history',
+    up(db) {
+      // Rolling barometer history (Pa) for the 3h/24h pressure trend
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS pressure_history (
+          timestamp INTEGER PRIMARY KEY,
+          pressure REAL NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 14,
+    description: 'Data quality and source',
+    up(db) {
+      // quality: NULL for a good reading, 'stale' (stored without a value) or
+      // 'substituted' (taken from a fallback source); source: the $source used
+      addColumnIfMissing(db, 'log_data', 'quality', 'TEXT');
+      addColumnIfMissing(db, 'log_data', 'source', 'TEXT');
+    }
+  },
+  {
+    version: 15,
+    description: 'Track point GNSS quality',
+    up(db) {
+      // Satellites in use and horizontal dilution of precision of each fix
+      addColumnIfMissing(db, 'track_points', 'satellites', 'INTEGER');
+      addColumnIfMissing(db, 'track_points', 'hdop', 'REAL');
+    }
+  },
+  {
+    version: 16,
+    description: 'Rejected GPS fixes',
+    up(db) {
+      // Fixes kept out of the track as implausible, live or by a track clean-up.
+      // reason: 'invalid', 'null_island', 'hdop' or 'speed'
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS rejected_fixes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          voyage_id INTEGER,
+          timestamp INTEGER NOT NULL,
+          latitude REAL,
+          longitude REAL,
+          hdop REAL,
+          source TEXT,
+          reason TEXT NOT NULL,
+          detail TEXT,
+          rejected_at INTEGER NOT NULL
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_rejected_voyage_time ON rejected_fixes(voyage_id, timestamp)`);
+    }
+  },
+  {
+    version: 17,
+    description: 'Dead-reckoned positions',
+    up(db) {
+      // position_type: NULL for a GPS fix, 'dr' for a dead-reckoned estimate;
+      // position_error: estimated error of a DR position in nautical miles
+      addColumnIfMissing(db, 'track_points', 'position_type', 'TEXT');
+      addColumnIfMissing(db, 'track_points', 'position_error', 'REAL');
+      addColumnIfMissing(db, 'log_entries', 'position_type', 'TEXT');
+      addColumnIfMissing(db, 'log_entries', 'position_error', 'REAL');
+    }
+  },
+  {
+    version: 18,
+    description: 'Track segments',
+    up(db) {
+      // segment: the unbroken stretch of a voyage's track a point belongs to, from 0.
+      // No line is drawn across a change of segment, and the distance across it
+      // is kept apart in gap_distance
+      addColumnIfMissing(db, 'track_points', 'segment', 'INTEGER NOT NULL DEFAULT 0');
+      addColumnIfMissing(db, 'voyage_stats', 'gap_distance', 'REAL NOT NULL DEFAULT 0');
+      addColumnIfMissing(db, 'voyage_stats', 'last_segment', 'INTEGER');
+
+      // Split existing tracks where recording stopped for over 2 hours and resumed elsewhere
+      const points = db.prepare(`
+        SELECT id, voyage_id, timestamp, latitude, longitude FROM track_points
+        ORDER BY voyage_id, timestamp, id
+      `).all();
+      const setSegment = db.prepare('UPDATE track_points SET segment = ? WHERE id = ?');
+      let previous = null;
+      let segment = 0;
+      for (const point of points) {
+        if (!previous || previous.voyage_id !== point.voyage_id) {
+          segment = 0;
+        } else if (isGap(previous, point, { gapMinutes: 120, distance: 500 })) {
+          segment++;
+        }
+        if (segment > 0) setSegment.run(segment, point.id);
+        previous = point;
+      }
+
+      // Rebuilt on start-up with the gaps kept out of the distance
+      db.exec('DELETE FROM voyage_stats');
+    }
+  },
+  {
+    version: 19,
+    description: 'Thinned track distance',
+    up(db) {
+      // thinned_distance: nautical miles sailed through points removed by track
+      // thinning since the previous point, beyond the straight line between them,
+      // so retention never shortens the distance in the logbook
+      addColumnIfMissing(db, 'track_points', 'thinned_distance', 'REAL NOT NULL DEFAULT 0');
+    }
+  }
+];
+
+module.exports = {
+  MIGRATIONS,
+  addColumnIfMissing
+};
@@ -0,0 +1,81 @@
+/**
+ * Logbook sealing hash chain
+ *
+ * A sealed log entry is reduced to a canonical string (entry row, its data,
+ * distance and correction history) and hashed together with the hash of the
+ * previously sealed entry. Rewriting any sealed entry, or removing one from
+ * the middle of the chain, breaks every hash after it.
+ */
+const crypto = require('crypto');
+
+// prev_hash of the first sealed entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Bump when the canonical form changes; each seal records the format it used
+const CURRENT_FORMAT = 6;
+
+// log_data columns covered by each format, in canonical order. Format 2 added
+// the raw SI value, 3 its unit, 4 the interval statistics, 5 quality and source.
+// Format 6 added the entry's position type and error, leaving log_data as it was.
+const DATA_FIELDS = [
+  'id', 'data_path', 'data_label', 'data_value', 'data_unit', 'raw_value', 'raw_unit',
+  'stat_min', 'stat_max', 'stat_mean', 'stat_samples', 'stat_since', 'quality', 'source'
+];
+const DATA_FIELD_COUNT = { 1: 5, 2: 6, 3: 7, 4: 12, 5: 14, 6: 14 };
+
+/**
+ * Build the canonical string for a log entry
+ * Delivery bookkeeping (email_sent, report_log_id) is deliberately left out —
+ * it may still change after sealing without altering what the log says.
+ *
+ * @param {Object} log - log_entries row
+ * @param {Array} data - log_data rows for the entry
+ * @param {Object|null} distance - distance_log row for the entry
+ * @param {Array} revisions - log_revisions rows for the entry
+ * @param {number} format - Canonical format version
+ * @returns {string} Canonical representation
+ */
+function canonicalize(log, data, distance, revisions, format = CURRENT_FORMAT) {
+  if (!DATA_FIELD_COUNT[format]) {
+    throw new Error(`Unknown seal format ${format}`);
+  }
+
+  return JSON.stringify({
+    id: log.id,
+    voyageId: log.voyage_id,
+    timestamp: log.timestamp,
+    dateStr: log.date_str,
+    latitude: log.latitude,
+    longitude: log.longitude,
+    ...(format >= 6 ? { positionType: log.position_type, positionError: log.position_error } : {}),
+    logText: log.log_text,
+    author: log.author,
+    isAutoTrack: log.is_auto_track,
+    isJournal: log.is_journal,
+    isDeleted: log.is_deleted,
+    data: [...data]
+      .sort((a, b) => a.id - b.id)
+      .map(d => DATA_FIELDS.slice(0, DATA_FIELD_COUNT[format]).map(field => d[field])),
+    distance: distance ? [distance.distance_since_last, distance.total_distance] : null,
+    revisions: [...revisions]
+      .sort((a, b) => a.id - b.id)
+      .map(r => [r.id, r.action, r.field, r.data_id, r.old_value, r.new_value, r.reason, r.author, r.revised_at])
+  });
+}
+
+/**
+ * Hash a canonical entry onto the chain
+ * @param {string} prevHash - Hash of the previously sealed entry
+ * @param {string} canonical - Canonical entry string
+ * @returns {string} Hex SHA-256 hash
+ */
+function chainHash(prevHash, canonical) {
+  return crypto.createHash('sha256').update(prevHash).update('\n').update(canonical).digest('hex');
+}
+
+module.exports = {
+  GENESIS_HASH,
+  CURRENT_FORMAT,
+  canonicalize,
+  chainHash
+};
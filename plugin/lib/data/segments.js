@@ -0,0 +1,74 @@
+/**
+ * Track segments
+ *
+ * A voyage track is split into numbered segments wherever recording was
+ * interrupted, so a gap is never drawn as a straight line or counted as
+ * distance sailed.
+ */
+
+const { distanceMetres } = require('./fixFilter');
+
+/**
+ * Whether the silence between two points is a gap in the track: long, and
+ * ending somewhere else (a boat lying at anchor has no gap)
+ *
+ * @param {Object} previous - { timestamp, latitude, longitude }
+ * @param {Object} point - { timestamp, latitude, longitude }
+ * @param {Object} limits - { gapMinutes, distance (metres) }
+ * @returns {boolean}
+ */
+function isGap(previous, point, { gapMinutes, distance }) {
+  return point.timestamp - previous.timestamp > gapMinutes * 60 &&
+    distanceMetres(previous.latitude, previous.longitude, point.latitude, point.longitude) >= distance;
+}
+
+/**
+ * Whether a point starts or ends a segment. Points without a segment number
+ * (log entry positions) in between are looked past.
+ *
+ * @param {Array} points - Track in time order
+ * @param {number} i - Index of the point
+ * @returns {boolean}
+ */
+function isSegmentEnd(points, i) {
+  const segment = points[i].segment;
+  if (segment == null) return false;
+  const neighbourDiffers = (step) => {
+    for (let j = i + step; j >= 0 && j < points.length; j += step) {
+      if (points[j].segment != null) return points[j].segment !== segment;
+    }
+    return false;
+  };
+  return neighbourDiffers(-1) || neighbourDiffers(1);
+}
+
+/**
+ * Split a track into its segments. Points without a segment number (log
+ * entry positions) belong to the segment in progress.
+ *
+ * @param {Array} points - Track in time order
+ * @returns {Array<Array>} Non-empty segments, in order
+ */
+function splitSegments(points) {
+  const segments = [];
+  let current = null;
+  let currentSegment = null;
+  for (const point of points) {
+    const segment = point.segment ?? null;
+    if (current && segment !== null && currentSegment !== null && segment !== currentSegment) {
+      segments.push(current);
+      current = null;
+    }
+    if (!current) current = [];
+    current.push(point);
+    if (segment !== null) currentSegment = segment;
+  }
+  if (current) segments.push(current);
+  return segments;
+}
+
+module.exports = {
+  isGap,
+  isSegmentEnd,
+  splitSegments
+};
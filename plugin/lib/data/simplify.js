@@ -0,0 +1,114 @@
+/**
+ * Track simplification
+ *
+ * Douglas-Peucker thinning of voyage tracks, used to retire old track points
+ * and to lighten exports and chart overlays. Log entry positions, stops and
+ * the ends of each track segment always survive.
+ */
+
+const { MS_TO_KNOTS } = require('./fixFilter');
+const { isSegmentEnd } = require('./segments');
+
+const METRES_PER_DEGREE = 111195;
+const STOP_SPEED_KNOTS = 1;
+
+/**
+ * Whether a point must survive simplification
+ * @param {Object} point - Track point; log entry positions carry log_id
+ * @returns {boolean} True for log entry positions and stops
+ */
+function isLandmark(point) {
+  return point.log_id != null ||
+    (typeof point.sog === 'number' && point.sog * MS_TO_KNOTS < STOP_SPEED_KNOTS);
+}
+
+// Distance in metres from point p to the segment a-b, on a flat projection around a
+function offsetMetres(p, a, b) {
+  const cosLat = Math.cos(a.latitude * Math.PI / 180);
+  const project = (point) => ({
+    x: (((point.longitude - a.longitude + 540) % 360) - 180) * cosLat * METRES_PER_DEGREE,
+    y: (point.latitude - a.latitude) * METRES_PER_DEGREE
+  });
+  const pp = project(p);
+  const pb = project(b);
+  const lengthSq = pb.x * pb.x + pb.y * pb.y;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, (pp.x * pb.x + pp.y * pb.y) / lengthSq)) : 0;
+  return Math.hypot(pp.x - t * pb.x, pp.y - t * pb.y);
+}
+
+/**
+ * Douglas-Peucker significance of each point: the largest tolerance (metres)
+ * at which it would still be kept. The ends of the track and of each segment,
+ * and landmarks, are never dropped.
+ *
+ * @param {Array} points - { latitude, longitude } in track order
+ * @param {Function} isKept - Landmark test
+ * @returns {number[]} Significance per point (Infinity for anchors)
+ */
+function significance(points, isKept) {
+  const result = new Array(points.length).fill(0);
+  const anchors = [];
+  points.forEach((point, i) => {
+    if (i === 0 || i === points.length - 1 || isKept(point) || isSegmentEnd(points, i)) {
+      result[i] = Infinity;
+      anchors.push(i);
+    }
+  });
+
+  // Landmarks split the track; each stretch between them is simplified on its own
+  const stack = [];
+  for (let i = 1; i < anchors.length; i++) {
+    stack.push([anchors[i - 1], anchors[i], Infinity]);
+  }
+  while (stack.length > 0) {
+    const [start, end, limit] = stack.pop();
+    if (end - start < 2) continue;
+
+    let farthest = start + 1;
+    let maxOffset = -1;
+    for (let i = start + 1; i < end; i++) {
+      const offset = offsetMetres(points[i], points[start], points[end]);
+      if (offset > maxOffset) {
+        maxOffset = offset;
+        farthest = i;
+      }
+    }
+    // A point never outranks the split that made it a candidate
+    result[farthest] = Math.min(maxOffset, limit);
+    stack.push([start, farthest, result[farthest]], [farthest, end, result[farthest]]);
+  }
+  return result;
+}
+
+/**
+ * Simplify a track
+ *
+ * @param {Array} points - Track points in order, with latitude and longitude
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Drop points that move the line less than this (metres); 0 keeps all
+ * @param {number} [options.maxPoints] - Keep at most this many points, the least significant going first;
+ *   0 for no limit. Ends of the track and its segments, and landmarks, are always kept.
+ * @param {Function} [options.isKept] - Landmark test, defaults to log entry positions and stops
+ * @returns {Array} The surviving points, in order
+ */
+function simplifyTrack(points, { tolerance = 0, maxPoints = 0, isKept = isLandmark } = {}) {
+  if (points.length <= 2 || (!(tolerance > 0) && !(maxPoints > 0))) return points;
+
+  const ranks = significance(points, isKept);
+  const keep = ranks.map(rank => rank === Infinity || !(tolerance > 0) || rank > tolerance);
+
+  if (maxPoints > 0) {
+    const kept = ranks.map((rank, i) => i).filter(i => keep[i]);
+    if (kept.length > maxPoints) {
+      kept.sort((a, b) => ranks[b] - ranks[a]).slice(maxPoints)
+        .forEach(i => { if (ranks[i] !== Infinity) keep[i] = false; });
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+}
+
+module.exports = {
+  simplifyTrack,
+  isLandmark
+};
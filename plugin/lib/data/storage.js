@@ -1,12 +1,66 @@
 const { DatabaseSync: Database } = require('node:sqlite'); // built-in Node 22+ — no dependencies, no WASM, no compilation
+const fs = require('fs');
 const path = require('path');
+const { MIGRATIONS } = require('./migrations');
+const { GENESIS_HASH, CURRENT_FORMAT, canonicalize, chainHash } = require('./sealChain');
+const { checkFix } = require('./fixFilter');
+const { simplifyTrack, isLandmark } = require('./simplify');
+
+const EARTH_RADIUS_NM = 3440.065;
+
+// Private-use markers FTS5 puts around matches, swapped for <mark> once the text is escaped
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+
+/**
+ * Turn free text into an FTS5 query: words become prefix terms, "quoted text"
+ * stays a phrase, and FTS5 operators in user input are treated as plain words.
+ *
+ * @param {string} text - User search text
+ * @returns {string|null} FTS5 MATCH expression, or null if nothing searchable
+ */
+function buildSearchQuery(text) {
+  const terms = [];
+  for (const [, phrase, word] of String(text || '').matchAll(/"([^"]*)"|([^\s"]+)/g)) {
+    const tokens = (phrase ?? word).match(/[\p{L}\p{N}_]+/gu);
+    if (!tokens) continue;
+    terms.push(phrase !== undefined ? `"${tokens.join(' ')}"` : tokens.map(t => `"${t}"*`).join(' '));
+  }
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+function highlightSnippet(snippet) {
+  return String(snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+}
+
+// Great-circle distance between two positions in nautical miles
+function haversineNm(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_NM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
 
 class LogStorage {
-  constructor(app) {
+  /**
+   * @param {Object} app - SignalK app
+   * @param {Object} [options] - Plugin options
+   */
+  constructor(app, options = {}) {
     this.app = app;
+    this.options = options;
     const dataDir = app.getDataDirPath();
     this.dbPath = path.join(dataDir, 'noon-log.db');
     this.db = null;
+    this.inTransaction = false;
   }
 
   // Synchronous init — DatabaseSync is fully synchronous, no await needed
@@ -16,22 +70,8 @@ class LogStorage {
       this.db = new Database(this.dbPath);
       this.app.debug(`Database opened: ${this.dbPath}`);
 
-      // Check if table has new columns - if not, recreate
-      const tableInfo = this.db.prepare('PRAGMA table_info(log_entries)').all();
-      if (tableInfo.length > 0) {
-        const columns = tableInfo.map(row => row.name);
-        const hasVoyageId = columns.includes('voyage_id');
-        const hasIsAutoTrack = columns.includes('is_auto_track');
-
-        if (!hasVoyageId || !hasIsAutoTrack) {
-          this.app.debug('Outdated schema detected, recreating tables...');
-          this.db.exec('DROP TABLE IF EXISTS log_entries');
-          this.db.exec('DROP TABLE IF EXISTS log_data');
-          this.db.exec('DROP TABLE IF EXISTS distance_log');
-        }
-      }
-
-      this.createTables();
+      this.runMigrations();
+      this.buildMissingVoyageStats();
       this.app.debug('Noon log database initialized');
       return true;
     } catch (error) {
@@ -42,57 +82,127 @@ class LogStorage {
 
   // No saveDatabase() — node:sqlite writes to disk on every run() call automatically
 
-  createTables() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS log_entries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        voyage_id INTEGER,
-        timestamp INTEGER NOT NULL,
-        date_str TEXT NOT NULL,
-        latitude REAL,
-        longitude REAL,
-        log_text TEXT,
-        email_sent BOOLEAN DEFAULT 0,
-        is_auto_track BOOLEAN DEFAULT 0,
-        created_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
+  // Whether distance between track segments (across a gap in recording) counts as sailed
+  get countGapDistance() {
+    return Boolean(this.options.positionTracking?.countGapDistance);
+  }
 
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS log_data (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        log_id INTEGER NOT NULL,
-        data_path TEXT NOT NULL,
-        data_label TEXT,
-        data_value TEXT,
-        data_unit TEXT,
-        FOREIGN KEY (log_id) REFERENCES log_entries(id) ON DELETE CASCADE
-      )
-    `);
+  /**
+   * Run fn inside a transaction — commits on return, rolls back on throw.
+   * Nested calls join the outer transaction.
+   */
+  transaction(fn) {
+    if (this.inTransaction) {
+      return fn();
+    }
+    this.db.exec('BEGIN');
+    this.inTransaction = true;
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    } finally {
+      this.inTransaction = false;
+    }
+  }
 
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS distance_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        log_id INTEGER NOT NULL,
-        distance_since_last REAL,
-        total_distance REAL,
-        FOREIGN KEY (log_id) REFERENCES log_entries(id) ON DELETE CASCADE
-      )
-    `);
+  // Highest applied migration version, 0 for a fresh or pre-migration database
+  getSchemaVersion() {
+    const row = this.db.prepare('SELECT MAX(version) as version FROM schema_version').get();
+    return row?.version || 0;
+  }
 
+  /**
+   * Apply pending schema migrations in order, one transaction per step.
+   * Existing logbooks are copied aside before the first step runs.
+   */
+  runMigrations() {
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS voyage_info (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        voyage_name TEXT,
-        start_timestamp INTEGER NOT NULL,
-        end_timestamp INTEGER,
-        is_active BOOLEAN DEFAULT 1
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        description TEXT,
+        applied_at INTEGER DEFAULT (strftime('%s', 'now'))
       )
     `);
 
-    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_log_timestamp ON log_entries(timestamp)`);
-    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_log_date ON log_entries(date_str)`);
-    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_voyage_active ON voyage_info(is_active)`);
+    const currentVersion = this.getSchemaVersion();
+    const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+    if (pending.length === 0) return;
+
+    if (this.hasExistingData()) {
+      this.backupBeforeMigration(currentVersion);
+    }
+
+    for (const migration of pending) {
+      this.app.debug(`Applying schema migration ${migration.version}: ${migration.description}`);
+      try {
+        this.transaction(() => {
+          migration.up(this.db);
+          this.db.prepare(`
+            INSERT INTO schema_version (version, description) VALUES (?, ?)
+          `).run(migration.version, migration.description);
+        });
+      } catch (error) {
+        throw new Error(`Schema migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+      }
+    }
+
+    this.app.debug(`Database schema at version ${this.getSchemaVersion()}`);
+  }
+
+  // True if the database already holds a logbook (as opposed to a fresh file)
+  hasExistingData() {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name = 'log_entries'
+    `).get();
+    return row.count > 0;
+  }
+
+  /**
+   * Write a consistent copy of the database next to it before migrating
+   * @param {number} fromVersion - Schema version being migrated from
+   * @returns {string} Backup file path
+   */
+  backupBeforeMigration(fromVersion) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${this.dbPath}.v${fromVersion}-${stamp}.bak`;
+    this.writeSnapshot(backupPath);
+    this.app.debug(`Pre-migration backup written: ${backupPath}`);
+    return backupPath;
+  }
+
+  /**
+   * Write a consistent, compacted copy of the open database to a new file.
+   * VACUUM INTO reads inside a single transaction, so the copy is never torn.
+   *
+   * @param {string} destPath - Destination file (must not exist)
+   */
+  writeSnapshot(destPath) {
+    this.db.prepare('VACUUM INTO ?').run(destPath);
+  }
+
+  /**
+   * Replace the logbook with a snapshot file and reopen it, upgrading the
+   * schema if the snapshot is older. Falls back to the previous file if the
+   * snapshot can't be opened.
+   *
+   * @param {string} snapshotPath - Validated snapshot to restore
+   * @param {string} safetyPath - Where to keep a copy of the current logbook
+   */
+  replaceWithSnapshot(snapshotPath, safetyPath) {
+    this.writeSnapshot(safetyPath);
+    this.close();
+
+    fs.copyFileSync(snapshotPath, this.dbPath);
+    if (this.init()) return;
+
+    this.close();
+    fs.copyFileSync(safetyPath, this.dbPath);
+    this.init();
+    throw new Error('Restored database could not be opened — previous logbook reinstated');
   }
 
   // Create a new log entry
@@ -102,17 +212,20 @@ class LogStorage {
       const voyageId = voyage ? voyage.id : null;
 
       const result = this.db.prepare(`
-        INSERT INTO log_entries (voyage_id, timestamp, date_str, latitude, longitude, log_text, email_sent, is_auto_track)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO log_entries (voyage_id, timestamp, date_str, latitude, longitude, position_type, position_error, log_text, author, email_sent, is_journal)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         voyageId,
         data.timestamp,
         data.dateStr,
         data.latitude || null,
         data.longitude || null,
+        data.positionType || null,
+        data.positionError ?? null,
         data.logText || null,
+        data.author || null,
         data.emailSent ? 1 : 0,
-        data.isAutoTrack ? 1 : 0
+        data.isJournal ? 1 : 0
       );
 
       return result.lastInsertRowid;
@@ -122,12 +235,94 @@ class LogStorage {
     }
   }
 
-  // Add data point to a log entry
-  addLogData(logId, dataPath, label, value, unit) {
+  /**
+   * Record an auto-tracked position against the active voyage
+   * @param {Object} point - { timestamp, latitude, longitude, sog, cog, heading, satellites, hdop, source,
+   *   positionType, positionError, newSegment } in SignalK units; positionType 'dr' with positionError in nm
+   *   for dead reckoning; newSegment after a gap in recording
+   * @returns {number} Track point ID
+   */
+  addTrackPoint(point) {
+    return this.transaction(() => {
+      const voyage = this.getActiveVoyage();
+      // Read the cached statistics before inserting, so a first-time build doesn't include this point
+      const stats = voyage ? this.getVoyageStats(voyage.id) : null;
+      const segment = stats?.last_segment == null ? 0 : stats.last_segment + (point.newSegment ? 1 : 0);
+
+      const result = this.db.prepare(`
+        INSERT INTO track_points (voyage_id, timestamp, latitude, longitude, sog, cog, heading, satellites, hdop, source, position_type, position_error, segment)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        voyage ? voyage.id : null,
+        point.timestamp,
+        point.latitude,
+        point.longitude,
+        point.sog ?? null,
+        point.cog ?? null,
+        point.heading ?? null,
+        point.satellites ?? null,
+        point.hdop ?? null,
+        point.source || null,
+        point.positionType || null,
+        point.positionError ?? null,
+        segment
+      );
+
+      if (voyage) {
+        this.addPointToVoyageStats(stats, { ...point, segment });
+      }
+      return result.lastInsertRowid;
+    });
+  }
+
+  /**
+   * Add data point to a log entry. Numbers are stored as the raw SignalK SI
+   * value with the unit from the path's metadata and, for reports, statistics
+   * since the last report; anything else (text, objects) is kept as text.
+   *
+   * @param {number} logId - Log entry ID
+   * @param {Object} item - Collected reading { path, label, value, units, stats, quality, source }
+   */
+  addLogData(logId, item) {
+    const { path: dataPath, label, value, units, stats, quality, source } = item;
+    const isNumber = typeof value === 'number' && Number.isFinite(value);
+    let text = null;
+    if (!isNumber && value !== null && value !== undefined) {
+      text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    this.db.prepare(`
+      INSERT INTO log_data (
+        log_id, data_path, data_label, data_value, raw_value, raw_unit,
+        stat_min, stat_max, stat_mean, stat_samples, stat_since, quality, source
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      logId, dataPath, label, text, isNumber ? value : null, isNumber ? units || '' : null,
+      stats?.min ?? null, stats?.max ?? null, stats?.mean ?? null, stats?.samples ?? null, stats?.since ?? null,
+      quality || null, source || null
+    );
+  }
+
+  // Record a barometer reading (Pa)
+  addPressureReading(timestamp, pressure) {
     this.db.prepare(`
-      INSERT INTO log_data (log_id, data_path, data_label, data_value, data_unit)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(logId, dataPath, label, value || null, unit || null);
+      INSERT OR REPLACE INTO pressure_history (timestamp, pressure) VALUES (?, ?)
+    `).run(timestamp, pressure);
+  }
+
+  // Drop barometer readings older than a timestamp
+  prunePressureReadings(before) {
+    this.db.prepare('DELETE FROM pressure_history WHERE timestamp < ?').run(before);
+  }
+
+  // Barometer reading closest to a timestamp, within a tolerance in seconds
+  getPressureReadingNear(timestamp, tolerance) {
+    return this.db.prepare(`
+      SELECT timestamp, pressure FROM pressure_history
+      WHERE timestamp BETWEEN ? AND ?
+      ORDER BY ABS(timestamp - ?) ASC
+      LIMIT 1
+    `).get(timestamp - tolerance, timestamp + tolerance, timestamp) || null;
   }
 
   // Add distance info to a log entry
@@ -145,12 +340,12 @@ class LogStorage {
     `).all();
   }
 
-  // Get log entry for a specific date
+  // Get log entry for a specific date, ignoring deleted entries
   getLogByDate(dateStr) {
     const log = this.db.prepare(`
       SELECT * FROM log_entries
-      WHERE date_str = ?
-      ORDER BY is_auto_track ASC, timestamp DESC
+      WHERE date_str = ? AND is_deleted = 0
+      ORDER BY is_journal ASC, timestamp DESC
       LIMIT 1
     `).get(dateStr);
 
@@ -178,9 +373,10 @@ class LogStorage {
   getAllLogDates() {
     return this.db.prepare(`
       SELECT DISTINCT date_str,
-             MIN(is_auto_track) as has_noon_report,
+             MIN(is_journal) as has_noon_report,
              COUNT(*) as entry_count
       FROM log_entries
+      WHERE is_deleted = 0
       GROUP BY date_str
       ORDER BY date_str DESC
     `).all();
@@ -197,17 +393,258 @@ class LogStorage {
     return {
       ...log,
       data,
-      distance: dist || null
+      distance: dist || null,
+      revisions: this.getLogRevisions(logId),
+      seal: this.getSeal(logId)
     };
   }
 
-  // Get the last noon report entry (not auto-tracked positions)
+  // Get the correction history for a log entry, oldest first
+  getLogRevisions(logId) {
+    return this.db.prepare(`
+      SELECT * FROM log_revisions WHERE log_id = ? ORDER BY revised_at ASC, id ASC
+    `).all(logId);
+  }
+
+  /**
+   * Correct a log entry. The current values are updated but every old value
+   * is kept as a revision row, so the original entry can always be read back.
+   *
+   * @param {number} logId - Log entry ID
+   * @param {Object} changes - { logText, latitude, longitude, data: [{ id, value }] }
+   *   Numeric readings are corrected with { id, rawValue, oldText, newText }: the
+   *   new SI value plus how the change read in display units, for the history.
+   * @param {string} reason - Why the correction was made
+   * @param {string|null} author - Who made it
+   * @param {number} [revisedAt] - Trusted current Unix time
+   * @returns {Array} Revisions recorded (empty if nothing changed)
+   */
+  reviseLogEntry(logId, changes, reason, author = null, revisedAt = Math.floor(Date.now() / 1000)) {
+    return this.transaction(() => {
+      const log = this.db.prepare('SELECT * FROM log_entries WHERE id = ?').get(logId);
+      if (!log) throw new Error(`Log entry ${logId} not found`);
+      if (log.is_deleted) throw new Error(`Log entry ${logId} has been deleted`);
+      this.assertNotSealed(logId);
+
+      const insertRevision = this.db.prepare(`
+        INSERT INTO log_revisions (log_id, action, field, data_id, old_value, new_value, reason, author, revised_at)
+        VALUES (?, 'edit', ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const revisionIds = [];
+
+      const entryFields = { logText: 'log_text', latitude: 'latitude', longitude: 'longitude' };
+      for (const [key, column] of Object.entries(entryFields)) {
+        if (changes[key] === undefined) continue;
+        const newValue = changes[key] === '' ? null : changes[key];
+        if (newValue === log[column]) continue;
+
+        // column names come from the fixed map above, never from the request
+        this.db.prepare(`UPDATE log_entries SET ${column} = ? WHERE id = ?`).run(newValue, logId);
+        revisionIds.push(insertRevision.run(
+          logId, column, null,
+          log[column] == null ? null : String(log[column]),
+          newValue == null ? null : String(newValue),
+          reason, author || null, revisedAt
+        ).lastInsertRowid);
+      }
+
+      for (const item of changes.data || []) {
+        const row = this.db.prepare('SELECT * FROM log_data WHERE id = ? AND log_id = ?').get(item.id, logId);
+        if (!row) throw new Error(`Data item ${item.id} does not belong to log entry ${logId}`);
+
+        if (item.rawValue !== undefined) {
+          if (item.rawValue === row.raw_value) continue;
+          this.db.prepare('UPDATE log_data SET raw_value = ? WHERE id = ?').run(item.rawValue, item.id);
+          revisionIds.push(insertRevision.run(
+            logId, row.data_label || row.data_path, item.id,
+            item.oldText ?? (row.raw_value == null ? null : String(row.raw_value)),
+            item.newText ?? (item.rawValue == null ? null : String(item.rawValue)),
+            reason, author || null, revisedAt
+          ).lastInsertRowid);
+          continue;
+        }
+
+        const newValue = item.value == null ? null : String(item.value);
+        if (newValue === row.data_value) continue;
+
+        this.db.prepare('UPDATE log_data SET data_value = ? WHERE id = ?').run(newValue, item.id);
+        revisionIds.push(insertRevision.run(
+          logId, row.data_label || row.data_path, item.id, row.data_value, newValue,
+          reason, author || null, revisedAt
+        ).lastInsertRowid);
+      }
+
+      return revisionIds.map(id => this.db.prepare('SELECT * FROM log_revisions WHERE id = ?').get(id));
+    });
+  }
+
+  /**
+   * Delete a log entry. The row is kept and marked deleted with a revision
+   * recording who removed it and why — it stays visible, struck through.
+   * revisedAt is the trusted current Unix time.
+   */
+  deleteLogEntry(logId, reason, author = null, revisedAt = Math.floor(Date.now() / 1000)) {
+    this.transaction(() => {
+      const log = this.db.prepare('SELECT * FROM log_entries WHERE id = ?').get(logId);
+      if (!log) throw new Error(`Log entry ${logId} not found`);
+      if (log.is_deleted) throw new Error(`Log entry ${logId} has already been deleted`);
+      this.assertNotSealed(logId);
+
+      this.db.prepare('UPDATE log_entries SET is_deleted = 1 WHERE id = ?').run(logId);
+      // A deleted report no longer counts as sent
+      if (log.email_sent && log.voyage_id != null) {
+        this.db.prepare(`
+          UPDATE voyage_stats SET reports_sent = MAX(reports_sent - 1, 0) WHERE voyage_id = ?
+        `).run(log.voyage_id);
+      }
+      this.db.prepare(`
+        INSERT INTO log_revisions (log_id, action, old_value, reason, author, revised_at)
+        VALUES (?, 'delete', ?, ?, ?, ?)
+      `).run(logId, log.log_text, reason, author || null, revisedAt);
+    });
+    this.app.debug(`Log entry ${logId} marked deleted`);
+  }
+
+  // Get the seal for a log entry, or null if it is not sealed
+  getSeal(logId) {
+    return this.db.prepare('SELECT * FROM log_seals WHERE log_id = ?').get(logId) || null;
+  }
+
+  // Throw if a log entry is sealed — sealed entries are read-only
+  assertNotSealed(logId) {
+    if (this.getSeal(logId)) {
+      throw new Error(`Log entry ${logId} is sealed and cannot be modified`);
+    }
+  }
+
+  // Canonical form of a log entry as it is stored right now
+  canonicalizeLog(logId, format = CURRENT_FORMAT) {
+    const log = this.db.prepare('SELECT * FROM log_entries WHERE id = ?').get(logId);
+    if (!log) return null;
+    const data = this.db.prepare('SELECT * FROM log_data WHERE log_id = ?').all(logId);
+    const dist = this.db.prepare('SELECT * FROM distance_log WHERE log_id = ?').get(logId);
+    return canonicalize(log, data, dist || null, this.getLogRevisions(logId), format);
+  }
+
+  /**
+   * Seal all unsealed log entries for a day or a voyage onto the hash chain.
+   *
+   * @param {Object} scope - { dateStr } or { voyageId }
+   * @param {string|null} sealedBy - Who sealed
+   * @param {number} [sealedAt] - Trusted current Unix time
+   * @returns {Object} { sealed, lastHash }
+   */
+  sealLogs(scope, sealedBy = null, sealedAt = Math.floor(Date.now() / 1000)) {
+    return this.transaction(() => {
+      const where = scope.voyageId ? 'le.voyage_id = ?' : 'le.date_str = ?';
+      const param = scope.voyageId ? scope.voyageId : scope.dateStr;
+
+      const entries = this.db.prepare(`
+        SELECT le.id FROM log_entries le
+        LEFT JOIN log_seals s ON s.log_id = le.id
+        WHERE ${where} AND s.log_id IS NULL
+        ORDER BY le.timestamp ASC, le.id ASC
+      `).all(param);
+
+      const last = this.db.prepare('SELECT hash FROM log_seals ORDER BY seq DESC LIMIT 1').get();
+      let prevHash = last ? last.hash : GENESIS_HASH;
+      const insertSeal = this.db.prepare(`
+        INSERT INTO log_seals (log_id, format, prev_hash, hash, sealed_at, sealed_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+
+      for (const entry of entries) {
+        const hash = chainHash(prevHash, this.canonicalizeLog(entry.id));
+        insertSeal.run(entry.id, CURRENT_FORMAT, prevHash, hash, sealedAt, sealedBy || null);
+        prevHash = hash;
+      }
+
+      this.app.debug(`Sealed ${entries.length} log entries (${scope.voyageId ? `voyage ${param}` : param})`);
+      return { sealed: entries.length, lastHash: prevHash };
+    });
+  }
+
+  /**
+   * Recompute the whole seal chain from the stored entries
+   * @returns {Object} { intact, sealedCount, problems: [{ seq, logId, reason }] }
+   */
+  verifySealChain() {
+    const seals = this.db.prepare('SELECT * FROM log_seals ORDER BY seq ASC').all();
+    const problems = [];
+    let prevHash = GENESIS_HASH;
+
+    for (const seal of seals) {
+      if (seal.prev_hash !== prevHash) {
+        problems.push({ seq: seal.seq, logId: seal.log_id, reason: 'Chain link broken — a seal was removed or reordered' });
+      }
+
+      const canonical = this.canonicalizeLog(seal.log_id, seal.format);
+      if (canonical === null) {
+        problems.push({ seq: seal.seq, logId: seal.log_id, reason: 'Sealed log entry is missing' });
+      } else if (chainHash(seal.prev_hash, canonical) !== seal.hash) {
+        problems.push({ seq: seal.seq, logId: seal.log_id, reason: 'Log entry content does not match its seal' });
+      }
+
+      prevHash = seal.hash;
+    }
+
+    return {
+      intact: problems.length === 0,
+      sealedCount: seals.length,
+      lastHash: seals.length > 0 ? prevHash : null,
+      problems
+    };
+  }
+
+  // Get the last noon report entry (not journal entries)
   getLastLog() {
     return this.db.prepare(`
-      SELECT * FROM log_entries WHERE is_auto_track = 0 ORDER BY timestamp DESC LIMIT 1
+      SELECT * FROM log_entries
+      WHERE is_journal = 0 AND is_deleted = 0
+      ORDER BY timestamp DESC LIMIT 1
     `).get() || null;
   }
 
+  /**
+   * Full-text search over log and journal entries, best match first.
+   * Snippets are HTML-escaped with matches wrapped in <mark>.
+   *
+   * @param {Object} options - { query, voyageId, startDate, endDate, limit }
+   * @returns {Array} Matching entries with snippet
+   */
+  searchLogs({ query, voyageId = null, startDate = null, endDate = null, limit = 50 }) {
+    const match = buildSearchQuery(query);
+    if (!match) return [];
+
+    const filters = ['log_search MATCH ?', 'le.is_deleted = 0'];
+    const params = [match];
+    if (voyageId) {
+      filters.push('le.voyage_id = ?');
+      params.push(voyageId);
+    }
+    if (startDate) {
+      filters.push('le.date_str >= ?');
+      params.push(startDate);
+    }
+    if (endDate) {
+      filters.push('le.date_str <= ?');
+      params.push(endDate);
+    }
+    params.push(limit);
+
+    const rows = this.db.prepare(`
+      SELECT le.id, le.voyage_id, le.timestamp, le.date_str, le.author, le.is_journal,
+             snippet(log_search, 0, '${MATCH_START}', '${MATCH_END}', '…', 16) as snippet
+      FROM log_search
+      JOIN log_entries le ON le.id = log_search.rowid
+      WHERE ${filters.join(' AND ')}
+      ORDER BY rank
+      LIMIT ?
+    `).all(...params);
+
+    return rows.map(row => ({ ...row, snippet: highlightSnippet(row.snippet) }));
+  }
+
   // Get logs within a date range
   getLogsByDateRange(startDate, endDate) {
     return this.db.prepare(`
@@ -217,15 +654,85 @@ class LogStorage {
     `).all(startDate, endDate);
   }
 
+  /**
+   * Journal entries for the active voyage not yet rolled up into a noon report, oldest first.
+   * Deleted entries are left out. An entry already rolled up stays with that report even if it
+   * is later corrected or deleted — the report went out as it read then, and the revision
+   * history shows what changed.
+   */
+  getUnreportedJournalEntries() {
+    const voyage = this.getActiveVoyage();
+    if (!voyage) return [];
+
+    const entries = this.db.prepare(`
+      SELECT id FROM log_entries
+      WHERE is_journal = 1 AND report_log_id IS NULL AND is_deleted = 0 AND voyage_id = ?
+      ORDER BY timestamp ASC
+    `).all(voyage.id);
+
+    return entries.map(entry => this.getLogById(entry.id));
+  }
+
+  // Link journal entries to the noon report that included them; an entry is only ever rolled up once
+  attachJournalEntries(entryIds, reportLogId) {
+    const stmt = this.db.prepare(`UPDATE log_entries SET report_log_id = ? WHERE id = ? AND report_log_id IS NULL`);
+    for (const id of entryIds) {
+      stmt.run(reportLogId, id);
+    }
+  }
+
   // Update email sent status
   markEmailSent(logId) {
-    this.db.prepare(`UPDATE log_entries SET email_sent = 1 WHERE id = ?`).run(logId);
+    this.transaction(() => {
+      const log = this.db.prepare('SELECT voyage_id, email_sent, is_deleted FROM log_entries WHERE id = ?').get(logId);
+      if (!log || log.email_sent) return;
+
+      this.db.prepare(`UPDATE log_entries SET email_sent = 1 WHERE id = ?`).run(logId);
+      if (log.voyage_id != null && !log.is_deleted) {
+        this.db.prepare(`
+          UPDATE voyage_stats SET reports_sent = reports_sent + 1 WHERE voyage_id = ?
+        `).run(log.voyage_id);
+      }
+    });
+  }
+
+  // Total noon reports emailed and not since deleted, across all voyages and any entries outside a voyage
+  getReportsSentCount() {
+    const row = this.db.prepare(`
+      SELECT (SELECT COALESCE(SUM(reports_sent), 0) FROM voyage_stats)
+           + (SELECT COUNT(*) FROM log_entries WHERE voyage_id IS NULL AND email_sent = 1 AND is_deleted = 0) as count
+    `).get();
+    return row.count;
+  }
+
+  // Pending log entry — text submitted before the next noon report
+  // Stored in the database so a restart before noon doesn't lose it
+  setPendingLog(logText, author = null, submittedAt = Math.floor(Date.now() / 1000)) {
+    this.transaction(() => {
+      this.db.prepare('DELETE FROM pending_log').run();
+      if (logText) {
+        this.db.prepare(`
+          INSERT INTO pending_log (log_text, author, submitted_at) VALUES (?, ?, ?)
+        `).run(logText, author || null, submittedAt);
+      }
+    });
   }
 
-  // Voyage management
-  startNewVoyage(name = null) {
-    const voyageName = name || `Voyage ${new Date().toISOString().split('T')[0]}`;
-    const timestamp = Math.floor(Date.now() / 1000);
+  // Get the pending log entry, or null if none
+  getPendingLog() {
+    return this.db.prepare(`
+      SELECT * FROM pending_log ORDER BY id DESC LIMIT 1
+    `).get() || null;
+  }
+
+  // Remove the pending log entry once a report has consumed it
+  clearPendingLog() {
+    this.db.prepare('DELETE FROM pending_log').run();
+  }
+
+  // Voyage management — timestamp is the trusted current Unix time
+  startNewVoyage(name = null, timestamp = Math.floor(Date.now() / 1000)) {
+    const voyageName = name || `Voyage ${new Date(timestamp * 1000).toISOString().split('T')[0]}`;
 
     this.db.prepare(`
       UPDATE voyage_info SET is_active = 0, end_timestamp = ? WHERE is_active = 1
@@ -236,6 +743,7 @@ class LogStorage {
     `).run(voyageName, timestamp);
 
     const newId = result.lastInsertRowid;
+    this.db.prepare(`INSERT OR IGNORE INTO voyage_stats (voyage_id) VALUES (?)`).run(newId);
     this.app.debug(`New voyage started — ID: ${newId}, name: "${voyageName}"`);
     return newId;
   }
@@ -245,43 +753,147 @@ class LogStorage {
     return this.db.prepare(`SELECT * FROM voyage_info WHERE is_active = 1 LIMIT 1`).get() || null;
   }
 
-  // Get total distance for active voyage calculated from position track
+  // Get total distance for active voyage from the cached voyage statistics
   getVoyageDistance() {
     const voyage = this.getActiveVoyage();
     if (!voyage) return 0;
-    return this.getDistanceSinceTimestamp(voyage.id, voyage.start_timestamp);
+    const stats = this.getVoyageStats(voyage.id);
+    return Math.round((stats.distance + (this.countGapDistance ? stats.gap_distance : 0)) * 10) / 10;
+  }
+
+  /**
+   * Cached statistics for a voyage, built from its track if not yet present
+   * @param {number} voyageId - Voyage ID
+   * @returns {Object} voyage_stats row
+   */
+  getVoyageStats(voyageId) {
+    const stats = this.db.prepare('SELECT * FROM voyage_stats WHERE voyage_id = ?').get(voyageId);
+    return stats || this.rebuildVoyageStats(voyageId);
+  }
+
+  /**
+   * Recompute a voyage's cached statistics from scratch.
+   * Call after anything other than appending removes or rewrites track points.
+   *
+   * @param {number} voyageId - Voyage ID
+   * @returns {Object} voyage_stats row
+   */
+  rebuildVoyageStats(voyageId) {
+    return this.transaction(() => {
+      const points = this.db.prepare(`
+        SELECT timestamp, latitude, longitude, segment, thinned_distance FROM track_points
+        WHERE voyage_id = ? ORDER BY timestamp ASC, id ASC
+      `).all(voyageId);
+
+      let distance = 0;
+      let gapDistance = 0;
+      for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const leg = haversineNm(prev.latitude, prev.longitude, points[i].latitude, points[i].longitude);
+        if (points[i].segment === prev.segment) {
+          distance += leg + points[i].thinned_distance;
+        } else {
+          gapDistance += leg;
+        }
+      }
+
+      const reports = this.db.prepare(`
+        SELECT COUNT(*) as count FROM log_entries WHERE voyage_id = ? AND email_sent = 1 AND is_deleted = 0
+      `).get(voyageId);
+      const first = points[0] || {};
+      const last = points[points.length - 1] || {};
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO voyage_stats (
+          voyage_id, distance, gap_distance, point_count, reports_sent,
+          first_fix_timestamp, first_latitude, first_longitude,
+          last_fix_timestamp, last_latitude, last_longitude, last_segment
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        voyageId, distance, gapDistance, points.length, reports.count,
+        first.timestamp ?? null, first.latitude ?? null, first.longitude ?? null,
+        last.timestamp ?? null, last.latitude ?? null, last.longitude ?? null, last.segment ?? null
+      );
+
+      return this.db.prepare('SELECT * FROM voyage_stats WHERE voyage_id = ?').get(voyageId);
+    });
+  }
+
+  // Fill in statistics for any voyage that has none yet (e.g. after upgrading)
+  buildMissingVoyageStats() {
+    const missing = this.db.prepare(`
+      SELECT v.id FROM voyage_info v
+      LEFT JOIN voyage_stats s ON s.voyage_id = v.id
+      WHERE s.voyage_id IS NULL
+    `).all();
+
+    for (const voyage of missing) {
+      this.rebuildVoyageStats(voyage.id);
+    }
+    if (missing.length > 0) {
+      this.app.debug(`Built voyage statistics for ${missing.length} voyage(s)`);
+    }
+  }
+
+  // Extend a voyage's cached statistics (as read before the insert) with a newly recorded track point
+  addPointToVoyageStats(stats, point) {
+    const voyageId = stats.voyage_id;
+
+    // A fix older than the last one can't be appended — recompute instead
+    if (stats.last_fix_timestamp != null && point.timestamp < stats.last_fix_timestamp) {
+      this.rebuildVoyageStats(voyageId);
+      return;
+    }
+
+    const leg = stats.last_fix_timestamp != null
+      ? haversineNm(stats.last_latitude, stats.last_longitude, point.latitude, point.longitude)
+      : 0;
+    // The way across a gap is kept apart from the distance sailed
+    const acrossGap = stats.last_segment != null && point.segment !== stats.last_segment;
+
+    this.db.prepare(`
+      UPDATE voyage_stats SET
+        distance = distance + ?,
+        gap_distance = gap_distance + ?,
+        point_count = point_count + 1,
+        first_fix_timestamp = COALESCE(first_fix_timestamp, ?),
+        first_latitude = COALESCE(first_latitude, ?),
+        first_longitude = COALESCE(first_longitude, ?),
+        last_fix_timestamp = ?,
+        last_latitude = ?,
+        last_longitude = ?,
+        last_segment = ?
+      WHERE voyage_id = ?
+    `).run(
+      acrossGap ? 0 : leg,
+      acrossGap ? leg : 0,
+      point.timestamp, point.latitude, point.longitude,
+      point.timestamp, point.latitude, point.longitude,
+      point.segment,
+      voyageId
+    );
   }
 
   /**
    * Calculate distance sailed since a given timestamp using position track.
-   * Sums haversine distance between consecutive auto-tracked positions.
+   * Sums haversine distance between consecutive track points, plus what was
+   * sailed through thinned-out points, skipping gaps between segments unless
+   * configured to count them.
    */
   getDistanceSinceTimestamp(voyageId, sinceTimestamp) {
     const points = this.db.prepare(`
-      SELECT latitude, longitude FROM log_entries
-      WHERE is_auto_track = 1
-        AND voyage_id = ?
-        AND timestamp >= ?
-        AND latitude IS NOT NULL
-        AND longitude IS NOT NULL
+      SELECT latitude, longitude, segment, thinned_distance FROM track_points
+      WHERE voyage_id = ? AND timestamp >= ?
       ORDER BY timestamp ASC
     `).all(voyageId, sinceTimestamp);
 
     if (points.length < 2) return 0;
 
-    const R = 3440.065;
     let total = 0;
-
     for (let i = 1; i < points.length; i++) {
-      const { latitude: lat1, longitude: lon1 } = points[i - 1];
-      const { latitude: lat2, longitude: lon2 } = points[i];
-      if (lat1 == null || lon1 == null || lat2 == null || lon2 == null) continue;
-      const dLat = (lat2 - lat1) * Math.PI / 180;
-      const dLon = (lon2 - lon1) * Math.PI / 180;
-      const a = Math.sin(dLat / 2) ** 2 +
-                Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                Math.sin(dLon / 2) ** 2;
-      total += R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+      const prev = points[i - 1];
+      if (points[i].segment !== prev.segment && !this.countGapDistance) continue;
+      total += haversineNm(prev.latitude, prev.longitude, points[i].latitude, points[i].longitude) + points[i].thinned_distance;
     }
 
     return Math.round(total * 10) / 10;
@@ -312,10 +924,16 @@ class LogStorage {
         v.voyage_name,
         v.start_timestamp,
         v.is_active,
-        COUNT(DISTINCT CASE WHEN le.is_auto_track = 0 THEN le.id END) as log_count,
-        MAX(le.timestamp) as last_entry_timestamp
+        COUNT(CASE WHEN le.is_journal = 0 AND le.is_deleted = 0 THEN 1 END) as log_count,
+        MAX(CASE WHEN le.is_deleted = 0 THEN le.timestamp END) as last_log_timestamp,
+        s.last_fix_timestamp,
+        s.distance,
+        s.gap_distance,
+        s.point_count,
+        s.reports_sent
       FROM voyage_info v
       LEFT JOIN log_entries le ON le.voyage_id = v.id
+      LEFT JOIN voyage_stats s ON s.voyage_id = v.id
       GROUP BY v.id
       ORDER BY v.start_timestamp DESC
     `).all();
@@ -326,51 +944,43 @@ class LogStorage {
       startTimestamp: voyage.start_timestamp,
       isActive: voyage.is_active === 1,
       logCount: voyage.log_count || 0,
-      lastEntryTimestamp: voyage.last_entry_timestamp,
-      totalDistance: this.getDistanceSinceTimestamp(voyage.id, voyage.start_timestamp)
+      lastEntryTimestamp: Math.max(voyage.last_log_timestamp || 0, voyage.last_fix_timestamp || 0) || null,
+      totalDistance: Math.round(((voyage.distance || 0) + (this.countGapDistance ? voyage.gap_distance || 0 : 0)) * 10) / 10,
+      positionCount: voyage.point_count || 0,
+      reportsSent: voyage.reports_sent || 0
     }));
   }
 
   // Get logs for a specific voyage
   getLogsByVoyage(voyageId) {
-    const voyageRow = this.db.prepare(`
-      SELECT start_timestamp, is_active FROM voyage_info WHERE id = ?
-    `).get(voyageId);
-
-    if (!voyageRow) return [];
-
-    const { start_timestamp: startTimestamp, is_active: isActive } = voyageRow;
-
-    let endTimestamp = null;
-    if (!isActive) {
-      const next = this.db.prepare(`
-        SELECT start_timestamp FROM voyage_info WHERE id > ? ORDER BY id LIMIT 1
-      `).get(voyageId);
-      if (next) endTimestamp = next.start_timestamp;
-    }
-
-    let logs;
-    if (endTimestamp) {
-      logs = this.db.prepare(`
-        SELECT * FROM log_entries WHERE timestamp >= ? AND timestamp < ? ORDER BY timestamp DESC
-      `).all(startTimestamp, endTimestamp);
-    } else {
-      logs = this.db.prepare(`
-        SELECT * FROM log_entries WHERE timestamp >= ? ORDER BY timestamp DESC
-      `).all(startTimestamp);
-    }
+    const logs = this.db.prepare(`
+      SELECT id FROM log_entries WHERE voyage_id = ? ORDER BY timestamp DESC
+    `).all(voyageId);
 
     return logs.map(log => this.getLogById(log.id));
   }
 
   // Delete voyage and all associated logs
   deleteVoyage(voyageId) {
+    const sealed = this.db.prepare(`
+      SELECT COUNT(*) as count FROM log_seals WHERE log_id IN (SELECT id FROM log_entries WHERE voyage_id = ?)
+    `).get(voyageId);
+    if (sealed.count > 0) {
+      throw new Error(`Voyage ${voyageId} has ${sealed.count} sealed log entries and cannot be deleted`);
+    }
+
     // Bulk delete using subquery — single statement per table, no per-row loop
     // Previously looped per row ID which blocked the event loop on large voyages
-    this.db.prepare(`DELETE FROM distance_log WHERE log_id IN (SELECT id FROM log_entries WHERE voyage_id = ?)`).run(voyageId);
-    this.db.prepare(`DELETE FROM log_data WHERE log_id IN (SELECT id FROM log_entries WHERE voyage_id = ?)`).run(voyageId);
-    this.db.prepare(`DELETE FROM log_entries WHERE voyage_id = ?`).run(voyageId);
-    this.db.prepare(`DELETE FROM voyage_info WHERE id = ?`).run(voyageId);
+    this.transaction(() => {
+      this.db.prepare(`DELETE FROM log_revisions WHERE log_id IN (SELECT id FROM log_entries WHERE voyage_id = ?)`).run(voyageId);
+      this.db.prepare(`DELETE FROM distance_log WHERE log_id IN (SELECT id FROM log_entries WHERE voyage_id = ?)`).run(voyageId);
+      this.db.prepare(`DELETE FROM log_data WHERE log_id IN (SELECT id FROM log_entries WHERE voyage_id = ?)`).run(voyageId);
+      this.db.prepare(`DELETE FROM log_entries WHERE voyage_id = ?`).run(voyageId);
+      this.db.prepare(`DELETE FROM track_points WHERE voyage_id = ?`).run(voyageId);
+      this.db.prepare(`DELETE FROM rejected_fixes WHERE voyage_id = ?`).run(voyageId);
+      this.db.prepare(`DELETE FROM voyage_stats WHERE voyage_id = ?`).run(voyageId);
+      this.db.prepare(`DELETE FROM voyage_info WHERE id = ?`).run(voyageId);
+    });
     this.app.debug(`Voyage ${voyageId} deleted`);
     return { success: true, voyageId };
   }
@@ -381,9 +991,8 @@ class LogStorage {
     return { success: true, voyageId, newName };
   }
 
-  // End the active voyage without starting a new one
-  endVoyage() {
-    const timestamp = Math.floor(Date.now() / 1000);
+  // End the active voyage without starting a new one, at the trusted current Unix time
+  endVoyage(timestamp = Math.floor(Date.now() / 1000)) {
     this.db.prepare(`
       UPDATE voyage_info SET is_active = 0, end_timestamp = ? WHERE is_active = 1
     `).run(timestamp);
@@ -398,45 +1007,305 @@ class LogStorage {
     return logs.map(log => this.getLogById(log.id));
   }
 
-  // Get auto-tracked positions for a specific voyage with sensor data
-  getPositionsByVoyage(voyageId, limit = 200) {
-    const voyageRow = this.db.prepare(
-      `SELECT start_timestamp, is_active FROM voyage_info WHERE id = ?`
-    ).get(voyageId);
+  /**
+   * Auto-tracked positions for a voyage, newest first
+   * @param {number} voyageId - Voyage ID
+   * @param {number} [limit] - Most recent points to return, without simplification
+   * @param {Object|null} [simplification] - { tolerance (metres), maxPoints } to return the
+   *   whole voyage simplified instead
+   * @returns {Array} track_points rows
+   */
+  getPositionsByVoyage(voyageId, limit = 200, simplification = null) {
+    if (simplification) {
+      const points = this.db.prepare(`
+        SELECT * FROM track_points WHERE voyage_id = ? ORDER BY timestamp ASC, id ASC
+      `).all(voyageId);
+      return simplifyTrack(points, simplification).reverse();
+    }
+    return this.db.prepare(`
+      SELECT * FROM track_points
+      WHERE voyage_id = ?
+      ORDER BY timestamp DESC LIMIT ?
+    `).all(voyageId, limit);
+  }
 
-    if (!voyageRow) return [];
+  /**
+   * Full voyage track, oldest first: every track point plus the position of
+   * each log entry, so voyages sailed without auto-tracking still draw a line.
+   *
+   * @param {number} voyageId - Voyage ID
+   * @returns {Array} Points with timestamp, latitude, longitude, sog, cog, heading, satellites, hdop, source,
+   *   position_type, position_error, segment (null for log entries) and log_id for log entry positions
+   */
+  getVoyageTrack(voyageId) {
+    return this.db.prepare(`
+      SELECT timestamp, latitude, longitude, sog, cog, heading, satellites, hdop, source, position_type, position_error,
+             segment, NULL AS log_id
+      FROM track_points
+      WHERE voyage_id = ?
+      UNION ALL
+      SELECT timestamp, latitude, longitude, NULL, NULL, NULL, NULL, NULL, NULL, position_type, position_error, NULL, id
+      FROM log_entries
+      WHERE voyage_id = ?
+        AND is_deleted = 0 AND latitude IS NOT NULL AND longitude IS NOT NULL
+      ORDER BY timestamp ASC
+    `).all(voyageId, voyageId);
+  }
 
-    const { start_timestamp: startTimestamp, is_active: isActive } = voyageRow;
+  /**
+   * Record a GPS fix kept out of the track
+   * @param {Object} fix - { timestamp, latitude, longitude, hdop, source, reason, detail, voyageId, rejectedAt }
+   *   — voyageId defaults to the active voyage, rejectedAt (trusted Unix time) to now
+   * @returns {number} Rejected fix ID
+   */
+  addRejectedFix(fix) {
+    const voyageId = fix.voyageId !== undefined ? fix.voyageId : (this.getActiveVoyage()?.id ?? null);
+    const result = this.db.prepare(`
+      INSERT INTO rejected_fixes (voyage_id, timestamp, latitude, longitude, hdop, source, reason, detail, rejected_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      voyageId,
+      fix.timestamp,
+      Number.isFinite(fix.latitude) ? fix.latitude : null,
+      Number.isFinite(fix.longitude) ? fix.longitude : null,
+      fix.hdop ?? null,
+      fix.source || null,
+      fix.reason,
+      fix.detail || null,
+      fix.rejectedAt ?? Math.floor(Date.now() / 1000)
+    );
+    return result.lastInsertRowid;
+  }
 
-    let endTimestamp = null;
-    if (!isActive) {
-      const next = this.db.prepare(
-        `SELECT start_timestamp FROM voyage_info WHERE id > ? ORDER BY id LIMIT 1`
-      ).get(voyageId);
-      if (next) endTimestamp = next.start_timestamp;
-    }
+  // Get rejected GPS fixes for a voyage, newest first
+  getRejectedFixes(voyageId, limit = 200) {
+    return this.db.prepare(`
+      SELECT * FROM rejected_fixes
+      WHERE voyage_id = ?
+      ORDER BY timestamp DESC LIMIT ?
+    `).all(voyageId, limit);
+  }
 
-    let positions;
-    if (endTimestamp) {
-      positions = this.db.prepare(`
-        SELECT id, timestamp, latitude, longitude FROM log_entries
-        WHERE is_auto_track = 1 AND timestamp >= ? AND timestamp < ?
-        ORDER BY timestamp DESC LIMIT ?
-      `).all(startTimestamp, endTimestamp, limit);
-    } else {
-      positions = this.db.prepare(`
-        SELECT id, timestamp, latitude, longitude FROM log_entries
-        WHERE is_auto_track = 1 AND timestamp >= ?
-        ORDER BY timestamp DESC LIMIT ?
-      `).all(startTimestamp, limit);
-    }
+  /**
+   * Retroactively remove implausible fixes from a voyage's track, moving
+   * them to the rejected fixes table, then recompute the voyage statistics.
+   * A point only fails the speed check as a spike — too fast both to reach
+   * and to leave — so a genuine jump after a gap is kept.
+   *
+   * @param {number} voyageId - Voyage ID
+   * @param {Object} limits - { maxSpeed (knots), maxHdop }; 0 disables a check
+   * @param {number} [rejectedAt] - Trusted current Unix time
+   * @returns {Object} { checked, removed, reasons: { reason: count } }
+   */
+  cleanVoyageTrack(voyageId, limits, rejectedAt = Math.floor(Date.now() / 1000)) {
+    return this.transaction(() => {
+      const points = this.db.prepare(`
+        SELECT * FROM track_points WHERE voyage_id = ? ORDER BY timestamp ASC, id ASC
+      `).all(voyageId);
+      const remove = this.db.prepare(`DELETE FROM track_points WHERE id = ?`);
+      const speedLimit = { maxSpeed: limits.maxSpeed };
+      const tooFast = (from, to) => Boolean(from && to && checkFix(to, from, speedLimit)?.reason === 'speed');
+
+      const reasons = {};
+      let previous = null;
+      let removed = 0;
+      points.forEach((point, i) => {
+        const next = points[i + 1];
+        let problem = checkFix(point, null, { maxHdop: limits.maxHdop });
+        if (!problem && previous && tooFast(previous, point) && (!next || tooFast(point, next))) {
+          problem = checkFix(point, previous, speedLimit);
+        } else if (!problem && !previous && tooFast(point, next) && points[i + 2] && !tooFast(next, points[i + 2])) {
+          // A bad first fix: the track only makes sense from the next point on
+          problem = checkFix(next, point, speedLimit);
+        }
 
-    return positions.map(pos => ({
-      ...pos,
-      data: this.db.prepare(
-        `SELECT data_label, data_value, data_unit FROM log_data WHERE log_id = ?`
-      ).all(pos.id)
-    }));
+        if (!problem) {
+          previous = point;
+          return;
+        }
+        this.addRejectedFix({ ...point, ...problem, voyageId, rejectedAt });
+        remove.run(point.id);
+        reasons[problem.reason] = (reasons[problem.reason] || 0) + 1;
+        removed++;
+      });
+
+      if (removed > 0) {
+        this.rebuildVoyageStats(voyageId);
+        this.app.debug(`Removed ${removed} implausible track point(s) from voyage ${voyageId}`);
+      }
+      return { checked: points.length, removed, reasons };
+    });
+  }
+
+  /**
+   * Thin track points older than a cut-off with Douglas-Peucker. Stops, the
+   * ends of each segment and the point nearest each log entry are kept, and
+   * the thinned stretch stays joined to the newer track. The distance sailed
+   * through each removed run is kept on the point after it, so voyage
+   * distances are unchanged.
+   *
+   * @param {number} before - Unix timestamp; only older points are thinned
+   * @param {number} tolerance - Points moving the line less than this (metres) are removed
+   * @returns {Object} { voyages, checked, removed }
+   */
+  thinTrackPoints(before, tolerance) {
+    return this.transaction(() => {
+      const voyageIds = this.db.prepare(`
+        SELECT DISTINCT voyage_id FROM track_points WHERE timestamp < ? AND voyage_id IS NOT NULL
+      `).all(before).map(row => row.voyage_id);
+      const remove = this.db.prepare('DELETE FROM track_points WHERE id = ?');
+      const setThinned = this.db.prepare('UPDATE track_points SET thinned_distance = ? WHERE id = ?');
+
+      let checked = 0;
+      let removed = 0;
+      for (const voyageId of voyageIds) {
+        const points = this.db.prepare(`
+          SELECT id, timestamp, latitude, longitude, sog, segment, thinned_distance FROM track_points
+          WHERE voyage_id = ? ORDER BY timestamp ASC, id ASC
+        `).all(voyageId);
+        const reports = this.db.prepare(`
+          SELECT timestamp FROM log_entries
+          WHERE voyage_id = ? AND is_deleted = 0 AND latitude IS NOT NULL ORDER BY timestamp ASC
+        `).all(voyageId);
+
+        // The track keeps passing through the report positions
+        const pinned = new Set();
+        let i = 0;
+        for (const { timestamp } of reports) {
+          while (i < points.length - 1 && Math.abs(points[i + 1].timestamp - timestamp) <= Math.abs(points[i].timestamp - timestamp)) i++;
+          if (points[i]) pinned.add(points[i].id);
+        }
+
+        const old = points.filter(point => point.timestamp < before);
+        const stretch = points.slice(0, old.length + 1); // Ends on the first newer point
+        const kept = new Set(simplifyTrack(stretch, {
+          tolerance,
+          isKept: point => isLandmark(point) || pinned.has(point.id)
+        }).map(point => point.id));
+
+        // Walk the stretch, carrying the path through removed points on to the next kept one.
+        // Segment ends are always kept, so a removed run never spans a gap.
+        let voyageRemoved = 0;
+        let lastKept = stretch[0];
+        let sailed = 0;
+        for (let j = 1; j < stretch.length; j++) {
+          const point = stretch[j];
+          const previous = stretch[j - 1];
+          sailed += haversineNm(previous.latitude, previous.longitude, point.latitude, point.longitude) + point.thinned_distance;
+          if (!kept.has(point.id)) {
+            remove.run(point.id);
+            voyageRemoved++;
+            continue;
+          }
+          if (previous !== lastKept) {
+            const straight = haversineNm(lastKept.latitude, lastKept.longitude, point.latitude, point.longitude);
+            setThinned.run(Math.max(0, sailed - straight), point.id);
+          }
+          lastKept = point;
+          sailed = 0;
+        }
+        checked += old.length;
+        removed += voyageRemoved;
+        if (voyageRemoved > 0) {
+          this.rebuildVoyageStats(voyageId);
+        }
+      }
+      return { voyages: voyageIds.length, checked, removed };
+    });
+  }
+
+  /**
+   * Correct rows written while the system clock was wrong by a known amount.
+   * Log entries keep a revision with the old time; sealed entries are left alone.
+   *
+   * @param {number} from - First wrong-clock Unix timestamp of the period
+   * @param {number} to - Last wrong-clock Unix timestamp of the period
+   * @param {number} shift - Seconds to add
+   * @param {string} reason - Recorded with each corrected log entry
+   * @returns {Object} { logs, points } — how many log entries and track points were re-dated
+   */
+  shiftTimestamps(from, to, shift, reason) {
+    if (!shift || to < from) return { logs: 0, points: 0 };
+    return this.transaction(() => {
+      const revisedAt = to + shift; // Now, on the corrected clock
+      const logs = this.db.prepare(`
+        SELECT * FROM log_entries WHERE timestamp BETWEEN ? AND ?
+        AND id NOT IN (SELECT log_id FROM log_seals)
+      `).all(from, to);
+      logs.forEach(log => this.retimeLogEntry(log, log.timestamp + shift, reason, revisedAt));
+
+      const voyageIds = this.db.prepare(`
+        SELECT DISTINCT voyage_id FROM track_points WHERE timestamp BETWEEN ? AND ?
+      `).all(from, to).map(row => row.voyage_id);
+      const points = this.db.prepare(`
+        UPDATE track_points SET timestamp = timestamp + ? WHERE timestamp BETWEEN ? AND ?
+      `).run(shift, from, to).changes;
+      this.db.prepare('UPDATE rejected_fixes SET timestamp = timestamp + ? WHERE timestamp BETWEEN ? AND ?').run(shift, from, to);
+      this.db.prepare('UPDATE OR REPLACE pressure_history SET timestamp = timestamp + ? WHERE timestamp BETWEEN ? AND ?').run(shift, from, to);
+      this.db.prepare('UPDATE voyage_info SET start_timestamp = start_timestamp + ? WHERE start_timestamp BETWEEN ? AND ?').run(shift, from, to);
+      this.db.prepare('UPDATE voyage_info SET end_timestamp = end_timestamp + ? WHERE end_timestamp BETWEEN ? AND ?').run(shift, from, to);
+
+      voyageIds.filter(id => id != null).forEach(id => this.rebuildVoyageStats(id));
+      return { logs: logs.length, points };
+    });
+  }
+
+  /**
+   * Re-date rows whose timestamps cannot be right (e.g. 1970 from a computer
+   * without a real-time clock), when the size of the error is not known.
+   * Each takes the time of the nearest plausible row before it, by insertion order.
+   *
+   * @param {number} min - Earliest plausible Unix timestamp
+   * @param {number} max - Latest plausible Unix timestamp
+   * @param {string} reason - Recorded with each corrected log entry
+   * @param {number} [revisedAt] - Trusted current Unix time, for the revisions
+   * @returns {Object} { logs, points } — how many log entries and track points were re-dated
+   */
+  repairImplausibleTimestamps(min, max, reason, revisedAt = Math.floor(Date.now() / 1000)) {
+    return this.transaction(() => {
+      const nearest = (table, id) => this.db.prepare(`
+        SELECT timestamp FROM ${table} WHERE timestamp BETWEEN ? AND ?
+        ORDER BY CASE WHEN id < ? THEN 0 ELSE 1 END, CASE WHEN id < ? THEN -id ELSE id END LIMIT 1
+      `).get(min, max, id, id)?.timestamp;
+
+      let logs = 0;
+      const badLogs = this.db.prepare(`
+        SELECT * FROM log_entries WHERE (timestamp < ? OR timestamp > ?)
+        AND id NOT IN (SELECT log_id FROM log_seals)
+      `).all(min, max);
+      for (const log of badLogs) {
+        const timestamp = nearest('log_entries', log.id);
+        if (timestamp === undefined) continue;
+        this.retimeLogEntry(log, timestamp, reason, revisedAt);
+        logs++;
+      }
+
+      let points = 0;
+      const voyageIds = new Set();
+      const badPoints = this.db.prepare('SELECT id, voyage_id FROM track_points WHERE timestamp < ? OR timestamp > ?').all(min, max);
+      for (const point of badPoints) {
+        const timestamp = nearest('track_points', point.id);
+        if (timestamp === undefined) continue;
+        this.db.prepare('UPDATE track_points SET timestamp = ? WHERE id = ?').run(timestamp, point.id);
+        voyageIds.add(point.voyage_id);
+        points++;
+      }
+
+      this.db.prepare('DELETE FROM pressure_history WHERE timestamp < ? OR timestamp > ?').run(min, max);
+      [...voyageIds].filter(id => id != null).forEach(id => this.rebuildVoyageStats(id));
+      return { logs, points };
+    });
+  }
+
+  // Move a log entry to a corrected time, keeping the old one as a revision
+  retimeLogEntry(log, timestamp, reason, revisedAt) {
+    const iso = (seconds) => new Date(seconds * 1000).toISOString();
+    this.db.prepare('UPDATE log_entries SET timestamp = ?, date_str = ? WHERE id = ?')
+      .run(timestamp, iso(timestamp).split('T')[0], log.id);
+    this.db.prepare(`
+      INSERT INTO log_revisions (log_id, action, field, data_id, old_value, new_value, reason, author, revised_at)
+      VALUES (?, 'edit', 'timestamp', NULL, ?, ?, ?, NULL, ?)
+    `).run(log.id, iso(log.timestamp), iso(timestamp), reason, revisedAt);
   }
 
   // Get count of auto-tracked positions for current voyage
@@ -444,11 +1313,7 @@ class LogStorage {
     const voyage = this.getActiveVoyage();
     if (!voyage) return 0;
 
-    const row = this.db.prepare(`
-      SELECT COUNT(*) as count FROM log_entries WHERE voyage_id = ? AND is_auto_track = 1
-    `).get(voyage.id);
-
-    return row ? row.count : 0;
+    return this.getVoyageStats(voyage.id).point_count;
   }
 
   close() {
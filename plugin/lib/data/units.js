@@ -0,0 +1,429 @@
+/**
+ * Unit conversion for display
+ *
+ * Readings are stored exactly as SignalK delivers them, together with the SI
+ * unit from the path's metadata (meta.units). Everything that shows a reading
+ * — email, logbook export, Freeboard notes, the web UI — converts it here, so
+ * changing the unit preference changes every past entry.
+ */
+
+const CONVERSIONS = {
+  KELVIN_TO_CELSIUS: 273.15,
+  CELSIUS_TO_FAHRENHEIT_MULT: 9 / 5,
+  CELSIUS_TO_FAHRENHEIT_ADD: 32,
+  MS_TO_KNOTS: 1.94384,
+  MS_TO_KMH: 3.6,
+  PASCAL_TO_HPA: 0.01,
+  PASCAL_TO_INHG: 0.0002953,
+  PASCAL_TO_PSI: 0.000145038,
+  METERS_TO_FEET: 3.28084,
+  METERS_TO_KM: 0.001,
+  METERS_TO_NM: 1 / 1852,
+  CUBIC_METERS_TO_LITERS: 1000,
+  CUBIC_METERS_TO_GALLONS: 264.172,
+  KG_TO_POUNDS: 2.20462,
+  RADIANS_TO_DEGREES: 180 / Math.PI,
+  MINUTES_PER_DEGREE: 60
+};
+
+const same = { factor: 1 };
+
+/**
+ * SignalK SI units and the display units each can be shown in.
+ * A display value is value * factor + offset. metric/imperial name the
+ * default display unit under the useMetricUnits preference.
+ */
+const UNITS = {
+  K: {
+    metric: '°C',
+    imperial: '°F',
+    display: {
+      '°C': { factor: 1, offset: -CONVERSIONS.KELVIN_TO_CELSIUS },
+      '°F': {
+        factor: CONVERSIONS.CELSIUS_TO_FAHRENHEIT_MULT,
+        offset: CONVERSIONS.CELSIUS_TO_FAHRENHEIT_ADD - CONVERSIONS.KELVIN_TO_CELSIUS * CONVERSIONS.CELSIUS_TO_FAHRENHEIT_MULT
+      },
+      'K': same
+    }
+  },
+  // Temperature differences: scaled like K but without the zero offset
+  'ΔK': {
+    metric: '°C',
+    imperial: '°F',
+    display: {
+      '°C': same,
+      '°F': { factor: CONVERSIONS.CELSIUS_TO_FAHRENHEIT_MULT },
+      'K': same
+    }
+  },
+  'm/s': {
+    metric: 'km/h',
+    imperial: 'kts',
+    display: {
+      'kts': { factor: CONVERSIONS.MS_TO_KNOTS },
+      'km/h': { factor: CONVERSIONS.MS_TO_KMH },
+      'mph': { factor: 2.23694 },
+      'm/s': same
+    }
+  },
+  rad: {
+    metric: '°',
+    imperial: '°',
+    display: {
+      '°': { factor: CONVERSIONS.RADIANS_TO_DEGREES },
+      'rad': same
+    }
+  },
+  'rad/s': {
+    metric: '°/min',
+    imperial: '°/min',
+    display: {
+      '°/min': { factor: CONVERSIONS.RADIANS_TO_DEGREES * 60 },
+      '°/s': { factor: CONVERSIONS.RADIANS_TO_DEGREES },
+      'rad/s': same
+    }
+  },
+  Pa: {
+    metric: 'hPa',
+    imperial: 'inHg',
+    display: {
+      'hPa': { factor: CONVERSIONS.PASCAL_TO_HPA },
+      'mbar': { factor: CONVERSIONS.PASCAL_TO_HPA },
+      'inHg': { factor: CONVERSIONS.PASCAL_TO_INHG },
+      'kPa': { factor: 0.001 },
+      'bar': { factor: 0.00001 },
+      'psi': { factor: CONVERSIONS.PASCAL_TO_PSI },
+      'Pa': same
+    }
+  },
+  m: {
+    metric: 'm',
+    imperial: 'ft',
+    display: {
+      'm': same,
+      'ft': { factor: CONVERSIONS.METERS_TO_FEET },
+      'km': { factor: CONVERSIONS.METERS_TO_KM },
+      'nm': { factor: CONVERSIONS.METERS_TO_NM },
+      'fathom': { factor: CONVERSIONS.METERS_TO_FEET / 6 }
+    }
+  },
+  m3: {
+    metric: 'L',
+    imperial: 'gal',
+    display: {
+      'L': { factor: CONVERSIONS.CUBIC_METERS_TO_LITERS },
+      'gal': { factor: CONVERSIONS.CUBIC_METERS_TO_GALLONS },
+      'm3': same
+    }
+  },
+  'm3/s': {
+    metric: 'L/h',
+    imperial: 'gal/h',
+    display: {
+      'L/h': { factor: CONVERSIONS.CUBIC_METERS_TO_LITERS * 3600 },
+      'gal/h': { factor: CONVERSIONS.CUBIC_METERS_TO_GALLONS * 3600 },
+      'm3/s': same
+    }
+  },
+  ratio: {
+    metric: '%',
+    imperial: '%',
+    display: {
+      '%': { factor: 100 },
+      'ratio': same
+    }
+  },
+  Hz: {
+    metric: 'Hz',
+    imperial: 'Hz',
+    display: {
+      'Hz': same,
+      'rpm': { factor: 60 }
+    }
+  },
+  J: {
+    metric: 'kWh',
+    imperial: 'kWh',
+    display: {
+      'kWh': { factor: 1 / 3600000 },
+      'Wh': { factor: 1 / 3600 },
+      'kJ': { factor: 0.001 },
+      'J': same
+    }
+  },
+  C: {
+    metric: 'Ah',
+    imperial: 'Ah',
+    display: {
+      'Ah': { factor: 1 / 3600 },
+      'C': same
+    }
+  },
+  s: {
+    metric: 'h',
+    imperial: 'h',
+    display: {
+      'h': { factor: 1 / 3600 },
+      'min': { factor: 1 / 60 },
+      's': same
+    }
+  },
+  W: {
+    metric: 'W',
+    imperial: 'W',
+    display: {
+      'W': same,
+      'kW': { factor: 0.001 },
+      'hp': { factor: 1 / 745.7 }
+    }
+  },
+  kg: {
+    metric: 'kg',
+    imperial: 'lb',
+    display: {
+      'kg': same,
+      'lb': { factor: CONVERSIONS.KG_TO_POUNDS }
+    }
+  },
+  deg: {
+    metric: '°',
+    imperial: '°',
+    display: { '°': same }
+  }
+};
+
+/**
+ * SI unit assumed for rows stored before units were recorded, using the
+ * path rules the plugin applied at the time
+ * @param {string} path - SignalK path
+ * @param {number} value - SI value (battery paths are told apart by range)
+ * @returns {string} SI unit, '' if the value was shown as-is
+ */
+function legacyUnitFor(path, value) {
+  if (path.includes('temperature')) return 'K';
+  if (path.includes('wind') && path.includes('speed')) return 'm/s';
+  if (path.includes('wind') && (path.includes('angle') || path.includes('direction'))) return 'rad';
+  if (path.includes('pressure')) return 'Pa';
+  if (path.includes('speed')) return 'm/s';
+  if (path.includes('distance') || path.includes('depth')) return 'm';
+  if (path.includes('stateOfCharge') || path.includes('soc')) return 'ratio';
+  if (path.includes('voltage') || (path.includes('electrical') && path.includes('batteries'))) {
+    return value >= 0 && value <= 1 ? 'ratio' : 'V';
+  }
+  return '';
+}
+
+/**
+ * Whether a concrete path matches a configured path, where a * segment
+ * matches any single instance id
+ * @param {string} pattern - Configured path, e.g. tanks.fuel.*.currentLevel
+ * @param {string} path - Concrete SignalK path
+ * @returns {boolean}
+ */
+function pathMatches(pattern, path) {
+  if (pattern === path) return true;
+  const patternSegments = pattern.split('.');
+  const pathSegments = path.split('.');
+  return patternSegments.length === pathSegments.length &&
+    patternSegments.every((segment, i) => segment === '*' || segment === pathSegments[i]);
+}
+
+/**
+ * Pick the display unit for a reading: the per-path override from
+ * customDataPaths if it suits the SI unit, otherwise the metric/imperial default
+ * @param {string} siUnit - SI unit from SignalK metadata
+ * @param {string} path - SignalK path
+ * @param {Object} options - Plugin options
+ * @returns {string} Display unit, or the SI unit itself if it has no conversions
+ */
+function displayUnitFor(siUnit, path, options = {}) {
+  const unit = UNITS[siUnit];
+  if (!unit) return siUnit || '';
+
+  const override = (options.customDataPaths || []).find(p => p.path && pathMatches(p.path, path))?.unit;
+  if (override && unit.display[override]) return override;
+
+  return options.useMetricUnits ? unit.metric : unit.imperial;
+}
+
+/**
+ * Convert an SI value to its display unit
+ * @param {number} value - SI value from SignalK
+ * @param {string} siUnit - SI unit from SignalK metadata
+ * @param {string} path - SignalK path
+ * @param {Object} options - Plugin options
+ * @returns {Object} { value, unit }
+ */
+function fromSI(value, siUnit, path, options) {
+  if (value === null || value === undefined) {
+    return { value: null, unit: '' };
+  }
+  if (typeof value !== 'number') {
+    return { value, unit: '' };
+  }
+  const unit = displayUnitFor(siUnit, path, options);
+  const conversion = UNITS[siUnit]?.display[unit] || same;
+  return { value: value * conversion.factor + (conversion.offset || 0), unit };
+}
+
+/**
+ * Convert a value entered in display units back to SI
+ * @param {number} value - Value in the display unit
+ * @param {string} siUnit - SI unit the reading is stored in
+ * @param {string} path - SignalK path
+ * @param {Object} options - Plugin options
+ * @returns {number} SI value
+ */
+function toSI(value, siUnit, path, options) {
+  const unit = displayUnitFor(siUnit, path, options);
+  const conversion = UNITS[siUnit]?.display[unit] || same;
+  return (value - (conversion.offset || 0)) / conversion.factor;
+}
+
+/**
+ * Format a converted value for display
+ * @param {*} value - Value to format
+ * @returns {string} Formatted value
+ */
+function formatNumber(value) {
+  if (value === null || value === undefined) {
+    return 'N/A';
+  }
+
+  if (typeof value === 'number') {
+    // Round to 2 decimal places
+    return value.toFixed(2);
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Format a live reading for display
+ * @param {string} path - SignalK path
+ * @param {*} value - SI value
+ * @param {string} siUnit - SI unit from SignalK metadata
+ * @param {Object} options - Plugin options
+ * @param {Object|null} stats - Interval statistics { min, max, mean, samples }
+ * @returns {Object} { value, unit, summary } with value as a display string and
+ *   summary the interval peak ("max 38.00"), or the mean for angles
+ */
+function formatReading(path, value, siUnit, options, stats = null) {
+  const converted = fromSI(value, siUnit, path, options);
+  let summary = '';
+  if (stats && stats.samples > 1) {
+    if (stats.max !== null && stats.max !== undefined) {
+      summary = `max ${formatNumber(fromSI(stats.max, siUnit, path, options).value)}`;
+    } else if (stats.mean !== null && stats.mean !== undefined) {
+      summary = `mean ${formatNumber(fromSI(stats.mean, siUnit, path, options).value)}`;
+    }
+  }
+  return { value: formatNumber(converted.value), unit: converted.unit, summary };
+}
+
+/**
+ * Note marking a reading that was stale or came from a fallback source
+ * @param {string|null} quality - null, 'stale' or 'substituted'
+ * @param {string|null} source - $source the reading came from
+ * @returns {string} e.g. 'stale', 'from nmea0183.GP', or ''
+ */
+function qualityNote(quality, source) {
+  if (quality === 'stale') return 'stale';
+  if (quality === 'substituted') return source ? `from ${source}` : 'substitute source';
+  return '';
+}
+
+/**
+ * Format a collected reading ({ path, value, units, stats, quality, source })
+ * @param {Object} item - Collected reading
+ * @param {Object} options - Plugin options
+ * @returns {Object} { value, unit, summary, note }
+ */
+function formatDataItem(item, options) {
+  const reading = formatReading(item.path, item.value, item.units, options, item.stats);
+  return { ...reading, note: qualityNote(item.quality, item.source) };
+}
+
+/**
+ * One-line text for a formatted reading, e.g. "12.00 kts (max 38.00)"
+ * @param {Object} reading - Result of formatDataItem/formatLogData
+ * @returns {string} Display text
+ */
+function describeReading(reading) {
+  const notes = [reading.summary, reading.note].filter(Boolean).join(', ');
+  return `${reading.value}${reading.unit ? ' ' + reading.unit : ''}${notes ? ` (${notes})` : ''}`;
+}
+
+/**
+ * SI unit of a stored log_data row
+ * @param {Object} row - log_data row with a raw value
+ * @returns {string} SI unit
+ */
+function storedUnit(row) {
+  return row.raw_unit ?? legacyUnitFor(row.data_path, row.raw_value);
+}
+
+/**
+ * Format a stored log_data row for display. Rows recorded before raw values
+ * were kept (and sealed rows that could not be upgraded) only have the text
+ * that was shown at the time, which is returned unchanged.
+ *
+ * @param {Object} row - log_data row
+ * @param {Object} options - Plugin options
+ * @returns {Object} { value, unit, summary, note }
+ */
+function formatLogData(row, options) {
+  const note = qualityNote(row.quality, row.source);
+  if (row.raw_value !== null && row.raw_value !== undefined) {
+    const stats = row.stat_samples
+      ? { min: row.stat_min, max: row.stat_max, mean: row.stat_mean, samples: row.stat_samples }
+      : null;
+    return { ...formatReading(row.data_path, row.raw_value, storedUnit(row), options, stats), note };
+  }
+  return { value: row.data_value ?? 'N/A', unit: row.data_unit || '', summary: '', note };
+}
+
+/**
+ * Copy a log entry with display_value/unit/summary/note added to each data row
+ * @param {Object} log - Log entry with data rows
+ * @param {Object} options - Plugin options
+ * @returns {Object} Log entry for API responses
+ */
+function withDisplayValues(log, options) {
+  if (!log || !log.data) return log;
+  return {
+    ...log,
+    data: log.data.map(row => {
+      const display = formatLogData(row, options);
+      return {
+        ...row,
+        display_value: display.value,
+        display_unit: display.unit,
+        display_summary: display.summary,
+        display_note: display.note
+      };
+    })
+  };
+}
+
+module.exports = {
+  CONVERSIONS,
+  UNITS,
+  legacyUnitFor,
+  pathMatches,
+  displayUnitFor,
+  fromSI,
+  toSI,
+  formatNumber,
+  formatReading,
+  qualityNote,
+  formatDataItem,
+  describeReading,
+  storedUnit,
+  formatLogData,
+  withDisplayValues
+};
@@ -1,6 +1,9 @@
 /**
  * Formats noon log data into HTML email
  */
+const { formatDataItem, formatLogData, describeReading } = require('../data/units');
+const DeadReckoning = require('../data/deadReckoning');
+
 class EmailFormatter {
   constructor(app, options) {
     this.app = app;
@@ -58,12 +61,31 @@ class EmailFormatter {
     return `${latDeg}°${latMin}'${latDir}, ${lonDeg}°${lonMin}'${lonDir}`;
   }
 
+  /**
+   * Warning for a report made on a dead-reckoned position
+   * @param {Object|null} position - Report position
+   * @returns {string} Empty for a GPS fix
+   */
+  describePositionFix(position) {
+    if (position?.quality !== 'dr') return '';
+    const since = position.fixTimestamp ? ` — no GPS fix since ${this.formatJournalTime(position.fixTimestamp)} UTC` : '';
+    return `Dead-reckoned position (${DeadReckoning.describe(position.error)})${since}`;
+  }
+
+  /**
+   * Journal entry position, marked when it was dead reckoned
+   */
+  formatEntryPosition(entry) {
+    const position = this.formatPosition(entry.latitude, entry.longitude);
+    return entry.position_type === 'dr' ? `${position} (${DeadReckoning.describe(entry.position_error)})` : position;
+  }
+
   /**
    * Generate HTML email body
    */
   generateEmailHTML(logData) {
     const vesselName = this.getVesselName();
-    const { position, customData, logText, distance, dateStr, timestamp } = logData;
+    const { position, customData, logText, author, journal, distance, dateStr, timestamp } = logData;
 
     const lat = position?.latitude;
     const lon = position?.longitude;
@@ -158,6 +180,20 @@ class EmailFormatter {
       font-style: italic;
       margin: 10px 0;
     }
+    .journal-entry {
+      border-left: 3px solid #e2e8f0;
+      padding: 5px 12px;
+      margin: 10px 0;
+    }
+    .journal-meta {
+      color: #666;
+      font-size: 13px;
+    }
+    .log-author {
+      color: #666;
+      font-size: 14px;
+      text-align: right;
+    }
     .data-grid {
       display: grid;
       grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
@@ -181,6 +217,15 @@ class EmailFormatter {
       font-size: 20px;
       color: #2d3748;
     }
+    .data-summary {
+      font-size: 13px;
+      color: #718096;
+    }
+    .data-note {
+      font-size: 12px;
+      color: #c05621;
+      font-style: italic;
+    }
     .map-container {
       margin: 20px 0;
       text-align: center;
@@ -217,6 +262,11 @@ class EmailFormatter {
       display: inline-block;
       margin: 5px 0;
     }
+    .position-note {
+      font-size: 13px;
+      color: #c05621;
+      font-weight: bold;
+    }
   </style>
 </head>
 <body>
@@ -245,6 +295,30 @@ class EmailFormatter {
     <div class="section">
       <div class="section-title">Captain's Log</div>
       <div class="log-text">${this.escapeHtml(logText)}</div>
+      ${author ? `<div class="log-author">— ${this.escapeHtml(author)}</div>` : ''}
+    </div>
+`;
+    }
+
+    // Journal section — entries written since the last report, oldest first
+    if (journal && journal.length > 0) {
+      html += `
+    <div class="section">
+      <div class="section-title">Journal</div>
+`;
+
+      for (const entry of journal) {
+        const conditions = this.formatJournalConditions(entry);
+        html += `
+      <div class="journal-entry">
+        <div class="journal-meta">${this.formatJournalTime(entry.timestamp)} UTC &middot; ${this.formatEntryPosition(entry)}${entry.author ? ` &middot; ${this.escapeHtml(entry.author)}` : ''}</div>
+        <div>${this.escapeHtml(entry.log_text)}</div>
+        ${conditions ? `<div class="journal-meta">${this.escapeHtml(conditions)}</div>` : ''}
+      </div>
+`;
+      }
+
+      html += `
     </div>
 `;
     }
@@ -254,7 +328,7 @@ class EmailFormatter {
     <div class="section">
       <div class="section-title">Position</div>
       <div class="position-display">${formattedPosition}</div>
-`;
+${position?.quality === 'dr' ? `      <div class="position-note">${this.escapeHtml(this.describePositionFix(position))}</div>\n` : ''}`;
 
     if (mapLink) {
       html += `
@@ -300,10 +374,11 @@ class EmailFormatter {
 `;
 
       for (const data of customData) {
+        const reading = formatDataItem(data, this.options);
         html += `
         <div class="data-item">
           <div class="data-label">${this.escapeHtml(data.label)}</div>
-          <div class="data-value">${this.escapeHtml(data.value)}${data.unit ? ' ' + this.escapeHtml(data.unit) : ''}</div>
+          <div class="data-value">${this.escapeHtml(reading.value)}${reading.unit ? ' ' + this.escapeHtml(reading.unit) : ''}${reading.summary ? ` <span class="data-summary">(${this.escapeHtml(reading.summary)})</span>` : ''}${reading.note ? ` <span class="data-note">${this.escapeHtml(reading.note)}</span>` : ''}</div>
         </div>
 `;
       }
@@ -332,7 +407,7 @@ class EmailFormatter {
    */
   generateEmailText(logData) {
     const vesselName = this.getVesselName();
-    const { position, customData, logText, distance, dateStr, timestamp } = logData;
+    const { position, customData, logText, author, journal, distance, dateStr, timestamp } = logData;
 
     const lat = position?.latitude;
     const lon = position?.longitude;
@@ -380,10 +455,30 @@ class EmailFormatter {
     text += `${'='.repeat(50)}\n\n`;
 
     if (logText) {
-      text += `CAPTAIN'S LOG:\n${logText}\n\n`;
+      text += `CAPTAIN'S LOG:\n${logText}\n`;
+      if (author) {
+        text += `— ${author}\n`;
+      }
+      text += `\n`;
+    }
+
+    if (journal && journal.length > 0) {
+      text += `JOURNAL:\n`;
+      for (const entry of journal) {
+        text += `${this.formatJournalTime(entry.timestamp)} UTC  ${this.formatEntryPosition(entry)}${entry.author ? `  (${entry.author})` : ''}\n`;
+        text += `  ${entry.log_text}\n`;
+        const conditions = this.formatJournalConditions(entry);
+        if (conditions) {
+          text += `  ${conditions}\n`;
+        }
+      }
+      text += `\n`;
     }
 
     text += `POSITION:\n${formattedPosition}\n`;
+    if (position?.quality === 'dr') {
+      text += `${this.describePositionFix(position)}\n`;
+    }
     if (lat && lon) {
       text += `Coordinates: ${lat.toFixed(6)}, ${lon.toFixed(6)}\n`;
       text += `Map: ${this.getMapLink(lat, lon)}\n`;
@@ -400,7 +495,8 @@ class EmailFormatter {
     if (customData && customData.length > 0) {
       text += `CONDITIONS:\n`;
       for (const data of customData) {
-        text += `${data.label}: ${data.value}${data.unit ? ' ' + data.unit : ''}\n`;
+        const reading = formatDataItem(data, this.options);
+        text += `${data.label}: ${describeReading(reading)}\n`;
       }
     }
 
@@ -410,6 +506,23 @@ class EmailFormatter {
     return text;
   }
 
+  /**
+   * Format journal entry time as HH:MM UTC
+   */
+  formatJournalTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString().substring(11, 16);
+  }
+
+  /**
+   * Summarise sensor data captured with a journal entry on one line
+   */
+  formatJournalConditions(entry) {
+    if (!entry.data || entry.data.length === 0) return '';
+    return entry.data
+      .map(d => `${d.data_label}: ${describeReading(formatLogData(d, this.options))}`)
+      .join(', ');
+  }
+
   /**
    * Escape HTML entities
    */
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
 const nodemailer = require('nodemailer');
 const EmailFormatter = require('./formatter');
 
@@ -82,17 +85,7 @@ class Mailer {
     }
 
     const emailConfig = this.options.emailSettings;
-
-    // Handle both array format (new) and comma-separated string (legacy)
-    let recipients = [];
-    if (Array.isArray(emailConfig.recipients)) {
-      recipients = emailConfig.recipients.filter(email => email && email.trim().length > 0);
-    } else if (typeof emailConfig.recipients === 'string' && emailConfig.recipients.trim() !== '') {
-      recipients = emailConfig.recipients
-        .split(',')
-        .map(email => email.trim())
-        .filter(email => email.length > 0);
-    }
+    const recipients = this.getRecipients();
 
     if (recipients.length === 0) {
       return { 
@@ -143,6 +136,101 @@ class Mailer {
     }
   }
 
+  /**
+   * Configured report recipients
+   * Handles both array format (new) and comma-separated string (legacy)
+   * @returns {Array<string>} Email addresses
+   */
+  getRecipients() {
+    const recipients = this.options.emailSettings?.recipients;
+    if (Array.isArray(recipients)) {
+      return recipients.filter(email => email && email.trim().length > 0);
+    }
+    if (typeof recipients === 'string' && recipients.trim() !== '') {
+      return recipients
+        .split(',')
+        .map(email => email.trim())
+        .filter(email => email.length > 0);
+    }
+    return [];
+  }
+
+  /**
+   * Send a gzip-compressed database backup as an attachment
+   * @param {string} filePath - Backup snapshot to send
+   * @param {string} [to] - Recipient, defaults to the report recipients
+   * @returns {Promise<Object>} Result object with success status
+   */
+  async sendBackup(filePath, to = null) {
+    if (!this.transporter) {
+      return { success: false, error: 'Email not initialized' };
+    }
+
+    const emailConfig = this.options.emailSettings;
+    const recipients = to ? [to] : this.getRecipients();
+    if (recipients.length === 0) {
+      return { success: false, error: 'No valid recipients' };
+    }
+
+    const vesselName = this.formatter.getVesselName();
+    const filename = `${path.basename(filePath)}.gz`;
+    // Compressed while it is sent, so a large logbook doesn't stall the event loop
+    const content = fs.createReadStream(filePath).pipe(zlib.createGzip());
+
+    const mailOptions = {
+      from: emailConfig.fromEmail || emailConfig.smtpUser,
+      bcc: recipients,
+      subject: `${vesselName} - Logbook Backup - ${new Date().toISOString().split('T')[0]}`,
+      text: `Attached is a compressed backup of the ${vesselName} logbook database (${filename}).\n\n` +
+        'To restore it, decompress the file and upload it from the Backup section of the Noon Log web app.',
+      attachments: [{ filename, content, contentType: 'application/gzip' }]
+    };
+
+    try {
+      this.app.debug(`Sending logbook backup (${fs.statSync(filePath).size} bytes before compression) to: ${recipients.join(', ')}`);
+      const info = await this.transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId, recipients };
+    } catch (error) {
+      this.app.setPluginError(`Failed to send backup email: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a short plain-text alert to the report recipients
+   * @param {string} title - Alert title, used in the subject
+   * @param {string} message - Alert text
+   * @returns {Promise<Object>} Result object with success status
+   */
+  async sendAlert(title, message) {
+    if (!this.transporter) {
+      return { success: false, error: 'Email not initialized' };
+    }
+
+    const emailConfig = this.options.emailSettings;
+    const recipients = this.getRecipients();
+    if (recipients.length === 0) {
+      return { success: false, error: 'No valid recipients' };
+    }
+
+    const vesselName = this.formatter.getVesselName();
+    const mailOptions = {
+      from: emailConfig.fromEmail || emailConfig.smtpUser,
+      bcc: recipients,
+      subject: `${vesselName} - ${title}`,
+      text: `${message}\n\n${new Date().toISOString()}\nSent by the SignalK Noon Log plugin`
+    };
+
+    try {
+      this.app.debug(`Sending ${title} alert to: ${recipients.join(', ')}`);
+      const info = await this.transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId, recipients };
+    } catch (error) {
+      this.app.setPluginError(`Failed to send alert email: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Send test email
    */
@@ -155,10 +243,10 @@ class Mailer {
       },
       logText: 'This is a test log entry from the SignalK Noon Log plugin.',
       customData: [
-        { label: 'Wind Speed', value: '12.5', unit: 'knots' },
-        { label: 'Air Temperature', value: '22.3', unit: '°C' },
-        { label: 'Sea Temperature', value: '18.7', unit: '°C' },
-        { label: 'Barometric Pressure', value: '1013.2', unit: 'hPa' }
+        { path: 'environment.wind.speedApparent', label: 'Wind Speed', value: 6.43, units: 'm/s' },
+        { path: 'environment.outside.temperature', label: 'Air Temperature', value: 295.45, units: 'K' },
+        { path: 'environment.water.temperature', label: 'Sea Temperature', value: 291.85, units: 'K' },
+        { path: 'environment.outside.pressure', label: 'Barometric Pressure', value: 101320, units: 'Pa' }
       ],
       distance: {
         distanceSinceLast: 45.3,
@@ -3,10 +3,15 @@
  * Syncs voyage tracks to SignalK Resources API for display in Freeboard-SK
  * 
  * Creates:
- * 1. Track (LineString) - All positions for continuous path
+ * 1. Track (MultiLineString) - Voyage path, one line per track segment, simplified for long voyages
  * 2. Notes (Points) - Clickable markers for noon reports with log data
  */
 
+const { formatLogData, describeReading } = require('./data/units');
+const DeadReckoning = require('./data/deadReckoning');
+const { simplifyTrack } = require('./data/simplify');
+const { splitSegments } = require('./data/segments');
+
 class FreeboardSync {
   constructor(app, plugin, storage) {
     this.app = app;
@@ -95,18 +100,14 @@ class FreeboardSync {
       
       this.app.debug(`Syncing voyage ${voyageId}, name: "${voyageName}"`);
       
-      // Get all logs for this voyage (includes auto-track and noon reports)
-      const logs = this.storage.getLogsByVoyage(voyageId);
+      // Track points plus log entry positions, oldest first
+      const allPositions = this.storage.getVoyageTrack(voyageId);
       
-      if (!logs || logs.length === 0) {
-        this.app.debug(`Freeboard sync: No logs for voyage ${voyageId}`);
+      if (allPositions.length === 0) {
+        this.app.debug(`Freeboard sync: No positions for voyage ${voyageId}`);
         return;
       }
 
-      // Separate noon reports from auto-track positions
-      const noonReports = logs.filter(log => !log.is_auto_track);
-      const allPositions = logs.filter(log => log.latitude && log.longitude);
-
       this.app.debug(`Freeboard sync: Voyage ${voyageId} - ${allPositions.length} positions`);
 
       // Create/update track (all positions)
@@ -124,7 +125,7 @@ class FreeboardSync {
    * 
    * @param {number} voyageId - Voyage ID
    * @param {string} voyageName - Voyage name
-   * @param {Array} positions - Array of log entries with positions
+   * @param {Array} positions - Array of track positions, oldest first
    */
   async syncTrack(voyageId, voyageName, positions) {
     if (!positions || positions.length === 0) {
@@ -133,16 +134,16 @@ class FreeboardSync {
     }
 
     // Filter out any positions with invalid coordinates
-    const validPositions = positions.filter(log => {
-      const isValid = log.longitude != null && 
-                      log.latitude != null && 
-                      !isNaN(log.longitude) && 
-                      !isNaN(log.latitude) &&
-                      typeof log.longitude === 'number' &&
-                      typeof log.latitude === 'number';
+    const validPositions = positions.filter(point => {
+      const isValid = point.longitude != null && 
+                      point.latitude != null && 
+                      !isNaN(point.longitude) && 
+                      !isNaN(point.latitude) &&
+                      typeof point.longitude === 'number' &&
+                      typeof point.latitude === 'number';
       
       if (!isValid) {
-        this.app.debug(`Skipping invalid position from log ${log.id}: lat=${log.latitude}, lon=${log.longitude}`);
+        this.app.debug(`Skipping invalid position at ${point.timestamp}: lat=${point.latitude}, lon=${point.longitude}`);
       }
       return isValid;
     });
@@ -152,11 +153,19 @@ class FreeboardSync {
       return;
     }
 
-    // Log first few coordinates for debugging
+    // A long voyage is thinned so the resource stays small enough to push every interval
+    const { syncTolerance = 5, syncMaxPoints = 2000 } = this.plugin.options.positionTracking || {};
+    const syncPositions = simplifyTrack(validPositions, { tolerance: syncTolerance, maxPoints: syncMaxPoints });
+    if (syncPositions.length < validPositions.length) {
+      this.app.debug(`Track simplified from ${validPositions.length} to ${syncPositions.length} points for Freeboard`);
+    }
 
-    // Create GeoJSON Feature with MultiLineString (what Freeboard expects for tracks)
-    // MultiLineString wraps the coordinates in an extra array level
-    const coordinates = validPositions.map(log => [log.longitude, log.latitude]);
+    // Create GeoJSON Feature with MultiLineString (what Freeboard expects for tracks),
+    // one line per segment so gaps in recording are not drawn. A line needs two
+    // points, so single-point segments are left out unless there is nothing else
+    const toLine = positions => positions.map(point => [point.longitude, point.latitude]);
+    const lines = splitSegments(syncPositions).filter(segment => segment.length >= 2).map(toLine);
+    const coordinates = lines.length > 0 ? lines : [toLine(syncPositions)];
     
     // IMPORTANT: Must wrap the Feature in a "feature" property like GPX imports do!
     const track = {
@@ -164,7 +173,7 @@ class FreeboardSync {
         type: 'Feature',
         geometry: {
           type: 'MultiLineString',
-          coordinates: [coordinates]
+          coordinates
         },
         properties: {
           name: voyageName || `Voyage ${voyageId}`,
@@ -191,7 +200,7 @@ class FreeboardSync {
     const resourceId = `noon-log-voyage-${voyageId}`;
     await this.putResource('tracks', resourceId, track);
     
-    this.app.debug(`Track synced: ${resourceId} with ${validPositions.length} points, name="${voyageName}"`);
+    this.app.debug(`Track synced: ${resourceId} with ${syncPositions.length} points, name="${voyageName}"`);
   }
 
   /**
@@ -288,9 +297,7 @@ class FreeboardSync {
     if (report.data && report.data.length > 0) {
       description += '=== CONDITIONS ===\n';
       for (const dataPoint of report.data) {
-        const value = dataPoint.data_value || 'N/A';
-        const unit = dataPoint.data_unit || '';
-        description += `${dataPoint.data_label}: ${value}${unit}\n`;
+        description += `${dataPoint.data_label}: ${describeReading(formatLogData(dataPoint, this.plugin.options))}\n`;
       }
       description += '\n';
     }
@@ -309,6 +316,9 @@ class FreeboardSync {
     // Add position
     description += `\n=== POSITION ===\n`;
     description += this.formatPosition(report.latitude, report.longitude);
+    if (report.position_type === 'dr') {
+      description += ` (${DeadReckoning.describe(report.position_error)})`;
+    }
 
     return description.trim();
   }
@@ -416,10 +426,8 @@ class FreeboardSync {
       // Get all logs to find their IDs
       const logs = this.storage.getLogsByVoyage(voyageId);
       for (const log of logs) {
-        if (!log.is_auto_track) {
-          const noteId = `noon-log-${voyageId}-log-${log.id}`;
-          await this.deleteResource('notes', noteId);
-        }
+        const noteId = `noon-log-${voyageId}-log-${log.id}`;
+        await this.deleteResource('notes', noteId);
       }
 
       this.app.debug(`Deleted Freeboard-SK resources for voyage ${voyageId}`);
@@ -19,39 +19,63 @@ class NoonReportHandler {
       this.app.debug('Creating noon report');
   
       try {
+        // A report dated by a wrong clock would land on the wrong day
+        if (!this.plugin.dataCollector.isTimeTrusted()) {
+          this.app.setPluginError('Report held: waiting for GNSS time or a plausible system clock');
+          return;
+        }
+
         // Collect current data
         const noonData = this.plugin.dataCollector.collectNoonData();
   
+        // A dead-reckoned position is accepted; it is labelled as such wherever it is shown
         if (!noonData.position || !noonData.position.latitude) {
           this.app.setPluginError('No position data available for report');
           return;
         }
+        if (noonData.position.quality === 'dr') {
+          this.app.debug(`Noon report on a dead-reckoned position (±${noonData.position.error.toFixed(1)} nm)`);
+        }
+
+        // Barometer trend is reported alongside the readings
+        if (this.plugin.pressureTrend) {
+          noonData.customData.push(...this.plugin.pressureTrend.getReportData());
+        }
   
         // Calculate distance from position track
         const distanceData = this.plugin.distanceCalculator.calculateDistanceData();
   
-        // Create log entry in database
-        const logId = this.createDatabaseEntry(noonData, distanceData);
+        // Create log entry, consume the pending text and roll up journal entries in
+        // one transaction — a crash mid-report rolls all back, so nothing is lost or duplicated
+        const { logId, pendingLog, journal } = this.plugin.storage.transaction(() => {
+          const pendingLog = this.plugin.storage.getPendingLog();
+          const journal = this.plugin.storage.getUnreportedJournalEntries();
+          const logId = this.createDatabaseEntry(noonData, distanceData, pendingLog);
+          this.plugin.storage.clearPendingLog();
+          this.plugin.storage.attachJournalEntries(journal.map(entry => entry.id), logId);
+          return { logId, pendingLog, journal };
+        });
+        this.plugin.dataCollector.resetIntervalStats();
   
         // Prepare complete log data for email
         const completeLogData = {
           ...noonData,
-          logText: this.plugin.pendingLogText,
+          logText: pendingLog ? pendingLog.log_text : null,
+          author: pendingLog ? pendingLog.author : null,
+          journal: journal,
           distance: distanceData
         };
   
         // Send email if enabled
         await this.sendEmail(logId, completeLogData);
   
-        // Clear pending log text
-        this.plugin.pendingLogText = null;
-  
         // Publish deltas to SignalK
         this.publishDeltas(completeLogData, distanceData, logId);
         
-        // Clear pending log delta (so UI removes the yellow card)
+        // Clear pending log delta (so UI removes the yellow card) and refresh the journal
         if (this.plugin.publisher) {
           this.plugin.publisher.publishPendingLog(null);
+          this.plugin.publisher.publishLogListUpdated();
         }
   
         this.app.debug(`Noon report created successfully (ID: ${logId})`);
@@ -64,27 +88,27 @@ class NoonReportHandler {
   
     /**
      * Create database entry for the noon report
+     * @param {Object} noonData - Collected noon data
+     * @param {Object} distanceData - Distance data
+     * @param {Object|null} pendingLog - Pending log row to attach, if any
      */
-    createDatabaseEntry(noonData, distanceData) {
+    createDatabaseEntry(noonData, distanceData, pendingLog) {
       // Create main log entry
       const logId = this.plugin.storage.createLogEntry({
         timestamp: noonData.timestamp,
         dateStr: noonData.dateStr,
         latitude: noonData.position.latitude,
         longitude: noonData.position.longitude,
-        logText: this.plugin.pendingLogText,
+        positionType: noonData.position.quality === 'dr' ? 'dr' : null,
+        positionError: noonData.position.quality === 'dr' ? noonData.position.error : null,
+        logText: pendingLog ? pendingLog.log_text : null,
+        author: pendingLog ? pendingLog.author : null,
         emailSent: false
       });
   
       // Add custom data (weather, etc.)
       for (const data of noonData.customData) {
-        this.plugin.storage.addLogData(
-          logId,
-          data.path,
-          data.label,
-          data.value,
-          data.unit
-        );
+        this.plugin.storage.addLogData(logId, data);
       }
   
       // Add distance data
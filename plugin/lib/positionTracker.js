@@ -1,8 +1,28 @@
 /**
  * Position Tracker Module
- * Handles high-frequency position logging separate from noon reports
+ * Handles high-frequency position logging separate from noon reports.
+ * Position deltas wake the tracker; a point is stored when the vessel has
+ * turned, changed speed or moved far enough since the last one, or when the
+ * maximum gap has passed. While the GPS is lost, dead-reckoned positions are
+ * recorded and flagged as such. Nothing is recorded until the time is trusted.
+ * A restart of tracking or a long silence ending elsewhere starts a new
+ * track segment.
  */
 
+const { checkFix, distanceMetres, MS_TO_KNOTS } = require('./data/fixFilter');
+const { isGap } = require('./data/segments');
+
+const DELTA_PERIOD_MS = 1000;
+const POLL_INTERVAL_MS = 60 * 1000; // Also check every minute, for when deltas stop (GPS lost, dead reckoning)
+const MIN_COURSE_SPEED_KNOTS = 1; // COG is noise below this speed
+const MAX_SPEED_REJECTIONS = 30; // After this many jumps in a row, trust the new position
+
+// Smallest difference between two angles in degrees
+function angleDifferenceDegrees(a, b) {
+  const diff = Math.abs(a - b) % (2 * Math.PI);
+  return Math.min(diff, 2 * Math.PI - diff) * 180 / Math.PI;
+}
+
 class PositionTracker {
   constructor(app, plugin, storage, dataCollector, options) {
     this.app = app;
@@ -11,8 +31,26 @@ class PositionTracker {
     this.dataCollector = dataCollector;
     this.options = options;
     this.interval = null;
+    this.unsubscribes = [];
     this.lastPosition = null;
     this.recordedWhileStopped = false; // allows one position record when vessel first stops
+    this.speedRejections = 0;
+    this.lastRejectedAt = 0;
+  }
+
+  get settings() {
+    return {
+      interval: 60,
+      minSpeed: 2,
+      distance: 500,
+      courseChange: 20,
+      speedChange: 2,
+      minInterval: 10,
+      maxSpeed: 50,
+      maxHdop: 5,
+      gapMinutes: 120,
+      ...this.options.positionTracking
+    };
   }
 
   /**
@@ -24,104 +62,124 @@ class PositionTracker {
       return;
     }
 
-    const intervalMinutes = this.options.positionTracking.interval || 60;
-    const intervalMs = intervalMinutes * 60 * 1000;
-
-    this.app.debug(`[PositionTracker] starting with ${intervalMinutes} minute interval`);
+    this.stop();
+    this.lastPosition = null; // The track resumes in a new segment
+    const { interval, distance, courseChange, speedChange } = this.settings;
+    this.app.debug(`[PositionTracker] starting: every ${distance} m, ${courseChange}° course or ${speedChange} kts speed change, at least every ${interval} minutes`);
 
     // Track immediately
-    this.app.debug('[PositionTracker] calling recordPosition() immediately on start');
     this.recordPosition();
 
-    // Then track at intervals
+    if (this.app.subscriptionmanager) {
+      this.app.subscriptionmanager.subscribe(
+        {
+          context: 'vessels.self',
+          subscribe: [{ path: this.options.positionPath || 'navigation.position', period: DELTA_PERIOD_MS }]
+        },
+        this.unsubscribes,
+        error => this.app.error(`Position tracker subscription error: ${error}`),
+        () => this.recordPosition()
+      );
+    }
     this.interval = setInterval(() => {
       this.recordPosition();
-    }, intervalMs);
+    }, POLL_INTERVAL_MS);
   }
 
   /**
    * Stop position tracking
    */
   stop() {
+    const running = this.interval !== null || this.unsubscribes.length > 0;
     if (this.interval) {
       clearInterval(this.interval);
       this.interval = null;
+    }
+    this.unsubscribes.forEach(unsubscribe => unsubscribe());
+    this.unsubscribes = [];
+    if (running) {
       this.app.debug('Position tracker stopped');
     }
   }
 
   /**
-   * Record current position to database
+   * Record current position to database if a tracking trigger has fired
    */
   recordPosition() {
     try {
+      // Points timed by a wrong clock would scramble the track; wait for trusted time
+      if (!this.dataCollector.isTimeTrusted()) {
+        return;
+      }
+
       // Get current position
-      const noonData = this.dataCollector.collectNoonData();
+      const position = this.dataCollector.getPosition();
+      if (!position) {
+        return;
+      }
+
+      // A dead-reckoned position carries the course and speed it was worked up from
+      const dr = position.quality === 'dr';
+      const sog = dr ? position.speed : this.dataCollector.getValue('navigation.speedOverGround');
+      const cog = dr ? position.course : this.dataCollector.getValue('navigation.courseOverGroundTrue');
+      const hdop = dr ? null : this.dataCollector.getValue('navigation.gnss.horizontalDilution');
+      const now = Math.floor(this.dataCollector.now() / 1000);
 
-      this.app.debug(`[PositionTracker.recordPosition] position=${JSON.stringify(noonData.position)}`);
-      
-      if (!noonData.position || !noonData.position.latitude) {
-        this.app.debug('Position record skipped — no GPS data available');
+      if (!this.isPlausible({ ...position, hdop, timestamp: now })) {
         return;
       }
 
       // Speed check — require minimum SOG to record position
-      // One record is always allowed when vessel first stops (captures dock/anchor position)
-      const minSpeed = this.options.positionTracking?.minSpeed ?? 0.5;
+      // One record is always allowed when vessel first stops (captures dock/anchor position),
+      // then one per time interval, so a long slow drift is not later taken for a gap
+      const minSpeed = this.settings.minSpeed;
+      let stopping = false;
       if (minSpeed > 0) {
-        const sog = this.dataCollector.getValue('navigation.speedOverGround');
-        const sogKnots = sog != null ? sog * 1.94384 : null;
+        const sogKnots = sog != null ? sog * MS_TO_KNOTS : null;
         const isMoving = sogKnots != null && sogKnots >= minSpeed;
 
         if (isMoving) {
           // Vessel moving — reset flag so next stop gets its one allowed record
           this.recordedWhileStopped = false;
-        } else {
-          if (this.recordedWhileStopped) {
-            this.app.debug(`Position record skipped — SOG ${sogKnots != null ? sogKnots.toFixed(2) + ' kts' : 'unavailable'} below minimum ${minSpeed} kts (stopped position already recorded)`);
-            return;
-          }
+        } else if (!this.recordedWhileStopped) {
           // First record while stopped — allow it then set flag
           this.app.debug(`Position recorded at stop — SOG ${sogKnots != null ? sogKnots.toFixed(2) + ' kts' : 'unavailable'} below minimum ${minSpeed} kts`);
           this.recordedWhileStopped = true;
+          stopping = true;
+        } else if (this.lastPosition && now - this.lastPosition.timestamp < this.settings.interval * 60) {
+          // Still stopped — only the time trigger records
+          return;
         }
       }
 
-      // Position threshold check
-      if (this.shouldSkipPosition(noonData.position)) {
-        this.app.debug('[PositionTracker.recordPosition] position unchanged, skipping');
+      const fix = { ...position, sog, cog, timestamp: now };
+      const gap = this.lastPosition !== null && isGap(this.lastPosition, fix, this.settings);
+      const trigger = stopping ? 'stop' : gap ? 'gap' : this.getTrigger(fix);
+      if (!trigger) {
         return;
       }
+      const newSegment = this.lastPosition === null || gap;
 
       // Store position
-      this.lastPosition = noonData.position;
-
-      // Create log entry with special flag for auto-tracked positions
-      const logId = this.storage.createLogEntry({
-        timestamp: noonData.timestamp,
-        dateStr: noonData.dateStr,
-        latitude: noonData.position.latitude,
-        longitude: noonData.position.longitude,
-        logText: null, // No log text for auto-tracked positions
-        emailSent: false,
-        isAutoTrack: true // Flag to distinguish from manual noon reports
-      });
+      this.lastPosition = fix;
 
-      // Add weather/environmental data from the collector
-      if (noonData.customData && noonData.customData.length > 0) {
-        for (const data of noonData.customData) {
-          this.storage.addLogData(
-            logId,
-            data.path,
-            data.label,
-            data.value,
-            data.unit
-          );
-        }
-      }
-
-      this.app.debug(`Position tracked: ${noonData.position.latitude.toFixed(6)}, ${noonData.position.longitude.toFixed(6)} (ID: ${logId})`);
+      // Track points keep SignalK units (m/s, radians) — converted only for display
+      const pointId = this.storage.addTrackPoint({
+        timestamp: now,
+        latitude: position.latitude,
+        longitude: position.longitude,
+        sog: sog,
+        cog: cog,
+        heading: this.dataCollector.getValue('navigation.headingTrue'),
+        satellites: dr ? null : this.dataCollector.getValue('navigation.gnss.satellites'),
+        hdop: hdop,
+        source: position.source,
+        positionType: dr ? 'dr' : null,
+        positionError: dr ? position.error : null,
+        newSegment
+      });
 
+      this.app.debug(`Position tracked (${trigger}${dr ? ', dead reckoning' : ''}${newSegment ? ', new segment' : ''}): ${position.latitude.toFixed(6)}, ${position.longitude.toFixed(6)} (ID: ${pointId})`);
 
       // Publish updated position count to SignalK
       if (this.plugin && this.plugin.publisher) {
@@ -134,23 +192,69 @@ class PositionTracker {
   }
 
   /**
-   * Check if position has changed enough to warrant recording
-   * Returns true if position should be skipped (hasn't moved significantly)
-   * 
-   * @param {Object} position - Current position
-   * @returns {boolean} True if position should be skipped
+   * Filter out GPS glitches before they reach the track. Rejected fixes are
+   * written to the diagnostics table, at most one per minimum interval.
+   *
+   * @param {Object} fix - { latitude, longitude, hdop, source, timestamp }
+   * @returns {boolean} True if the fix can be used
+   */
+  isPlausible(fix) {
+    const problem = checkFix(fix, this.lastPosition, this.settings);
+    if (!problem) {
+      this.speedRejections = 0;
+      return true;
+    }
+
+    if (problem.reason === 'speed' && ++this.speedRejections >= MAX_SPEED_REJECTIONS) {
+      // The reference point was the bad one, or the vessel really has moved (e.g. by road)
+      this.app.debug(`[PositionTracker] ${this.speedRejections} position jumps in a row, accepting the new position`);
+      this.speedRejections = 0;
+      this.lastPosition = null;
+      return true;
+    }
+
+    if (fix.timestamp - this.lastRejectedAt >= this.settings.minInterval) {
+      this.lastRejectedAt = fix.timestamp;
+      this.app.debug(`Position rejected: ${problem.detail}`);
+      this.storage.addRejectedFix({ ...fix, reason: problem.reason, detail: problem.detail, rejectedAt: fix.timestamp });
+    }
+    return false;
+  }
+
+  /**
+   * Decide whether a fix should be recorded, comparing it with the last
+   * recorded point
+   *
+   * @param {Object} fix - { latitude, longitude, sog, cog, timestamp } in SignalK units
+   * @returns {string|null} The trigger that fired ('first', 'time', 'distance',
+   *   'course', 'speed'), or null to skip the fix
    */
-  shouldSkipPosition(position) {
-    if (!this.lastPosition) return false;
+  getTrigger(fix) {
+    const last = this.lastPosition;
+    if (!last) return 'first';
 
-    // Calculate distance moved (simple approximation)
-    const latDiff = Math.abs(position.latitude - this.lastPosition.latitude);
-    const lonDiff = Math.abs(position.longitude - this.lastPosition.longitude);
+    const settings = this.settings;
+    const elapsed = fix.timestamp - last.timestamp;
+    if (elapsed >= settings.interval * 60) return 'time';
+    if (elapsed < settings.minInterval) return null;
+
+    if (distanceMetres(last.latitude, last.longitude, fix.latitude, fix.longitude) >= settings.distance) {
+      return 'distance';
+    }
+
+    const movingKnots = Math.min(fix.sog ?? 0, last.sog ?? 0) * MS_TO_KNOTS;
+    if (settings.courseChange > 0 && movingKnots >= MIN_COURSE_SPEED_KNOTS &&
+        typeof fix.cog === 'number' && typeof last.cog === 'number' &&
+        angleDifferenceDegrees(fix.cog, last.cog) >= settings.courseChange) {
+      return 'course';
+    }
+
+    if (settings.speedChange > 0 && typeof fix.sog === 'number' && typeof last.sog === 'number' &&
+        Math.abs(fix.sog - last.sog) * MS_TO_KNOTS >= settings.speedChange) {
+      return 'speed';
+    }
 
-    // Skip if moved less than ~100 meters (0.001 degrees ≈ 111 meters at equator)
-    const threshold = 0.001;
-    
-    return (latDiff < threshold && lonDiff < threshold);
+    return null;
   }
 
   /**
@@ -158,18 +262,16 @@ class PositionTracker {
    * @returns {Object} Statistics object
    */
   getStatistics() {
-    // This could be expanded to show:
-    // - Total positions tracked
-    // - Tracking uptime
-    // - Storage used
-    // - etc.
-    
+    const { interval, distance, courseChange, speedChange } = this.settings;
     return {
       enabled: this.options.positionTracking?.enabled || false,
-      interval: this.options.positionTracking?.interval || 0,
-      isRunning: this.interval !== null
+      interval,
+      distance,
+      courseChange,
+      speedChange,
+      isRunning: this.interval !== null || this.unsubscribes.length > 0
     };
   }
 }
 
-module.exports = PositionTracker;
\ No newline at end of file
+module.exports = PositionTracker;
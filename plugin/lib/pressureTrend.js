@@ -0,0 +1,258 @@
+/**
+ * Barometric Pressure Trend Module
+ * Samples the barometer into a rolling history, derives the 3h/24h change and
+ * WMO pressure tendency, and warns when the pressure falls fast
+ */
+
+const SAMPLE_INTERVAL_MS = 10 * 60 * 1000;
+const READING_MAX_AGE_SECONDS = SAMPLE_INTERVAL_MS / 1000; // An older reading would be stored again as if current
+const HISTORY_SECONDS = 48 * 60 * 60;
+const MATCH_TOLERANCE_SECONDS = 30 * 60; // How far a stored reading may be from the time looked up
+const STEADY_PA = 10; // Changes under 0.1 hPa count as steady, as in WMO reporting
+const NOTIFICATION_PATH = 'notifications.environment.outside.pressure.rapidFall';
+
+// WMO code table 0200: characteristic of pressure tendency over the past 3 hours
+const WMO_TENDENCY = {
+  0: 'Increasing, then decreasing',
+  1: 'Increasing, then steady or increasing more slowly',
+  2: 'Increasing steadily',
+  3: 'Increasing more rapidly, or decreasing then increasing',
+  4: 'Steady',
+  5: 'Decreasing, then increasing',
+  6: 'Decreasing, then steady or decreasing more slowly',
+  7: 'Decreasing steadily',
+  8: 'Decreasing more rapidly, or increasing then decreasing'
+};
+
+/**
+ * WMO tendency characteristic from the change over each half of the period
+ * @param {number} first - Change from 3h to 1.5h ago (Pa)
+ * @param {number} second - Change from 1.5h ago to now (Pa)
+ * @returns {number} Code 0-8
+ */
+function wmoTendency(first, second) {
+  const total = first + second;
+
+  if (Math.abs(total) < STEADY_PA) {
+    if (first >= STEADY_PA && second <= -STEADY_PA) return 0;
+    if (first <= -STEADY_PA && second >= STEADY_PA) return 5;
+    return 4;
+  }
+
+  if (total > 0) {
+    if (second <= -STEADY_PA) return 0;
+    if (Math.abs(second) < STEADY_PA) return 1;
+    if (first < STEADY_PA || second > first + STEADY_PA) return 3;
+    if (second < first - STEADY_PA) return 1;
+    return 2;
+  }
+
+  if (second >= STEADY_PA) return 5;
+  if (Math.abs(second) < STEADY_PA) return 6;
+  if (first > -STEADY_PA || second < first - STEADY_PA) return 8;
+  if (second > first + STEADY_PA) return 6;
+  return 7;
+}
+
+/**
+ * Forecasters' wording for the size of a 3h change
+ * @param {number} change - Change over 3 hours (Pa)
+ * @returns {string} e.g. 'falling quickly'
+ */
+function describeChange(change) {
+  const hPa = Math.abs(change) / 100;
+  if (hPa < 0.1) return 'steady';
+  const direction = change > 0 ? 'rising' : 'falling';
+  if (hPa < 1.6) return `${direction} slowly`;
+  if (hPa < 3.6) return direction;
+  if (hPa < 6.1) return `${direction} quickly`;
+  return `${direction} very rapidly`;
+}
+
+class PressureTrend {
+  constructor(app, plugin) {
+    this.app = app;
+    this.plugin = plugin;
+    this.timer = null;
+    this.alarmActive = false;
+  }
+
+  get settings() {
+    return {
+      enabled: true,
+      path: 'environment.outside.pressure',
+      alertThreshold: 4,
+      emailAlert: false,
+      ...this.plugin.options.pressureTrend
+    };
+  }
+
+  /**
+   * Start sampling the barometer
+   */
+  start() {
+    if (!this.settings.enabled) {
+      this.app.debug('Pressure trend tracking not enabled');
+      return;
+    }
+
+    this.app.debug(`Tracking pressure trend on ${this.settings.path}, alert on a fall of ${this.settings.alertThreshold} hPa in 3h`);
+    this.sample();
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL_MS);
+  }
+
+  /**
+   * Stop sampling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.app.debug('Pressure trend tracking stopped');
+    }
+  }
+
+  // Current Unix time from the trusted clock
+  nowUnix() {
+    const collector = this.plugin.dataCollector;
+    return Math.floor((collector ? collector.now() : Date.now()) / 1000);
+  }
+
+  /**
+   * Store the current reading and check for a rapid fall
+   */
+  async sample() {
+    try {
+      const reading = this.plugin.dataCollector.getReading(this.settings.path, { maxAge: READING_MAX_AGE_SECONDS });
+      if (reading?.quality === 'stale') {
+        this.app.debug(`Pressure on ${this.settings.path} is stale, sample skipped`);
+        return;
+      }
+      const pressure = reading?.value;
+      if (typeof pressure !== 'number' || !Number.isFinite(pressure)) return;
+
+      const now = this.nowUnix();
+      this.plugin.storage.addPressureReading(now, pressure);
+      this.plugin.storage.prunePressureReadings(now - HISTORY_SECONDS);
+
+      await this.checkAlarm(this.getTrend(now));
+    } catch (error) {
+      this.app.error(`Pressure trend sample failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pressure trend at a moment, from the stored history
+   * @param {number} [at] - Unix timestamp, defaults to now
+   * @returns {Object|null} { pressure, change3h, change24h, tendency, description } —
+   *   changes in Pa and null when there is no reading far enough back; null if no current reading
+   */
+  getTrend(at = this.nowUnix()) {
+    const readingAt = (seconds) => this.plugin.storage.getPressureReadingNear(at - seconds, MATCH_TOLERANCE_SECONDS);
+    const current = readingAt(0);
+    if (!current) return null;
+
+    const ago3h = readingAt(3 * 3600);
+    const ago90m = readingAt(90 * 60);
+    const ago24h = readingAt(24 * 3600);
+
+    const change3h = ago3h ? current.pressure - ago3h.pressure : null;
+    let tendency = null;
+    if (ago3h && ago90m) {
+      tendency = wmoTendency(ago90m.pressure - ago3h.pressure, current.pressure - ago90m.pressure);
+    }
+
+    let description = null;
+    if (change3h !== null) {
+      const change = describeChange(change3h);
+      description = change.charAt(0).toUpperCase() + change.slice(1);
+      if (tendency !== null && tendency !== 4) {
+        description += ` (${WMO_TENDENCY[tendency].toLowerCase()})`;
+      }
+    }
+
+    return {
+      pressure: current.pressure,
+      change3h,
+      change24h: ago24h ? current.pressure - ago24h.pressure : null,
+      tendency,
+      description
+    };
+  }
+
+  /**
+   * Trend as custom data items for the noon report, so it is stored, sealed
+   * and shown like any other reading
+   * @returns {Array} [{ path, label, value, units }]
+   */
+  getReportData() {
+    if (!this.settings.enabled) return [];
+    const trend = this.getTrend();
+    if (!trend || trend.change3h === null) return [];
+
+    const items = [
+      { path: `${this.settings.path}.change3h`, label: 'Pressure Change (3h)', value: trend.change3h, units: 'Pa' }
+    ];
+    if (trend.change24h !== null) {
+      items.push({ path: `${this.settings.path}.change24h`, label: 'Pressure Change (24h)', value: trend.change24h, units: 'Pa' });
+    }
+    items.push({ path: `${this.settings.path}.tendency`, label: 'Pressure Tendency', value: trend.description });
+    return items;
+  }
+
+  /**
+   * Raise the SignalK notification (and email) when the 3h fall reaches the
+   * threshold; clear it once the fall eases
+   * @param {Object|null} trend - Current trend
+   */
+  async checkAlarm(trend) {
+    const thresholdPa = this.settings.alertThreshold * 100;
+    const falling = trend && trend.change3h !== null && -trend.change3h >= thresholdPa;
+
+    if (falling && !this.alarmActive) {
+      this.alarmActive = true;
+      const message = `Barometer falling fast: ${(trend.change3h / 100).toFixed(1)} hPa in 3 hours (${(trend.pressure / 100).toFixed(1)} hPa now)`;
+      this.app.debug(message);
+      this.publishNotification('warn', message);
+
+      if (this.settings.emailAlert) {
+        if (!this.plugin.mailer) {
+          this.app.error('Pressure alert email enabled but email is not configured');
+        } else {
+          const result = await this.plugin.mailer.sendAlert('Barometer Warning', message);
+          if (!result.success) {
+            this.app.error(`Pressure alert email failed: ${result.error}`);
+          }
+        }
+      }
+    } else if (!falling && this.alarmActive) {
+      this.alarmActive = false;
+      this.publishNotification('normal', 'Barometer no longer falling fast');
+    }
+  }
+
+  /**
+   * Publish the rapid-fall notification
+   * @param {string} state - SignalK alarm state
+   * @param {string} message - Notification message
+   */
+  publishNotification(state, message) {
+    this.app.handleMessage(this.plugin.id, {
+      updates: [{
+        values: [{
+          path: NOTIFICATION_PATH,
+          value: {
+            state,
+            method: state === 'normal' ? [] : ['visual', 'sound'],
+            message
+          }
+        }]
+      }]
+    });
+  }
+}
+
+PressureTrend.wmoTendency = wmoTendency;
+PressureTrend.WMO_TENDENCY = WMO_TENDENCY;
+
+module.exports = PressureTrend;
@@ -60,11 +60,9 @@ class DeltaPublisher {
 
     // Get and publish total reports sent count
     if (this.plugin.storage) {
-      const allLogs = this.plugin.storage.getAllLogs();
-      const reportsSent = allLogs.filter(log => log.email_sent).length;
       deltas.push({
         path: 'navigation.log.reportsSent',
-        value: reportsSent
+        value: this.plugin.storage.getReportsSentCount()
       });
 
       // Position track count for current voyage
@@ -129,11 +127,9 @@ class DeltaPublisher {
 
     // Reports sent count
     if (this.plugin.storage) {
-      const allLogs = this.plugin.storage.getAllLogs();
-      const reportsSent = allLogs.filter(log => log.email_sent).length;
       deltas.push({
         path: 'navigation.log.reportsSent',
-        value: reportsSent
+        value: this.plugin.storage.getReportsSentCount()
       });
       
       // Current voyage name — publish '--' if no active voyage
@@ -182,6 +178,13 @@ class DeltaPublisher {
     this.sendDeltas([{ path: 'navigation.log.logListUpdated', value: Date.now() }]);
   }
 
+  /**
+   * Publish the detected vessel state (underwaySail, underwayPower, drifting, anchored, moored)
+   */
+  publishVesselState(state) {
+    this.sendDeltas([{ path: 'navigation.log.vesselState', value: state }]);
+  }
+
   /**
    * Publish state reset when no active voyage exists after deletion
    */
@@ -5,11 +5,23 @@
  * Separated from routes for better testability and organization
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatLogData, storedUnit, toSI, withDisplayValues } = require('./data/units');
+const { MAX_UPLOAD_BYTES } = require('./backup');
+
 // Constants for validation
 const MAX_LOG_TEXT_LENGTH = 10000;
 const MAX_VOYAGE_NAME_LENGTH = 100;
+const MAX_AUTHOR_LENGTH = 100;
+const MAX_REASON_LENGTH = 500;
 const DEFAULT_HISTORY_LIMIT = 30;
 const MAX_HISTORY_LIMIT = 1000;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 200;
+const BACKUP_UPLOAD_TYPES = ['application/octet-stream', 'application/x-sqlite3'];
 
 function validateLogText(logText) {
   if (typeof logText !== 'string' && logText !== null && logText !== undefined) {
@@ -21,6 +33,19 @@ function validateLogText(logText) {
   return { valid: true };
 }
 
+function validateAuthor(author) {
+  if (author === null || author === undefined) {
+    return { valid: true, author: null };
+  }
+  if (typeof author !== 'string') {
+    return { valid: false, error: 'Author must be a string' };
+  }
+  if (author.length > MAX_AUTHOR_LENGTH) {
+    return { valid: false, error: `Author too long (max ${MAX_AUTHOR_LENGTH} characters)` };
+  }
+  return { valid: true, author: author.trim() || null };
+}
+
 function validateVoyageName(name) {
   if (typeof name !== 'string') {
     return { valid: false, error: 'Voyage name must be a string' };
@@ -42,6 +67,78 @@ function validateVoyageId(voyageId) {
   return { valid: true, id };
 }
 
+function validateLogId(logId) {
+  const id = parseInt(logId);
+  if (isNaN(id) || id < 1) {
+    return { valid: false, error: 'Invalid log ID' };
+  }
+  return { valid: true, id };
+}
+
+function validateReason(reason) {
+  if (typeof reason !== 'string' || reason.trim().length === 0) {
+    return { valid: false, error: 'A reason is required for every correction' };
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { valid: false, error: `Reason too long (max ${MAX_REASON_LENGTH} characters)` };
+  }
+  return { valid: true, reason: reason.trim() };
+}
+
+function validateLogChanges(body) {
+  const changes = {};
+  if (body.logText !== undefined) {
+    const validation = validateLogText(body.logText);
+    if (!validation.valid) return validation;
+    changes.logText = body.logText;
+  }
+  for (const [key, limit] of [['latitude', 90], ['longitude', 180]]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'number' || isNaN(body[key]) || Math.abs(body[key]) > limit) {
+      return { valid: false, error: `Invalid ${key}` };
+    }
+    changes[key] = body[key];
+  }
+  if (body.data !== undefined) {
+    if (!Array.isArray(body.data) || body.data.some(item => !item || !Number.isInteger(item.id))) {
+      return { valid: false, error: 'Data corrections must be an array of { id, value }' };
+    }
+    changes.data = body.data.map(item => ({ id: item.id, value: item.value }));
+  }
+  if (Object.keys(changes).length === 0) {
+    return { valid: false, error: 'No changes supplied' };
+  }
+  return { valid: true, changes };
+}
+
+function validateFixLimits(body, defaults) {
+  const limits = { maxSpeed: defaults.maxSpeed, maxHdop: defaults.maxHdop };
+  for (const key of ['maxSpeed', 'maxHdop']) {
+    if (body?.[key] === undefined) continue;
+    if (typeof body[key] !== 'number' || !Number.isFinite(body[key]) || body[key] < 0) {
+      return { valid: false, error: `Invalid ${key}` };
+    }
+    limits[key] = body[key];
+  }
+  return { valid: true, limits };
+}
+
+// Optional ?tolerance= (metres) and ?maxPoints= track simplification; null when neither is given
+function validateSimplification(query) {
+  if (query?.tolerance === undefined && query?.maxPoints === undefined) {
+    return { valid: true, simplification: null };
+  }
+  const tolerance = query.tolerance === undefined ? 0 : Number(query.tolerance);
+  if (!Number.isFinite(tolerance) || tolerance < 0) {
+    return { valid: false, error: 'Invalid tolerance' };
+  }
+  const maxPoints = query.maxPoints === undefined ? 0 : Number(query.maxPoints);
+  if (!Number.isInteger(maxPoints) || (maxPoints !== 0 && maxPoints < 2)) {
+    return { valid: false, error: 'Invalid maxPoints' };
+  }
+  return { valid: true, simplification: { tolerance, maxPoints } };
+}
+
 function validateEmail(email) {
   if (typeof email !== 'string') {
     return { valid: false, error: 'Email must be a string' };
@@ -57,6 +154,39 @@ function validateEmail(email) {
   return { valid: true, email: trimmed };
 }
 
+/**
+ * Turn corrections typed in display units into storage changes.
+ * Numeric readings are converted back to SI; unchanged fields are dropped so
+ * re-saving a rounded value does not record a correction.
+ */
+function resolveDataCorrections(log, items, options) {
+  const data = [];
+  for (const item of items) {
+    const row = log.data.find(d => d.id === item.id);
+    if (!row || row.raw_value === null || row.raw_value === undefined) {
+      data.push(item);
+      continue;
+    }
+
+    const current = formatLogData(row, options);
+    const text = item.value == null ? '' : String(item.value).trim();
+    if (text === current.value) continue;
+
+    const entered = Number(text);
+    if (text === '' || !Number.isFinite(entered)) {
+      return { valid: false, error: `${row.data_label || row.data_path} must be a number` };
+    }
+    const unit = current.unit ? ` ${current.unit}` : '';
+    data.push({
+      id: item.id,
+      rawValue: toSI(entered, storedUnit(row), row.data_path, options),
+      oldText: `${current.value}${unit}`,
+      newText: `${text}${unit}`
+    });
+  }
+  return { valid: true, data };
+}
+
 function sendError(res, error, statusCode = 500) {
   res.status(statusCode).json({
     success: false,
@@ -72,6 +202,11 @@ function sendSuccess(res, data = null) {
   res.json(response);
 }
 
+// Current Unix time from the trusted clock (GNSS time when known), for anything stored
+function nowUnix(plugin) {
+  return Math.floor((plugin.clock ? plugin.clock.now() : Date.now()) / 1000);
+}
+
 /**
  * Guard: returns false and sends 503 if storage is not initialized.
  * Handles the window between stop() and start() completing where
@@ -97,7 +232,12 @@ function submitLog(req, res, app, plugin) {
     if (!validation.valid) {
       return sendError(res, validation.error, 400);
     }
-    plugin.pendingLogText = logText || null;
+    // Explicit author wins, otherwise the logged-in SignalK user if security is enabled
+    const authorValidation = validateAuthor(req.body.author ?? req.skPrincipal?.identifier);
+    if (!authorValidation.valid) {
+      return sendError(res, authorValidation.error, 400);
+    }
+    plugin.storage.setPendingLog(logText || null, authorValidation.author, nowUnix(plugin));
     if (plugin.publisher) {
       plugin.publisher.publishPendingLog(logText);
       plugin.publisher.publishLogListUpdated();
@@ -115,6 +255,269 @@ function submitLog(req, res, app, plugin) {
   }
 }
 
+function addJournalEntry(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const { logText } = req.body;
+    const validation = validateLogText(logText);
+    if (!validation.valid) {
+      return sendError(res, validation.error, 400);
+    }
+    if (!logText || !logText.trim()) {
+      return sendError(res, 'Journal entry cannot be empty', 400);
+    }
+    const authorValidation = validateAuthor(req.body.author ?? req.skPrincipal?.identifier);
+    if (!authorValidation.valid) {
+      return sendError(res, authorValidation.error, 400);
+    }
+    if (!plugin.storage.getActiveVoyage()) {
+      return sendError(res, 'No active voyage — create one to begin logging', 400);
+    }
+
+    // Snapshot position and sensor data at the moment of writing
+    const snapshot = plugin.dataCollector.collectNoonData();
+    const logId = plugin.storage.transaction(() => {
+      const id = plugin.storage.createLogEntry({
+        timestamp: snapshot.timestamp,
+        dateStr: snapshot.dateStr,
+        latitude: snapshot.position?.latitude,
+        longitude: snapshot.position?.longitude,
+        positionType: snapshot.position?.quality === 'dr' ? 'dr' : null,
+        positionError: snapshot.position?.quality === 'dr' ? snapshot.position.error : null,
+        logText: logText.trim(),
+        author: authorValidation.author,
+        isJournal: true
+      });
+      for (const data of snapshot.customData) {
+        // A journal entry is a moment — the interval statistics belong to the next report
+        plugin.storage.addLogData(id, { ...data, stats: null });
+      }
+      return id;
+    });
+
+    if (plugin.publisher) {
+      plugin.publisher.publishLogListUpdated();
+    }
+    app.debug(`Journal entry added (ID: ${logId})`);
+    sendSuccess(res, {
+      message: 'Journal entry saved. It will be listed in the next noon report.',
+      log: withDisplayValues(plugin.storage.getLogById(logId), plugin.options)
+    });
+  } catch (error) {
+    app.error(`Error adding journal entry: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+function getJournal(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const entries = plugin.storage.getUnreportedJournalEntries()
+      .map(entry => withDisplayValues(entry, plugin.options));
+    sendSuccess(res, { entries, count: entries.length });
+  } catch (error) {
+    app.error(`Error getting journal: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+function getLog(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const idValidation = validateLogId(req.params.id);
+    if (!idValidation.valid) {
+      return sendError(res, idValidation.error, 400);
+    }
+    const log = plugin.storage.getLogById(idValidation.id);
+    if (!log) {
+      return sendError(res, 'Log entry not found', 404);
+    }
+    sendSuccess(res, { log: withDisplayValues(log, plugin.options) });
+  } catch (error) {
+    app.error(`Error getting log: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+function updateLog(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const idValidation = validateLogId(req.params.id);
+    if (!idValidation.valid) {
+      return sendError(res, idValidation.error, 400);
+    }
+    const reasonValidation = validateReason(req.body.reason);
+    if (!reasonValidation.valid) {
+      return sendError(res, reasonValidation.error, 400);
+    }
+    const changeValidation = validateLogChanges(req.body);
+    if (!changeValidation.valid) {
+      return sendError(res, changeValidation.error, 400);
+    }
+    const authorValidation = validateAuthor(req.body.author ?? req.skPrincipal?.identifier);
+    if (!authorValidation.valid) {
+      return sendError(res, authorValidation.error, 400);
+    }
+    const log = plugin.storage.getLogById(idValidation.id);
+    if (!log) {
+      return sendError(res, 'Log entry not found', 404);
+    }
+    if (log.is_deleted) {
+      return sendError(res, 'Log entry has been deleted', 400);
+    }
+    if (log.seal) {
+      return sendError(res, 'Log entry is sealed and cannot be modified', 400);
+    }
+    if (changeValidation.changes.data) {
+      const dataValidation = resolveDataCorrections(log, changeValidation.changes.data, plugin.options);
+      if (!dataValidation.valid) {
+        return sendError(res, dataValidation.error, 400);
+      }
+      changeValidation.changes.data = dataValidation.data;
+    }
+    const revisions = plugin.storage.reviseLogEntry(
+      idValidation.id, changeValidation.changes, reasonValidation.reason, authorValidation.author, nowUnix(plugin)
+    );
+    if (plugin.publisher) {
+      plugin.publisher.publishLogListUpdated();
+    }
+    app.debug(`Log entry ${idValidation.id} corrected (${revisions.length} change${revisions.length !== 1 ? 's' : ''})`);
+    sendSuccess(res, { log: withDisplayValues(plugin.storage.getLogById(idValidation.id), plugin.options), revisions });
+  } catch (error) {
+    app.error(`Error correcting log entry: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+function deleteLog(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const idValidation = validateLogId(req.params.id);
+    if (!idValidation.valid) {
+      return sendError(res, idValidation.error, 400);
+    }
+    // DELETE bodies are unusual — accept the reason as a query parameter too
+    const reasonValidation = validateReason(req.body?.reason ?? req.query.reason);
+    if (!reasonValidation.valid) {
+      return sendError(res, reasonValidation.error, 400);
+    }
+    const authorValidation = validateAuthor(req.body?.author ?? req.skPrincipal?.identifier);
+    if (!authorValidation.valid) {
+      return sendError(res, authorValidation.error, 400);
+    }
+    const log = plugin.storage.getLogById(idValidation.id);
+    if (!log) {
+      return sendError(res, 'Log entry not found', 404);
+    }
+    if (log.is_deleted) {
+      return sendError(res, 'Log entry has already been deleted', 400);
+    }
+    if (log.seal) {
+      return sendError(res, 'Log entry is sealed and cannot be deleted', 400);
+    }
+    plugin.storage.deleteLogEntry(idValidation.id, reasonValidation.reason, authorValidation.author, nowUnix(plugin));
+    if (plugin.publisher) {
+      plugin.publisher.publishLogListUpdated();
+    }
+    sendSuccess(res, { log: withDisplayValues(plugin.storage.getLogById(idValidation.id), plugin.options) });
+  } catch (error) {
+    app.error(`Error deleting log entry: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+function sealLogs(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const { date, voyageId } = req.body;
+    let scope;
+    if (voyageId !== undefined) {
+      const validation = validateVoyageId(voyageId);
+      if (!validation.valid) {
+        return sendError(res, validation.error, 400);
+      }
+      scope = { voyageId: validation.id };
+    } else if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      scope = { dateStr: date };
+    } else {
+      return sendError(res, 'Provide a date (YYYY-MM-DD) or voyageId to seal', 400);
+    }
+    const authorValidation = validateAuthor(req.body.author ?? req.skPrincipal?.identifier);
+    if (!authorValidation.valid) {
+      return sendError(res, authorValidation.error, 400);
+    }
+    const result = plugin.storage.sealLogs(scope, authorValidation.author, nowUnix(plugin));
+    if (plugin.publisher) {
+      plugin.publisher.publishLogListUpdated();
+    }
+    sendSuccess(res, {
+      ...result,
+      message: result.sealed > 0
+        ? `Sealed ${result.sealed} log entr${result.sealed !== 1 ? 'ies' : 'y'}`
+        : 'Nothing to seal — all entries already sealed'
+    });
+  } catch (error) {
+    app.error(`Error sealing logs: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+function verifySeals(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const result = plugin.storage.verifySealChain();
+    if (!result.intact) {
+      app.error(`Log seal verification failed: ${result.problems.length} problem(s)`);
+    }
+    sendSuccess(res, result);
+  } catch (error) {
+    app.error(`Error verifying seals: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+function searchLogs(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (query.length === 0) {
+      return sendError(res, 'Search text (q) is required', 400);
+    }
+    if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return sendError(res, `Search text too long (max ${MAX_SEARCH_QUERY_LENGTH} characters)`, 400);
+    }
+
+    let voyageId = null;
+    if (req.query.voyageId) {
+      const validation = validateVoyageId(req.query.voyageId);
+      if (!validation.valid) return sendError(res, validation.error, 400);
+      voyageId = validation.id;
+    }
+
+    for (const key of ['from', 'to']) {
+      if (req.query[key] && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[key])) {
+        return sendError(res, `Invalid ${key} date format. Use YYYY-MM-DD`, 400);
+      }
+    }
+
+    let limit = parseInt(req.query.limit) || DEFAULT_SEARCH_LIMIT;
+    if (limit < 1) limit = DEFAULT_SEARCH_LIMIT;
+    if (limit > MAX_SEARCH_LIMIT) limit = MAX_SEARCH_LIMIT;
+
+    const results = plugin.storage.searchLogs({
+      query,
+      voyageId,
+      startDate: req.query.from || null,
+      endDate: req.query.to || null,
+      limit
+    });
+    sendSuccess(res, { query, results, count: results.length });
+  } catch (error) {
+    app.error(`Error searching logs: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
 function getHistory(req, res, app, plugin) {
   try {
     if (!requireStorage(res, plugin)) return;
@@ -140,7 +543,7 @@ function getLogByDate(req, res, app, plugin) {
     if (!log) {
       return res.status(404).json({ success: false, error: 'No log found for this date' });
     }
-    sendSuccess(res, { log });
+    sendSuccess(res, { log: withDisplayValues(log, plugin.options) });
   } catch (error) {
     app.error(`Error getting log by date: ${error.message}`);
     sendError(res, error);
@@ -188,7 +591,13 @@ async function sendNow(req, res, app, plugin) {
 
 function getPendingLog(req, res, app, plugin) {
   try {
-    sendSuccess(res, { pendingLog: plugin.pendingLogText || null });
+    if (!requireStorage(res, plugin)) return;
+    const pending = plugin.storage.getPendingLog();
+    sendSuccess(res, {
+      pendingLog: pending ? pending.log_text : null,
+      author: pending ? pending.author : null,
+      submittedAt: pending ? pending.submitted_at : null
+    });
   } catch (error) {
     app.error(`Error getting pending log: ${error.message}`);
     sendError(res, error);
@@ -303,7 +712,7 @@ function resetVoyage(req, res, app, plugin) {
         return sendError(res, validation.error, 400);
       }
     }
-    const result = plugin.storage.startNewVoyage(voyageName);
+    const result = plugin.storage.startNewVoyage(voyageName, nowUnix(plugin));
     if (plugin.publisher) {
       plugin.publisher.publishVoyageReset();
       plugin.publisher.publishVoyageListUpdated();
@@ -323,7 +732,7 @@ function endVoyage(req, res, app, plugin) {
     if (!activeVoyage) {
       return sendError(res, 'No active voyage to end', 400);
     }
-    plugin.storage.endVoyage();
+    plugin.storage.endVoyage(nowUnix(plugin));
     if (plugin.scheduler) plugin.scheduler.stop();
     if (plugin.positionTracker) plugin.positionTracker.stop();
     app.setPluginStatus('No active voyage — create one to resume logging');
@@ -422,7 +831,11 @@ function getPositionHistory(req, res, app, plugin) {
     if (!validation.valid) {
       return sendError(res, validation.error, 400);
     }
-    const positions = plugin.storage.getPositionsByVoyage(validation.id);
+    const simplifyValidation = validateSimplification(req.query);
+    if (!simplifyValidation.valid) {
+      return sendError(res, simplifyValidation.error, 400);
+    }
+    const positions = plugin.storage.getPositionsByVoyage(validation.id, undefined, simplifyValidation.simplification);
     sendSuccess(res, { positions, count: positions.length });
   } catch (error) {
     app.error(`Error getting position history: ${error.message}`);
@@ -430,6 +843,46 @@ function getPositionHistory(req, res, app, plugin) {
   }
 }
 
+function getRejectedFixes(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const validation = validateVoyageId(req.params.id);
+    if (!validation.valid) {
+      return sendError(res, validation.error, 400);
+    }
+    const fixes = plugin.storage.getRejectedFixes(validation.id);
+    sendSuccess(res, { fixes, count: fixes.length });
+  } catch (error) {
+    app.error(`Error getting rejected fixes: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+function cleanVoyageTrack(req, res, app, plugin) {
+  try {
+    if (!requireStorage(res, plugin)) return;
+    const idValidation = validateVoyageId(req.params.id);
+    if (!idValidation.valid) {
+      return sendError(res, idValidation.error, 400);
+    }
+    // Defaults to the live tracker's limits
+    const defaults = plugin.positionTracker?.settings || { maxSpeed: 50, maxHdop: 5 };
+    const limitsValidation = validateFixLimits(req.body, defaults);
+    if (!limitsValidation.valid) {
+      return sendError(res, limitsValidation.error, 400);
+    }
+    const result = plugin.storage.cleanVoyageTrack(idValidation.id, limitsValidation.limits, nowUnix(plugin));
+    if (result.removed > 0 && plugin.storage.getActiveVoyage()?.id === idValidation.id && plugin.publisher) {
+      plugin.publisher.publishStatus();
+    }
+    app.debug(`Track clean-up of voyage ${idValidation.id}: ${result.removed} of ${result.checked} points removed`);
+    sendSuccess(res, result);
+  } catch (error) {
+    app.error(`Error cleaning voyage track: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
 // ============================================================================
 // EXPORT HANDLERS
 // ============================================================================
@@ -441,8 +894,12 @@ function exportGPX(req, res, app, plugin) {
     if (!validation.valid) {
       return sendError(res, validation.error, 400);
     }
+    const simplifyValidation = validateSimplification(req.query);
+    if (!simplifyValidation.valid) {
+      return sendError(res, simplifyValidation.error, 400);
+    }
     const { voyage } = plugin.voyageManager.getVoyageById(validation.id);
-    const gpx = plugin.voyageManager.generateGPX(validation.id);
+    const gpx = plugin.voyageManager.generateGPX(validation.id, simplifyValidation.simplification);
     res.setHeader('Content-Type', 'application/gpx+xml');
     res.setHeader('Content-Disposition',
       `attachment; filename="${plugin.voyageManager.getExportFilename(voyage, 'gpx')}"`
@@ -474,12 +931,98 @@ function exportLogbook(req, res, app, plugin) {
   }
 }
 
+// ============================================================================
+// BACKUP HANDLERS
+// ============================================================================
+
+function requireBackupManager(res, plugin) {
+  if (!requireStorage(res, plugin)) return false;
+  if (!plugin.backupManager) {
+    sendError(res, 'Backups not initialized', 503);
+    return false;
+  }
+  return true;
+}
+
+function downloadBackup(req, res, app, plugin) {
+  let tmpDir = null;
+  try {
+    if (!requireBackupManager(res, plugin)) return;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-backup-'));
+    const filePath = plugin.backupManager.createSnapshot(tmpDir);
+    const dir = tmpDir;
+    res.download(filePath, path.basename(filePath), (error) => {
+      if (error) app.error(`Error sending backup: ${error.message}`);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  } catch (error) {
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    app.error(`Error creating backup: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+async function restoreBackup(req, res, app, plugin) {
+  try {
+    if (!requireBackupManager(res, plugin)) return;
+    if (!req.is(BACKUP_UPLOAD_TYPES)) {
+      return sendError(res, 'Upload the database file as the request body (application/octet-stream)', 415);
+    }
+    if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+      return sendError(res, 'Upload is too large to be a logbook database', 413);
+    }
+    const result = await plugin.backupManager.restore(req);
+    if (plugin.publisher) {
+      plugin.publisher.publishStatus();
+      plugin.publisher.publishVoyageListUpdated();
+      plugin.publisher.publishLogListUpdated();
+    }
+    sendSuccess(res, {
+      ...result,
+      message: `Logbook restored (${result.restoredLogs} entries). Previous logbook saved as ${result.previous}.`
+    });
+  } catch (error) {
+    app.error(`Error restoring backup: ${error.message}`);
+    sendError(res, error, 400);
+  }
+}
+
+function listBackups(req, res, app, plugin) {
+  try {
+    if (!requireBackupManager(res, plugin)) return;
+    const backups = plugin.backupManager.listBackups().map(({ file, size, createdAt }) => ({ file, size, createdAt }));
+    sendSuccess(res, { backups, settings: plugin.backupManager.settings });
+  } catch (error) {
+    app.error(`Error listing backups: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
+async function runBackup(req, res, app, plugin) {
+  try {
+    if (!requireBackupManager(res, plugin)) return;
+    const result = await plugin.backupManager.runScheduledBackup();
+    sendSuccess(res, { ...result, message: `Backup written: ${result.file}${result.emailed ? ' (emailed)' : ''}` });
+  } catch (error) {
+    app.error(`Error running backup: ${error.message}`);
+    sendError(res, error);
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
 module.exports = {
   submitLog,
+  addJournalEntry,
+  getJournal,
+  getLog,
+  updateLog,
+  deleteLog,
+  sealLogs,
+  verifySeals,
+  searchLogs,
   getHistory,
   exportLogs,
   sendNow,
@@ -494,6 +1037,12 @@ module.exports = {
   resetVoyage,
   endVoyage,
   getPositionHistory,
+  getRejectedFixes,
+  cleanVoyageTrack,
+  downloadBackup,
+  restoreBackup,
+  listBackups,
+  runBackup,
   getEmailRecipients,
   addEmailRecipient,
   removeEmailRecipient,
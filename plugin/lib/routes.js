@@ -22,12 +22,28 @@ module.exports = function registerRoutes(router, app, plugin) {
 
   /**
    * POST /api/submitLog
-   * Submit a log entry (stores as pending until next noon report)
+   * Submit a log entry (persisted as pending until next noon report)
    */
   router.post('/api/submitLog', jsonParser, (req, res) => {
     handler.submitLog(req, res, app, plugin);
   });
 
+  /**
+   * POST /api/journal
+   * Add a timestamped journal entry with position and sensor snapshot
+   */
+  router.post('/api/journal', jsonParser, (req, res) => {
+    handler.addJournalEntry(req, res, app, plugin);
+  });
+
+  /**
+   * GET /api/journal
+   * Get journal entries not yet included in a noon report
+   */
+  router.get('/api/journal', (req, res) => {
+    handler.getJournal(req, res, app, plugin);
+  });
+
   /**
    * GET /api/history
    * Get log history with optional limit
@@ -52,6 +68,54 @@ module.exports = function registerRoutes(router, app, plugin) {
     handler.getAllLogDates(req, res, app, plugin);
   });
 
+  /**
+   * GET /api/logs/:id
+   * Get a single log entry with its data, revisions and seal
+   */
+  router.get('/api/logs/:id', (req, res) => {
+    handler.getLog(req, res, app, plugin);
+  });
+
+  /**
+   * PUT /api/logs/:id
+   * Correct a log entry — old values are kept as revisions, a reason is required
+   */
+  router.put('/api/logs/:id', jsonParser, (req, res) => {
+    handler.updateLog(req, res, app, plugin);
+  });
+
+  /**
+   * DELETE /api/logs/:id
+   * Mark a log entry deleted — the entry and its history are kept
+   */
+  router.delete('/api/logs/:id', jsonParser, (req, res) => {
+    handler.deleteLog(req, res, app, plugin);
+  });
+
+  /**
+   * POST /api/seal
+   * Seal a day ({ date }) or a voyage ({ voyageId }) onto the tamper-evident hash chain
+   */
+  router.post('/api/seal', jsonParser, (req, res) => {
+    handler.sealLogs(req, res, app, plugin);
+  });
+
+  /**
+   * GET /api/seal/verify
+   * Verify the seal hash chain is intact
+   */
+  router.get('/api/seal/verify', (req, res) => {
+    handler.verifySeals(req, res, app, plugin);
+  });
+
+  /**
+   * GET /api/search?q=&voyageId=&from=&to=&limit=
+   * Full-text search across log and journal entries, with highlighted snippets
+   */
+  router.get('/api/search', (req, res) => {
+    handler.searchLogs(req, res, app, plugin);
+  });
+
   /**
    * GET /api/export
    * Export all logs as JSON
@@ -170,15 +234,35 @@ module.exports = function registerRoutes(router, app, plugin) {
 
   /**
    * GET /api/voyages/:id/positions
-   * Get auto-tracked positions for a voyage
+   * Get auto-tracked positions for a voyage, with SOG, COG and heading in
+   * SignalK units and GNSS satellites/HDOP. ?tolerance= (metres) and
+   * ?maxPoints= return the whole voyage simplified instead of the latest 200
    */
   router.get('/api/voyages/:id/positions', (req, res) => {
     handler.getPositionHistory(req, res, app, plugin);
   });
 
+  /**
+   * GET /api/voyages/:id/rejected-fixes
+   * Get GPS fixes kept out of a voyage's track as implausible
+   */
+  router.get('/api/voyages/:id/rejected-fixes', (req, res) => {
+    handler.getRejectedFixes(req, res, app, plugin);
+  });
+
+  /**
+   * POST /api/voyages/:id/clean-track
+   * Remove implausible fixes from a voyage's track and recompute its
+   * distance. Optional body: { maxSpeed (knots), maxHdop }
+   */
+  router.post('/api/voyages/:id/clean-track', jsonParser, (req, res) => {
+    handler.cleanVoyageTrack(req, res, app, plugin);
+  });
+
   /**
    * GET /api/voyages/:id/export-gpx
-   * Export voyage as GPX track file
+   * Export voyage as GPX track file, optionally simplified with
+   * ?tolerance= (metres) and ?maxPoints=
    */
   router.get('/api/voyages/:id/export-gpx', (req, res) => {
     handler.exportGPX(req, res, app, plugin);
@@ -191,4 +275,40 @@ module.exports = function registerRoutes(router, app, plugin) {
   router.get('/api/voyages/:id/export-logbook', (req, res) => {
     handler.exportLogbook(req, res, app, plugin);
   });
-};
\ No newline at end of file
+
+  // ============================================================================
+  // BACKUP ENDPOINTS
+  // ============================================================================
+
+  /**
+   * GET /api/backup
+   * Download a consistent snapshot of the logbook database
+   */
+  router.get('/api/backup', (req, res) => {
+    handler.downloadBackup(req, res, app, plugin);
+  });
+
+  /**
+   * POST /api/backup/restore
+   * Replace the logbook with an uploaded snapshot (raw file body, streamed to disk)
+   */
+  router.post('/api/backup/restore', async (req, res) => {
+    await handler.restoreBackup(req, res, app, plugin);
+  });
+
+  /**
+   * GET /api/backups
+   * List local rotating backups
+   */
+  router.get('/api/backups', (req, res) => {
+    handler.listBackups(req, res, app, plugin);
+  });
+
+  /**
+   * POST /api/backups
+   * Write a rotating backup now (and email it if configured)
+   */
+  router.post('/api/backups', async (req, res) => {
+    await handler.runBackup(req, res, app, plugin);
+  });
+};
@@ -1,6 +1,7 @@
 /**
  * Handles scheduling of reports at configured intervals
  */
+const { performance } = require('perf_hooks');
 
 // FIX #9: Define time constants
 const TIME_CONSTANTS = {
@@ -16,12 +17,29 @@ const TIME_CONSTANTS = {
 };
 
 class ReportScheduler {
-  constructor(app, options, onReportCallback) {
+  /**
+   * @param {Object} app - SignalK app
+   * @param {Object} options - Plugin options
+   * @param {Function} onReportCallback - Called when a report is due
+   * @param {Object} [clock] - Trusted clock ({ now, isTrusted }); the system clock if omitted
+   */
+  constructor(app, options, onReportCallback, clock = null) {
     this.app = app;
     this.options = options;
     this.onReportCallback = onReportCallback;
+    this.clock = clock;
     this.checkInterval = null;
     this.lastReportTime = null;
+    this.holding = false;
+    this.heldSince = null; // performance.now() when reports were held
+  }
+
+  /**
+   * Current time from the trusted clock
+   * @returns {Date}
+   */
+  currentTime() {
+    return new Date(this.clock ? this.clock.now() : Date.now());
   }
 
   /**
@@ -72,13 +90,21 @@ class ReportScheduler {
     }
   }
 
+  /**
+   * Time between reports
+   * @returns {number} Milliseconds
+   */
+  getIntervalMs() {
+    return (this.options.reportInterval || TIME_CONSTANTS.DEFAULT_REPORT_INTERVAL_HOURS) * TIME_CONSTANTS.MS_PER_HOUR;
+  }
+
   /**
    * Get the next scheduled report time based on first report time and interval
    * @returns {Date} Next report time
    */
   getNextReportTime() {
-    const now = new Date();
-    const intervalMs = (this.options.reportInterval || TIME_CONSTANTS.DEFAULT_REPORT_INTERVAL_HOURS) * TIME_CONSTANTS.MS_PER_HOUR;
+    const now = this.currentTime();
+    const intervalMs = this.getIntervalMs();
     const firstReportTime = this.options.firstReportTime || '12:00';
     const { hours, minutes } = this.parseTime(firstReportTime);
 
@@ -111,7 +137,21 @@ class ReportScheduler {
    */
   checkForScheduledReport() {
     try {
-      const now = new Date();
+      // Hold reports while the clock is wrong, rather than send them at the wrong time
+      if (this.clock && !this.clock.isTrusted()) {
+        if (!this.holding) {
+          this.app.debug('Scheduled reports held until the clock is trusted');
+          this.holding = true;
+          this.heldSince = performance.now();
+        }
+        return;
+      }
+      if (this.holding) {
+        this.holding = false;
+        this.sendMissedReport();
+      }
+
+      const now = this.currentTime();
       const nextReport = this.getNextReportTime();
       const timeDiff = Math.abs(now - nextReport);
 
@@ -132,6 +172,27 @@ class ReportScheduler {
     }
   }
 
+  /**
+   * Send the report whose time passed while reports were held, late rather
+   * than not at all. Only the latest missed report is sent. When the hold
+   * began is worked out on the monotonic clock, as the wall clock was wrong.
+   */
+  sendMissedReport() {
+    const now = this.currentTime().getTime();
+    const heldFrom = now - (performance.now() - this.heldSince);
+    const missed = new Date(this.getNextReportTime().getTime() - this.getIntervalMs());
+    const alreadySent = this.lastReportTime && Math.abs(this.lastReportTime - missed) < TIME_CONSTANTS.REPORT_TRIGGER_WINDOW_MS;
+
+    if (missed.getTime() < heldFrom || alreadySent) {
+      this.app.debug('Clock trusted, scheduled reports resumed');
+      return;
+    }
+
+    this.app.debug(`Clock trusted, sending the report due at ${missed.toISOString()}`);
+    this.triggerReport();
+    this.lastReportTime = missed;
+  }
+
   /**
    * Trigger the report
    */
@@ -161,7 +222,7 @@ class ReportScheduler {
   getTimeUntilNextReport() {
     try {
       const nextReport = this.getNextReportTime();
-      const now = new Date();
+      const now = this.currentTime();
       const msUntil = nextReport - now;
 
       if (msUntil < 0) {
@@ -175,7 +236,7 @@ class ReportScheduler {
     } catch (error) {
       // FIX #8: Return safe default on error
       this.app.error(`Error calculating time until next report: ${error.message}`);
-      return { hours: 0, minutes: 0, nextReport: new Date() };
+      return { hours: 0, minutes: 0, nextReport: this.currentTime() };
     }
   }
 }
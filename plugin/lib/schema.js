@@ -44,6 +44,15 @@ module.exports = {
       default: '+00:00'
     },
 
+    timeSource: {
+      type: 'string',
+      title: 'Time Source',
+      description: 'GNSS time corrects a wrong system clock (e.g. a Raspberry Pi without a real-time clock). Reports are held until the time can be trusted either way.',
+      enum: ['gnss', 'system'],
+      enumNames: ['GNSS time (navigation.datetime), system clock as fallback', 'System clock only'],
+      default: 'gnss'
+    },
+
     useMetricUnits: {
       type: 'boolean',
       title: 'Use Metric Units',
@@ -57,6 +66,21 @@ module.exports = {
       default: 'navigation.position'
     },
 
+    positionSources: {
+      type: 'string',
+      title: 'Preferred Position Sources',
+      description: 'Optional comma-separated $source list, most preferred first (e.g. "n2k.115, nmea0183.GP"). Empty uses the source SignalK selected.',
+      default: ''
+    },
+
+    dataMaxAge: {
+      type: 'number',
+      title: 'Maximum Data Age (seconds)',
+      description: 'Readings older than this are treated as missing and marked stale. 0 accepts any age. Can be set per data path. Positions are dead reckoned sooner (see Dead Reckoning Settings).',
+      default: 3600,
+      minimum: 0
+    },
+
     // High-frequency position tracking
     positionTracking: {
       type: 'object',
@@ -69,16 +93,17 @@ module.exports = {
         },
         interval: {
           type: 'number',
-          title: 'Position Tracking Interval (minutes)',
+          title: 'Maximum Time Between Points (minutes)',
+          description: 'A point is recorded at least this often while moving, even on a steady course',
           default: 60,
           minimum: 1,
           maximum: 1440,
           enum: [1, 5, 15, 30, 60, 120, 180, 240, 360, 720],
           enumNames: [
-            '1 minute (testing)',
-            '5 minutes (very detailed)',
-            '15 minutes (detailed)',
-            '30 minutes (moderate)',
+            '1 minute',
+            '5 minutes',
+            '15 minutes',
+            '30 minutes',
             '1 hour (standard)',
             '2 hours',
             '3 hours',
@@ -87,10 +112,80 @@ module.exports = {
             '12 hours'
           ]
         },
+        distance: {
+          type: 'number',
+          title: 'Distance Between Points (metres)',
+          description: 'Record a point after moving this far since the last one',
+          default: 500,
+          minimum: 10
+        },
+        courseChange: {
+          type: 'number',
+          title: 'Course Change (degrees)',
+          description: 'Record a point when COG has changed this much, so tacks and harbour manoeuvres are kept. 0 disables.',
+          default: 20,
+          minimum: 0,
+          maximum: 180
+        },
+        speedChange: {
+          type: 'number',
+          title: 'Speed Change (knots)',
+          description: 'Record a point when SOG has changed this much. 0 disables.',
+          default: 2,
+          minimum: 0
+        },
+        minInterval: {
+          type: 'number',
+          title: 'Minimum Time Between Points (seconds)',
+          description: 'Course, speed and distance triggers are ignored until this long after the last point',
+          default: 10,
+          minimum: 1
+        },
+        maxSpeed: {
+          type: 'number',
+          title: 'Maximum Plausible Speed (knots)',
+          description: 'Fixes implying a faster jump from the last point are treated as GPS glitches and kept out of the track. 0 disables.',
+          default: 50,
+          minimum: 0
+        },
+        maxHdop: {
+          type: 'number',
+          title: 'Maximum HDOP',
+          description: 'Fixes with a worse horizontal dilution of precision are kept out of the track. 0 disables.',
+          default: 5,
+          minimum: 0
+        },
+        gapMinutes: {
+          type: 'number',
+          title: 'Track Gap (minutes)',
+          description: 'A silence longer than this that ends somewhere else (e.g. the server was off) starts a new track segment. Restarts of tracking always do.',
+          default: 120,
+          minimum: 1
+        },
+        countGapDistance: {
+          type: 'boolean',
+          title: 'Count Distance Across Track Gaps',
+          description: 'Add the straight-line distance between segments to the voyage and daily distances',
+          default: false
+        },
+        syncTolerance: {
+          type: 'number',
+          title: 'Freeboard Track Simplification (metres)',
+          description: 'Points moving the track drawn in Freeboard-SK less than this are left out of it. The stored track is not changed. 0 disables.',
+          default: 5,
+          minimum: 0
+        },
+        syncMaxPoints: {
+          type: 'number',
+          title: 'Freeboard Track Maximum Points',
+          description: 'The least significant points are left out of the Freeboard-SK track beyond this many. Stops and report positions are always drawn. 0 for no limit.',
+          default: 2000,
+          minimum: 0
+        },
         minSpeed: {
           type: 'number',
           title: 'Minimum Speed to Record Position (knots)',
-          description: 'Position only recorded when vessel speed exceeds this value. One record is always allowed when vessel first stops (to capture dock/anchor position). Set to 0 to disable.',
+          description: 'Position only recorded when vessel speed exceeds this value. One record is always allowed when vessel first stops (to capture dock/anchor position), then one per time interval while stopped. Set to 0 to disable.',
           default: 2,
           minimum: 0,
           maximum: 5
@@ -98,6 +193,123 @@ module.exports = {
       }
     },
 
+    // Automatic underway / anchored / moored detection
+    vesselState: {
+      type: 'object',
+      title: 'Vessel State Settings',
+      properties: {
+        enabled: {
+          type: 'boolean',
+          title: 'Detect Vessel State',
+          description: 'Tells under way under sail or power, drifting, anchored and moored apart from speed, position, engine state and the anchor position, and publishes it as navigation.log.vesselState',
+          default: true
+        },
+        logEntries: {
+          type: 'boolean',
+          title: 'Log State Changes',
+          description: 'Write each change to the journal with its time and position (requires an active voyage)',
+          default: true
+        },
+        underwaySpeed: {
+          type: 'number',
+          title: 'Under Way Speed (knots)',
+          description: 'SOG at or above this is under way; below it the vessel is drifting, anchored or moored',
+          default: 1,
+          minimum: 0.1
+        },
+        mooredRadius: {
+          type: 'number',
+          title: 'Moored Radius (metres)',
+          description: 'A vessel staying within this distance of one spot is moored, unless an anchor position is set',
+          default: 15,
+          minimum: 1
+        },
+        anchorRadius: {
+          type: 'number',
+          title: 'Anchor Swing Radius (metres)',
+          description: 'A slow vessel wandering further than this is drifting',
+          default: 75,
+          minimum: 5
+        },
+        windowMinutes: {
+          type: 'number',
+          title: 'Observation Window (minutes)',
+          description: 'How long the position is watched before deciding between drifting, anchored and moored',
+          default: 10,
+          minimum: 1
+        },
+        confirmMinutes: {
+          type: 'number',
+          title: 'Confirmation Time (minutes)',
+          description: 'A new state must hold this long before it is logged',
+          default: 3,
+          minimum: 0
+        }
+      }
+    },
+
+    // Thinning of old track points
+    trackRetention: {
+      type: 'object',
+      title: 'Track Retention Settings',
+      properties: {
+        enabled: {
+          type: 'boolean',
+          title: 'Thin Old Track Points',
+          description: 'Permanently removes track points that barely change the shape of the track once they are old. Stops and the points at each log entry are kept; voyage distances are recomputed.',
+          default: false
+        },
+        afterDays: {
+          type: 'number',
+          title: 'Thin Points Older Than (days)',
+          default: 30,
+          minimum: 1
+        },
+        tolerance: {
+          type: 'number',
+          title: 'Thinning Tolerance (metres)',
+          description: 'Points moving the track less than this are removed',
+          default: 10,
+          minimum: 1
+        }
+      }
+    },
+
+    // Estimated positions while the GPS is lost
+    deadReckoning: {
+      type: 'object',
+      title: 'Dead Reckoning Settings',
+      properties: {
+        enabled: {
+          type: 'boolean',
+          title: 'Dead Reckon When GPS Is Lost',
+          description: 'Carries the last fix forward on heading and speed through the water (or the last COG/SOG). Reports and track points on a DR position are labelled as such.',
+          default: true
+        },
+        fixMaxAge: {
+          type: 'number',
+          title: 'GPS Fix Lost After (seconds)',
+          description: 'Dead reckoning starts once the newest position is this old',
+          default: 30,
+          minimum: 1
+        },
+        maxHours: {
+          type: 'number',
+          title: 'Maximum Dead Reckoning Time (hours)',
+          description: 'Stop estimating this long after the last fix',
+          default: 24,
+          minimum: 1
+        },
+        driftRate: {
+          type: 'number',
+          title: 'Assumed Drift (nm per hour)',
+          description: 'Unknown current and leeway, added to the estimated error for each hour without a fix',
+          default: 0.5,
+          minimum: 0
+        }
+      }
+    },
+
     // Custom data paths
     customDataPaths: {
       type: 'array',
@@ -107,11 +319,29 @@ module.exports = {
         properties: {
           path: {
             type: 'string',
-            title: 'SignalK Path'
+            title: 'SignalK Path',
+            description: 'Use * to match every instance, e.g. tanks.fuel.*.currentLevel or electrical.batteries.*.stateOfCharge'
           },
           label: {
             type: 'string',
-            title: 'Display Label'
+            title: 'Display Label',
+            description: 'For * paths each instance is labelled "Label (id)"; put {id} in the label to place the id yourself'
+          },
+          unit: {
+            type: 'string',
+            title: 'Display Unit',
+            description: 'Optional. Overrides the metric/imperial preference for this path, e.g. kts, m/s, km/h, °C, °F, hPa, mbar, inHg, psi, bar, m, ft, nm, km, fathom, L, gal, L/h, gal/h, %, rpm, kWh, Ah, h, min, kW, lb. Units that do not suit the path are ignored.'
+          },
+          maxAge: {
+            type: 'number',
+            title: 'Maximum Age (seconds)',
+            description: 'Optional. Overrides the maximum data age for this path; 0 accepts any age.',
+            minimum: 0
+          },
+          sources: {
+            type: 'string',
+            title: 'Preferred Sources',
+            description: 'Optional comma-separated $source list, most preferred first. Readings from a fallback source are marked in the report.'
           }
         }
       },
@@ -124,6 +354,125 @@ module.exports = {
       ]
     },
 
+    // Values computed from other paths
+    derivedFields: {
+      type: 'array',
+      title: 'Derived Fields',
+      description: 'Values computed from other paths when a report is taken, stored and reported like the data paths above',
+      items: {
+        type: 'object',
+        properties: {
+          type: {
+            type: 'string',
+            title: 'Calculation',
+            enum: ['trueWindSpeed', 'trueWindDirection', 'beaufort', 'seaAirTempDiff', 'batteryNetAh', 'expression'],
+            enumNames: [
+              'True wind speed (from apparent wind, boat speed and heading)',
+              'True wind direction (from apparent wind, boat speed and heading)',
+              'Beaufort force',
+              'Sea-air temperature difference',
+              'Battery net amp-hours since the last report',
+              'Expression'
+            ],
+            default: 'expression'
+          },
+          label: {
+            type: 'string',
+            title: 'Display Label'
+          },
+          path: {
+            type: 'string',
+            title: 'Input Path',
+            description: 'Beaufort: wind speed path (defaults to true wind). Battery: current path (defaults to electrical.batteries.house.current).'
+          },
+          expression: {
+            type: 'string',
+            title: 'Expression',
+            description: 'For Expression fields. SignalK paths with + - * / % ^, parentheses and abs, min, max, sqrt, pow, hypot, round, floor, ceil, sin, cos, tan, atan2, e.g. electrical.batteries.house.voltage * electrical.batteries.house.current'
+          },
+          units: {
+            type: 'string',
+            title: 'Result SI Unit',
+            description: 'For Expression fields: the SignalK unit of the result (e.g. W, K, m/s) so it is converted for display like other readings'
+          }
+        }
+      },
+      default: []
+    },
+
+    // Barometer trend
+    pressureTrend: {
+      type: 'object',
+      title: 'Pressure Trend Settings',
+      properties: {
+        enabled: {
+          type: 'boolean',
+          title: 'Track Barometric Pressure Trend',
+          description: 'Adds the 3h/24h change and WMO tendency to noon reports',
+          default: true
+        },
+        path: {
+          type: 'string',
+          title: 'Pressure Path',
+          default: 'environment.outside.pressure'
+        },
+        alertThreshold: {
+          type: 'number',
+          title: 'Rapid Fall Warning (hPa per 3 hours)',
+          description: 'Raise a SignalK notification when the pressure falls at least this much in 3 hours',
+          default: 4,
+          minimum: 1,
+          maximum: 20
+        },
+        emailAlert: {
+          type: 'boolean',
+          title: 'Email Rapid Fall Warnings',
+          description: 'Also send the warning to the report recipients (requires email to be enabled)',
+          default: false
+        }
+      }
+    },
+
+    // Database backups
+    backup: {
+      type: 'object',
+      title: 'Backup Settings',
+      properties: {
+        enabled: {
+          type: 'boolean',
+          title: 'Enable Scheduled Backups',
+          default: true
+        },
+        intervalHours: {
+          type: 'number',
+          title: 'Backup Interval (hours)',
+          default: 24,
+          minimum: 1,
+          maximum: 720
+        },
+        keepCopies: {
+          type: 'number',
+          title: 'Backup Copies to Keep',
+          description: 'Older local backups are deleted once this many exist; copies kept before a restore are limited the same way',
+          default: 7,
+          minimum: 1,
+          maximum: 100
+        },
+        emailBackup: {
+          type: 'boolean',
+          title: 'Email Compressed Backup',
+          description: 'Send each scheduled backup off the boat as a gzip attachment (requires email to be enabled)',
+          default: false
+        },
+        emailTo: {
+          type: 'string',
+          title: 'Backup Email Address',
+          description: 'Leave empty to send to the report recipients',
+          default: ''
+        }
+      }
+    },
+
     // Email settings
     emailSettings: {
       type: 'object',
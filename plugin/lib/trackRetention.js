@@ -0,0 +1,92 @@
+/**
+ * Track Retention Module
+ * Thins track points once they are older than the configured age, so a
+ * season of tracking does not grow the logbook and every sync without bound
+ */
+
+const { performance } = require('perf_hooks');
+
+const CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000; // Thin once a day
+const RETRY_INTERVAL_MS = 60 * 1000; // Checked every minute, so thinning starts soon after the clock is trusted
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+class TrackRetention {
+  constructor(app, plugin) {
+    this.app = app;
+    this.plugin = plugin;
+    this.timer = null;
+    this.lastRun = null; // Monotonic time of the last thinning, so clock changes don't move it
+  }
+
+  get settings() {
+    return {
+      enabled: false,
+      afterDays: 30,
+      tolerance: 10,
+      ...this.plugin.options.trackRetention
+    };
+  }
+
+  /**
+   * Start daily thinning
+   */
+  start() {
+    if (!this.settings.enabled) {
+      this.app.debug('Track retention not enabled');
+      return;
+    }
+
+    this.app.debug(`Thinning track points older than ${this.settings.afterDays} days to ${this.settings.tolerance} m`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), RETRY_INTERVAL_MS);
+  }
+
+  /**
+   * Stop daily thinning
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.app.debug('Track retention stopped');
+    }
+  }
+
+  /**
+   * Thin as soon as the clock can be trusted after start-up, then once a day
+   */
+  tick() {
+    if (this.lastRun !== null && performance.now() - this.lastRun < CHECK_INTERVAL_MS) return;
+    if (!this.plugin.dataCollector.isTimeTrusted()) return;
+    this.lastRun = performance.now();
+    this.run();
+  }
+
+  /**
+   * Thin every voyage's points older than the retention age
+   * @returns {Object|null} { voyages, checked, removed }, null if skipped
+   */
+  run() {
+    try {
+      // An untrusted clock could make the whole track look old
+      if (!this.plugin.dataCollector.isTimeTrusted()) return null;
+
+      const { afterDays, tolerance } = this.settings;
+      const before = Math.floor(this.plugin.dataCollector.now() / 1000) - afterDays * SECONDS_PER_DAY;
+      const result = this.plugin.storage.thinTrackPoints(before, tolerance);
+
+      if (result.removed > 0) {
+        this.app.debug(`Track retention: removed ${result.removed} of ${result.checked} old points in ${result.voyages} voyage(s)`);
+        if (this.plugin.publisher) {
+          this.plugin.publisher.publishStatus();
+        }
+      }
+      return result;
+    } catch (error) {
+      this.app.error(`Track retention failed: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = TrackRetention;
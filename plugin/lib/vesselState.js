@@ -0,0 +1,238 @@
+/**
+ * Vessel State Module
+ * Works out whether the vessel is under way under sail or power, drifting,
+ * anchored or moored from SOG/STW, how far the position wanders, engine
+ * state and the anchor position. Each confirmed change is written to the
+ * journal with its time and position and published as a SignalK delta.
+ */
+
+const { performance } = require('perf_hooks');
+const { distanceMetres, MS_TO_KNOTS } = require('./data/fixFilter');
+
+const SAMPLE_INTERVAL_MS = 30 * 1000;
+const ENGINE_MAX_AGE_SECONDS = 60; // Engine data stops when it is switched off; don't trust the last value
+
+const STATE_LABELS = {
+  underwaySail: 'Under way under sail',
+  underwayPower: 'Under way under power',
+  drifting: 'Drifting',
+  anchored: 'Anchored',
+  moored: 'Moored'
+};
+
+/**
+ * Decide the state from one set of observations
+ *
+ * @param {Object} observation - { sogKnots, stwKnots, engineRunning (true/false/null),
+ *   anchorDown, dispersion (metres the position wandered, or null), settled (the
+ *   position window spans the full time) }
+ * @param {Object} settings - { underwaySpeed (knots), mooredRadius, anchorRadius (metres) }
+ * @returns {string|null} State, or null if it cannot be told yet
+ */
+function classify({ sogKnots, stwKnots, engineRunning, anchorDown, dispersion, settled }, settings) {
+  if (typeof sogKnots === 'number' && sogKnots >= settings.underwaySpeed) {
+    if (engineRunning) return 'underwayPower';
+    // Carried along by the current, not sailing through the water
+    if (typeof stwKnots === 'number' && stwKnots < settings.underwaySpeed) return 'drifting';
+    return 'underwaySail';
+  }
+
+  if (!settled || dispersion === null) return null;
+  if (anchorDown && dispersion <= settings.anchorRadius) return 'anchored';
+  if (dispersion <= settings.mooredRadius) return 'moored';
+  if (dispersion <= settings.anchorRadius) return 'anchored';
+  return 'drifting';
+}
+
+class VesselState {
+  constructor(app, plugin) {
+    this.app = app;
+    this.plugin = plugin;
+    this.timer = null;
+    this.state = null;
+    this.candidate = null; // { state, since (monotonic ms), timestamp (trusted Unix), position }
+    this.positions = [];
+  }
+
+  get settings() {
+    return {
+      enabled: true,
+      logEntries: true,
+      underwaySpeed: 1,
+      mooredRadius: 15,
+      anchorRadius: 75,
+      windowMinutes: 10,
+      confirmMinutes: 3,
+      ...this.plugin.options.vesselState
+    };
+  }
+
+  /**
+   * Start watching the vessel state
+   */
+  start() {
+    if (!this.settings.enabled) {
+      this.app.debug('Vessel state detection not enabled');
+      return;
+    }
+
+    this.app.debug('Starting vessel state detection');
+    this.sample();
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL_MS);
+  }
+
+  /**
+   * Stop watching the vessel state
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.app.debug('Vessel state detection stopped');
+    }
+  }
+
+  /**
+   * Take one observation and move to a new state once it has held for the
+   * confirmation time. The window and confirmation time are measured on the
+   * monotonic clock, so a clock being set does not fill or empty them.
+   */
+  sample() {
+    try {
+      const settings = this.settings;
+      const collector = this.plugin.dataCollector;
+      const now = performance.now();
+
+      // Dead-reckoned positions say nothing about how the vessel lies
+      const position = collector.getPosition();
+      const fix = position && position.quality !== 'dr' ? position : null;
+      if (fix) {
+        this.positions.push({ time: now, latitude: fix.latitude, longitude: fix.longitude });
+      }
+      const sog = collector.getValue('navigation.speedOverGround');
+      const sogKnots = typeof sog === 'number' ? sog * MS_TO_KNOTS : null;
+      if (sogKnots !== null && sogKnots >= settings.underwaySpeed) {
+        // How the vessel lies is judged only from positions since it slowed down
+        this.positions = this.positions.slice(-1);
+      }
+
+      // Keep the window plus the newest sample before it, which shows the window is full
+      const windowStart = now - settings.windowMinutes * 60 * 1000;
+      while (this.positions.length > 1 && this.positions[1].time <= windowStart) {
+        this.positions.shift();
+      }
+      const settled = this.positions.length > 0 && this.positions[0].time <= windowStart;
+
+      const stw = collector.getValue('navigation.speedThroughWater');
+      const anchor = collector.getValue('navigation.anchor.position');
+      const observed = classify({
+        sogKnots,
+        stwKnots: typeof stw === 'number' ? stw * MS_TO_KNOTS : null,
+        engineRunning: this.isEngineRunning(),
+        anchorDown: typeof anchor?.latitude === 'number',
+        dispersion: this.getDispersion(),
+        settled
+      }, settings);
+
+      // Not yet telling (e.g. slowed down, window not full) keeps any pending change
+      if (!observed) return;
+      if (observed === this.state) {
+        this.candidate = null;
+        return;
+      }
+
+      if (!this.candidate || this.candidate.state !== observed) {
+        this.candidate = { state: observed, since: now, timestamp: Math.floor(collector.now() / 1000), position };
+      }
+      if (now - this.candidate.since >= settings.confirmMinutes * 60 * 1000) {
+        this.changeState(this.candidate);
+        this.candidate = null;
+      }
+    } catch (error) {
+      this.app.error(`Vessel state error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Furthest the position has been from its average over the window
+   * @returns {number|null} Metres, null without positions
+   */
+  getDispersion() {
+    if (this.positions.length === 0) return null;
+    const latitude = this.positions.reduce((sum, sample) => sum + sample.latitude, 0) / this.positions.length;
+    const longitude = this.positions.reduce((sum, sample) => sum + sample.longitude, 0) / this.positions.length;
+    return Math.max(...this.positions.map(sample => distanceMetres(latitude, longitude, sample.latitude, sample.longitude)));
+  }
+
+  /**
+   * Whether any engine is running, from propulsion.*.state and revolutions
+   * @returns {boolean|null} null without current engine data
+   */
+  isEngineRunning() {
+    let engines;
+    try {
+      engines = this.app.getSelfPath('propulsion');
+    } catch (error) {
+      return null;
+    }
+    if (!engines || typeof engines !== 'object') return null;
+
+    const collector = this.plugin.dataCollector;
+    const now = collector.now();
+    const fresh = (node) => node?.value !== undefined && node.value !== null &&
+      !(now - collector.readingTime(node.timestamp) > ENGINE_MAX_AGE_SECONDS * 1000);
+    let known = false;
+    for (const engine of Object.values(engines)) {
+      if (fresh(engine?.state)) {
+        if (engine.state.value === 'started') return true;
+        known = true;
+      }
+      if (fresh(engine?.revolutions)) {
+        if (engine.revolutions.value > 0) return true;
+        known = true;
+      }
+    }
+    return known ? false : null;
+  }
+
+  /**
+   * Record a confirmed change of state
+   * @param {Object} change - { state, timestamp, position } as first observed
+   */
+  changeState({ state, timestamp, position }) {
+    const previous = this.state;
+    this.state = state;
+    this.app.debug(`Vessel state: ${previous || 'unknown'} → ${state}`);
+
+    if (this.plugin.publisher) {
+      this.plugin.publisher.publishVesselState(state);
+    }
+
+    // The state found at start-up is not a change worth logging
+    if (!previous || !this.settings.logEntries) return;
+    const storage = this.plugin.storage;
+    if (!storage || !storage.getActiveVoyage() || !this.plugin.dataCollector.isTimeTrusted()) return;
+
+    const logId = storage.createLogEntry({
+      timestamp,
+      dateStr: new Date(timestamp * 1000).toISOString().split('T')[0],
+      latitude: position?.latitude,
+      longitude: position?.longitude,
+      positionType: position?.quality === 'dr' ? 'dr' : null,
+      positionError: position?.quality === 'dr' ? position.error : null,
+      logText: `${STATE_LABELS[state]} (was ${STATE_LABELS[previous].toLowerCase()})`,
+      author: 'Automatic',
+      isJournal: true
+    });
+    this.app.debug(`Vessel state change logged (ID: ${logId})`);
+
+    if (this.plugin.publisher) {
+      this.plugin.publisher.publishLogListUpdated();
+    }
+  }
+}
+
+VesselState.classify = classify;
+VesselState.STATE_LABELS = STATE_LABELS;
+
+module.exports = VesselState;
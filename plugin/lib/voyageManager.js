@@ -3,9 +3,15 @@
  * Handles all voyage-related operations
  */
 
+const { formatLogData, describeReading } = require('./data/units');
+const DeadReckoning = require('./data/deadReckoning');
+const { simplifyTrack } = require('./data/simplify');
+const { splitSegments } = require('./data/segments');
+
 class VoyageManager {
-    constructor(storage) {
+    constructor(storage, options) {
       this.storage = storage;
+      this.options = options;
     }
   
     /**
@@ -99,38 +105,42 @@ class VoyageManager {
     /**
      * Generate GPX track file
      * @param {number} voyageId - Voyage ID
+     * @param {Object|null} [simplification] - { tolerance (metres), maxPoints } to thin the track
      * @returns {string} GPX XML string
      */
-    generateGPX(voyageId) {
+    generateGPX(voyageId, simplification = null) {
       try {
-        const { voyage, logs } = this.getVoyageById(voyageId);
+        const { voyage } = this.getVoyageById(voyageId);
+        const fullTrack = this.storage.getVoyageTrack(voyageId);
+        const track = simplification ? simplifyTrack(fullTrack, simplification) : fullTrack;
         
         // FIX #14: Correct GPX XML tags - was <n>, should be <name>
         let gpx = `<?xml version="1.0" encoding="UTF-8"?>
-  <gpx version="1.1" creator="SignalK Noon Log" xmlns="http://www.topografix.com/GPX/1/1">
+  <gpx version="1.1" creator="SignalK Noon Log" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
     <metadata>
       <name>${this.escapeXml(voyage.name)}</name>
       <time>${new Date(voyage.startTimestamp * 1000).toISOString()}</time>
     </metadata>
     <trk>
       <name>${this.escapeXml(voyage.name)}</name>
-      <trkseg>
   `;
         
-        // Sort logs chronologically (oldest first for GPX track)
-        const sortedLogs = [...logs].sort((a, b) => a.timestamp - b.timestamp);
-        
-        sortedLogs.forEach(log => {
-          if (log.latitude && log.longitude) {
-            gpx += `      <trkpt lat="${log.latitude}" lon="${log.longitude}">
-          <time>${new Date(log.timestamp * 1000).toISOString()}</time>
-        </trkpt>
+        // Track is already chronological (oldest first for GPX track); one <trkseg> per
+        // unbroken stretch, so gaps in recording are not drawn as a line
+        splitSegments(track).forEach(segment => {
+          gpx += `    <trkseg>
+  `;
+          segment.forEach(point => {
+            gpx += `      <trkpt lat="${point.latitude}" lon="${point.longitude}">
+          <time>${new Date(point.timestamp * 1000).toISOString()}</time>
+${this.trackPointDetails(point)}        </trkpt>
+  `;
+          });
+          gpx += `    </trkseg>
   `;
-          }
         });
         
-        gpx += `    </trkseg>
-    </trk>
+        gpx += `  </trk>
   </gpx>`;
         
         return gpx;
@@ -140,6 +150,31 @@ class VoyageManager {
       }
     }
   
+    /**
+     * GPX elements for a track point's fix quality (a dead-reckoned point has
+     * fix type none and says so in its description), and course (degrees true)
+     * and speed (m/s) as Garmin TrackPointExtension elements
+     * @param {Object} point - Track point in SignalK units
+     * @returns {string} XML lines, empty when nothing was recorded
+     */
+    trackPointDetails(point) {
+      let xml = '';
+      if (point.position_type === 'dr') {
+        xml += `          <desc>Dead reckoning (${DeadReckoning.describe(point.position_error)})</desc>\n`;
+        xml += `          <fix>none</fix>\n`;
+      }
+      if (point.satellites != null) xml += `          <sat>${point.satellites}</sat>\n`;
+      if (point.hdop != null) xml += `          <hdop>${point.hdop}</hdop>\n`;
+
+      const extensions = [];
+      if (point.sog != null) extensions.push(`<gpxtpx:speed>${point.sog.toFixed(2)}</gpxtpx:speed>`);
+      if (point.cog != null) extensions.push(`<gpxtpx:course>${((point.cog * 180 / Math.PI + 360) % 360).toFixed(1)}</gpxtpx:course>`);
+      if (extensions.length > 0) {
+        xml += `          <extensions><gpxtpx:TrackPointExtension>${extensions.join('')}</gpxtpx:TrackPointExtension></extensions>\n`;
+      }
+      return xml;
+    }
+
     /**
      * Generate formatted logbook text
      * @param {number} voyageId - Voyage ID
@@ -165,9 +200,9 @@ class VoyageManager {
         
         sortedLogs.forEach((log, index) => {
           const date = new Date(log.timestamp * 1000);
-          logbook += `\nENTRY ${index + 1} - ${date.toLocaleString()}\n`;
+          logbook += `\nENTRY ${index + 1}${log.is_journal ? ' (JOURNAL)' : ''}${log.is_deleted ? ' (DELETED)' : ''}${log.seal ? ' (SEALED)' : ''} - ${date.toLocaleString()}\n`;
           logbook += `${'-'.repeat(80)}\n`;
-          logbook += `Position: ${log.latitude?.toFixed(6)}, ${log.longitude?.toFixed(6)}\n`;
+          logbook += `Position: ${log.latitude?.toFixed(6)}, ${log.longitude?.toFixed(6)}${log.position_type === 'dr' ? ` (${DeadReckoning.describe(log.position_error)})` : ''}\n`;
           
           // FIX #10: Inconsistent naming - handle both snake_case and camelCase
           const distanceSinceLast = log.distance_since_last || log.distanceSinceLast;
@@ -180,16 +215,38 @@ class VoyageManager {
             log.data.forEach(data => {
               // FIX #10: Handle both naming conventions
               const label = data.data_label || data.label;
-              const value = data.data_value || data.value;
-              const unit = data.data_unit || data.unit;
-              logbook += `  ${label}: ${value}${unit ? ' ' + unit : ''}\n`;
+              logbook += `  ${label}: ${describeReading(formatLogData(data, this.options))}\n`;
             });
           }
           
           // FIX #10: Handle both naming conventions
           const logText = log.log_text || log.logText;
           if (logText) {
-            logbook += `\nLog:\n${logText}\n`;
+            logbook += `\nLog:\n${log.is_deleted ? this.strikeText(logText) : logText}\n`;
+            if (log.author) {
+              logbook += `— ${log.author}\n`;
+            }
+          }
+
+          // Corrections — original values struck through, never dropped
+          if (log.revisions && log.revisions.length > 0) {
+            logbook += `\nCorrections:\n`;
+            log.revisions.forEach(rev => {
+              const when = new Date(rev.revised_at * 1000).toLocaleString();
+              const by = rev.author ? ` by ${rev.author}` : '';
+              if (rev.action === 'delete') {
+                logbook += `  ${when}${by}: entry deleted — ${rev.reason}\n`;
+              } else {
+                const oldValue = rev.old_value != null ? this.strikeText(rev.old_value) : '(empty)';
+                const newValue = rev.new_value != null ? rev.new_value : '(empty)';
+                logbook += `  ${when}${by}: ${rev.field} ${oldValue} → ${newValue} — ${rev.reason}\n`;
+              }
+            });
+          }
+          
+          if (log.seal) {
+            logbook += `\nSealed ${new Date(log.seal.sealed_at * 1000).toLocaleString()}${log.seal.sealed_by ? ` by ${log.seal.sealed_by}` : ''}\n`;
+            logbook += `Seal hash: ${log.seal.hash}\n`;
           }
           
           logbook += `\n`;
@@ -228,6 +285,15 @@ class VoyageManager {
       }
     }
   
+    /**
+     * Strike through text for plain-text exports (combining long stroke overlay)
+     * @param {string} text - Text to strike through
+     * @returns {string} Struck-through text
+     */
+    strikeText(text) {
+      return String(text).replace(/[^\n]/g, c => c + '\u0336');
+    }
+  
     /**
      * Escape XML special characters
      * @param {string} unsafe - Unsafe string
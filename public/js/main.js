@@ -75,6 +75,11 @@ class NoonLogUI {
             this.ui.setupEmailFormHandler();
         }
 
+        // Load local backups
+        if (this.ui.loadBackups) {
+            this.ui.loadBackups();
+        }
+
         // Setup log viewer
         if (this.ui.setupLogViewer) {
             this.ui.setupLogViewer();
@@ -18,6 +18,40 @@ class UIController {
             this.submitLog();
         });
 
+        // Journal entry submission
+        const journalForm = document.getElementById('journalForm');
+        if (journalForm) {
+            journalForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitJournalEntry();
+            });
+        }
+
+        // Log search — debounced while typing
+        const logSearchInput = document.getElementById('logSearchInput');
+        if (logSearchInput) {
+            logSearchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.searchLogs(), 300);
+            });
+            document.getElementById('logSearchScope').addEventListener('change', () => {
+                this.searchLogs();
+            });
+        }
+
+        // Backup buttons
+        document.getElementById('runBackupBtn')?.addEventListener('click', () => {
+            this.runBackup();
+        });
+        const restoreInput = document.getElementById('restoreBackupInput');
+        document.getElementById('restoreBackupBtn')?.addEventListener('click', () => {
+            restoreInput.click();
+        });
+        restoreInput?.addEventListener('change', () => {
+            if (restoreInput.files.length > 0) this.restoreBackup(restoreInput.files[0]);
+            restoreInput.value = '';
+        });
+
         // Position history button
         document.getElementById('viewHistoryBtn').addEventListener('click', () => {
             this.showPositionHistory();
@@ -49,6 +83,23 @@ class UIController {
             });
         }
 
+        // Log correction buttons
+        document.getElementById('correctLogBtn')?.addEventListener('click', () => {
+            this.openLogEditor();
+        });
+        document.getElementById('deleteLogBtn')?.addEventListener('click', () => {
+            this.deleteCurrentLog();
+        });
+        document.getElementById('saveLogEditBtn')?.addEventListener('click', () => {
+            this.saveLogCorrection();
+        });
+        document.getElementById('cancelLogEditBtn')?.addEventListener('click', () => {
+            this.closeLogEditor();
+        });
+        document.getElementById('sealDayBtn')?.addEventListener('click', () => {
+            this.sealCurrentDay();
+        });
+
         // Close history modal
         document.getElementById('closeHistoryBtn').addEventListener('click', () => {
             document.getElementById('historyModal').style.display = 'none';
@@ -110,6 +161,91 @@ class UIController {
         }
     }
 
+    /**
+     * Submit journal entry via API
+     */
+    async submitJournalEntry() {
+        const textarea = document.getElementById('journalText');
+        const submitBtn = document.getElementById('submitJournalBtn');
+        const logText = textarea.value.trim();
+
+        if (!logText) {
+            this.showMessage('error', 'Please enter a journal entry');
+            return;
+        }
+
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Saving...';
+
+        try {
+            const response = await fetch('/plugins/signalk-noon-log/api/journal', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ logText })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showMessage('success', 'Journal entry saved');
+                textarea.value = '';
+                this.loadJournal();
+                this.loadVoyageLogs();
+            } else {
+                this.showMessage('error', `Error: ${result.error || 'Unknown error'}`);
+            }
+        } catch (error) {
+            this.showMessage('error', `Error: ${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Add Journal Entry';
+        }
+    }
+
+    /**
+     * Load journal entries not yet included in a noon report
+     */
+    async loadJournal() {
+        const list = document.getElementById('journalList');
+        if (!list) return;
+
+        try {
+            const response = await fetch('/plugins/signalk-noon-log/api/journal');
+            const result = await response.json();
+
+            if (!result.success) {
+                list.innerHTML = '';
+                return;
+            }
+
+            const entries = result.data.entries || [];
+            if (entries.length === 0) {
+                list.innerHTML = '<div class="empty-state">No journal entries since the last report</div>';
+                return;
+            }
+
+            list.innerHTML = entries.map(entry => {
+                const timeStr = new Date(entry.timestamp * 1000).toLocaleTimeString('en-US', {
+                    hour: '2-digit',
+                    minute: '2-digit'
+                });
+                const posStr = entry.latitude && entry.longitude
+                    ? `${this.formatCoordinate(entry.latitude, 'lat')}, ${this.formatCoordinate(entry.longitude, 'lon')}`
+                    : 'No position';
+                const drStr = entry.position_type === 'dr' ? ' (DR)' : '';
+                return `
+                    <div class="journal-item">
+                        <div class="journal-item-meta">${timeStr} &nbsp; ${posStr}${drStr}${entry.author ? ` &nbsp; ${this.escapeHtml(entry.author)}` : ''}</div>
+                        <div class="journal-item-text">${this.escapeHtml(entry.log_text)}</div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading journal:', error);
+            list.innerHTML = '';
+        }
+    }
+
     /**
      * Show position history modal
      */
@@ -154,18 +290,7 @@ class UIController {
             return;
         }
 
-        // Build dynamic column headers from first record with data
-        const sensorLabels = [];
-        for (const pos of positions) {
-            if (pos.data && pos.data.length > 0) {
-                pos.data.forEach(d => {
-                    if (!sensorLabels.includes(d.data_label)) {
-                        sensorLabels.push(d.data_label);
-                    }
-                });
-                break;
-            }
-        }
+        const columns = ['SOG', 'COG', 'Heading', 'Sats', 'HDOP'];
 
         let html = `
             <div style="overflow-x: auto;">
@@ -174,12 +299,15 @@ class UIController {
                     <tr style="border-bottom: 2px solid var(--border-color); text-align: left;">
                         <th style="padding: 8px 12px; color: var(--text-secondary); font-weight: 600;">Time</th>
                         <th style="padding: 8px 12px; color: var(--text-secondary); font-weight: 600;">Position</th>
-                        ${sensorLabels.map(l => `<th style="padding: 8px 12px; color: var(--text-secondary); font-weight: 600;">${this.escapeHtml(l)}</th>`).join('')}
+                        ${columns.map(l => `<th style="padding: 8px 12px; color: var(--text-secondary); font-weight: 600;">${l}</th>`).join('')}
                     </tr>
                 </thead>
                 <tbody>
         `;
 
+        // Track points are stored in SignalK units — m/s and radians
+        const toDegrees = (rad) => rad != null ? `${Math.round((rad * 180 / Math.PI + 360) % 360)}°` : '--';
+
         positions.forEach((pos, idx) => {
             const date = new Date(pos.timestamp * 1000);
             const timeStr = date.toLocaleString('en-US', {
@@ -187,22 +315,23 @@ class UIController {
                 hour: '2-digit', minute: '2-digit'
             });
             const latStr = pos.latitude ? `${pos.latitude.toFixed(4)}°` : '--';
+            const drStr = pos.position_type === 'dr' ? `<br><span class="log-data-note">DR ±${(pos.position_error ?? 0).toFixed(1)} nm</span>` : '';
             const lonStr = pos.longitude ? `${pos.longitude.toFixed(4)}°` : '--';
             const rowBg = idx % 2 === 0 ? 'background-color: var(--background);' : '';
 
-            // Build sensor value map for this row
-            const sensorMap = {};
-            if (pos.data) {
-                pos.data.forEach(d => {
-                    sensorMap[d.data_label] = `${d.data_value || '--'}${d.data_unit ? ' ' + d.data_unit : ''}`;
-                });
-            }
+            const values = [
+                pos.sog != null ? `${(pos.sog * 1.94384).toFixed(1)} kts` : '--',
+                toDegrees(pos.cog),
+                toDegrees(pos.heading),
+                pos.satellites != null ? pos.satellites : '--',
+                pos.hdop != null ? pos.hdop.toFixed(1) : '--'
+            ];
 
             html += `
                 <tr style="border-bottom: 1px solid var(--border-color); ${rowBg}">
                     <td style="padding: 8px 12px; color: var(--text-primary); white-space: nowrap;">${timeStr}</td>
-                    <td style="padding: 8px 12px; color: var(--text-primary); white-space: nowrap; font-family: monospace; font-size: 0.8rem;">${latStr} N<br>${lonStr} W</td>
-                    ${sensorLabels.map(l => `<td style="padding: 8px 12px; color: var(--text-primary);">${this.escapeHtml(sensorMap[l] || '--')}</td>`).join('')}
+                    <td style="padding: 8px 12px; color: var(--text-primary); white-space: nowrap; font-family: monospace; font-size: 0.8rem;">${latStr} N<br>${lonStr} W${drStr}</td>
+                    ${values.map(v => `<td style="padding: 8px 12px; color: var(--text-primary);">${v}</td>`).join('')}
                 </tr>
             `;
         });
@@ -655,18 +784,109 @@ class UIController {
         });
     }
 
+    // ========================================================================
+    // BACKUPS
+    // ========================================================================
+
+    /**
+     * Load and display local rotating backups
+     */
+    async loadBackups() {
+        const list = document.getElementById('backupList');
+        if (!list) return;
+
+        try {
+            const response = await fetch('/plugins/signalk-noon-log/api/backups');
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load backups');
+            }
+
+            const { backups, settings } = result.data;
+            const schedule = settings.enabled
+                ? `Automatic backup every ${settings.intervalHours}h, keeping ${settings.keepCopies} cop${settings.keepCopies !== 1 ? 'ies' : 'y'}${settings.emailBackup ? ', emailed' : ''}.`
+                : 'Automatic backups are disabled in the plugin settings.';
+
+            if (backups.length === 0) {
+                list.innerHTML = `<div>${schedule}</div><div class="empty-state">No local backups yet</div>`;
+                return;
+            }
+
+            list.innerHTML = `<div style="margin-bottom: 8px;">${schedule}</div>` + backups.map(backup => `
+                <div class="backup-item">
+                    <span>${new Date(backup.createdAt).toLocaleString()}</span>
+                    <span>${(backup.size / 1024).toFixed(0)} KB</span>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            list.innerHTML = `<div class="empty-state">Error loading backups: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Write a local backup now
+     */
+    async runBackup() {
+        try {
+            const response = await fetch('/plugins/signalk-noon-log/api/backups', { method: 'POST' });
+            const result = await response.json();
+            if (result.success) {
+                this.showMessage('success', result.data.message);
+                this.loadBackups();
+            } else {
+                this.showMessage('error', `Error: ${result.error}`);
+            }
+        } catch (error) {
+            this.showMessage('error', `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the logbook with an uploaded backup file
+     * @param {File} file - Database file chosen by the user
+     */
+    async restoreBackup(file) {
+        if (!confirm(`Replace the entire logbook with "${file.name}"?\n\nThe current logbook is saved as a backup first.`)) return;
+
+        try {
+            const response = await fetch('/plugins/signalk-noon-log/api/backup/restore', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file
+            });
+            const result = await response.json();
+            if (result.success) {
+                this.showMessage('success', result.data.message);
+                this.loadBackups();
+                this.loadVoyageLogs();
+                this.loadJournal();
+            } else {
+                this.showMessage('error', `Restore failed: ${result.error}`);
+            }
+        } catch (error) {
+            this.showMessage('error', `Restore failed: ${error.message}`);
+        }
+    }
+
     /**
      * Setup log viewer
      */
     setupLogViewer() {
         // Load logs for current voyage
         this.loadVoyageLogs();
+        this.loadJournal();
     }
 
     /**
      * Load logs for the current voyage
      */
     async loadVoyageLogs() {
+        // Keep showing search results while a search is active
+        if (document.getElementById('logSearchInput')?.value.trim()) {
+            return this.searchLogs();
+        }
+
         try {
             
             // First get the current voyage
@@ -680,6 +900,7 @@ class UIController {
             const voyageData = await voyageResponse.json();
             
             const voyageId = voyageData?.data?.id;
+            this.currentVoyageId = voyageId || null;
             
             if (!voyageId) {
                 document.getElementById('voyageLogsList').innerHTML = `
@@ -753,9 +974,9 @@ class UIController {
 
             return `
                 <div class="voyage-log-item" data-log-id="${log.id}">
-                    <div class="log-item-date">${dateDisplay}</div>
+                    <div class="log-item-date">${dateDisplay}${log.is_journal ? '<span class="log-item-tag">Journal</span>' : ''}</div>
                     <div class="log-item-time">${timeDisplay}</div>
-                    <div class="log-item-preview">${this.escapeHtml(preview)}</div>
+                    <div class="log-item-preview${log.is_deleted ? ' log-entry-deleted' : ''}">${this.escapeHtml(preview)}</div>
                 </div>
             `;
         }).join('');
@@ -775,11 +996,98 @@ class UIController {
             });
         });
 
-        // Auto-load the most recent log after handlers are attached
-        const firstItem = container.querySelector('.voyage-log-item');
+        // Re-select the log being viewed (e.g. after a correction), otherwise the most recent
+        const currentItem = this.currentLog
+            ? container.querySelector(`.voyage-log-item[data-log-id="${this.currentLog.id}"]`)
+            : null;
+        const firstItem = currentItem || container.querySelector('.voyage-log-item');
         if (firstItem) firstItem.click();
     }
 
+    /**
+     * Search log and journal text, in the current voyage or across all voyages
+     */
+    async searchLogs() {
+        const query = document.getElementById('logSearchInput').value.trim();
+        if (!query) {
+            this.loadVoyageLogs();
+            return;
+        }
+
+        const container = document.getElementById('voyageLogsList');
+        const countEl = document.getElementById('logListCount');
+
+        try {
+            const params = new URLSearchParams({ q: query });
+            if (document.getElementById('logSearchScope').value === 'voyage') {
+                if (this.currentVoyageId) params.set('voyageId', this.currentVoyageId);
+            }
+
+            const response = await fetch(`/plugins/signalk-noon-log/api/search?${params}`);
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Search failed');
+            }
+
+            // Ignore responses for a query that has since changed
+            if (document.getElementById('logSearchInput').value.trim() !== query) return;
+
+            const results = result.data.results;
+            countEl.textContent = `${results.length} Match${results.length !== 1 ? 'es' : ''}`;
+            if (results.length === 0) {
+                container.innerHTML = '<div class="empty-state">No matching entries</div>';
+                return;
+            }
+
+            // Snippets come back HTML-escaped with matches in <mark>
+            container.innerHTML = results.map(entry => {
+                const date = new Date(entry.timestamp * 1000);
+                const dateDisplay = date.toLocaleDateString('en-US', {
+                    month: 'short',
+                    day: 'numeric',
+                    year: 'numeric'
+                });
+                const timeDisplay = date.toLocaleTimeString('en-US', {
+                    hour: '2-digit',
+                    minute: '2-digit'
+                });
+
+                return `
+                    <div class="voyage-log-item" data-log-id="${entry.id}">
+                        <div class="log-item-date">${dateDisplay}${entry.is_journal ? '<span class="log-item-tag">Journal</span>' : ''}</div>
+                        <div class="log-item-time">${timeDisplay}</div>
+                        <div class="log-item-preview">${entry.snippet}</div>
+                    </div>
+                `;
+            }).join('');
+
+            container.querySelectorAll('.voyage-log-item').forEach(item => {
+                item.addEventListener('click', async () => {
+                    const logId = parseInt(item.getAttribute('data-log-id'));
+                    try {
+                        const logResponse = await fetch(`/plugins/signalk-noon-log/api/logs/${logId}`);
+                        const logResult = await logResponse.json();
+                        if (!logResult.success) {
+                            throw new Error(logResult.error || 'Failed to load log');
+                        }
+                        this.displayLog(logResult.data.log);
+                        container.querySelectorAll('.voyage-log-item').forEach(i => i.classList.remove('selected'));
+                        item.classList.add('selected');
+                    } catch (error) {
+                        this.showMessage('error', `Error: ${error.message}`);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Error searching logs:', error);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: #dc3545;">
+                    Search failed: ${this.escapeHtml(error.message)}
+                </div>
+            `;
+        }
+    }
+
     /**
      * Display a log by its full object
      * @param {Object} log - Log object
@@ -824,7 +1132,9 @@ class UIController {
      * @param {Object} log - Log entry object
      */
     displayLog(log) {
-        
+        this.currentLog = log;
+        this.closeLogEditor();
+
         // Hide placeholder, show result
         document.getElementById('logViewerPlaceholder').style.display = 'none';
         document.getElementById('logViewerResult').style.display = 'block';
@@ -844,7 +1154,8 @@ class UIController {
         if (log.latitude && log.longitude) {
             const latDir = log.latitude >= 0 ? 'N' : 'S';
             const lonDir = log.longitude >= 0 ? 'E' : 'W';
-            positionEl.textContent = `${Math.abs(log.latitude).toFixed(4)}° ${latDir}, ${Math.abs(log.longitude).toFixed(4)}° ${lonDir}`;
+            const drLabel = log.position_type === 'dr' ? ` (DR ±${(log.position_error ?? 0).toFixed(1)} nm)` : '';
+            positionEl.textContent = `${Math.abs(log.latitude).toFixed(4)}° ${latDir}, ${Math.abs(log.longitude).toFixed(4)}° ${lonDir}${drLabel}`;
             positionEl.style.backgroundColor = '';
             positionEl.className = 'log-position-badge log-position-badge--found';
             positionEl.style.fontSize = '0.8rem';
@@ -858,7 +1169,11 @@ class UIController {
         const textSection = document.getElementById('logViewerTextSection');
         const textEl = document.getElementById('logViewerText');
         if (log.log_text && log.log_text.trim()) {
-            textEl.textContent = log.log_text;
+            textSection.querySelector('.log-section-label').textContent = log.is_journal
+                ? `Journal Entry — ${date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`
+                : "Captain's Log";
+            textEl.textContent = log.author ? `${log.log_text}\n\n— ${log.author}` : log.log_text;
+            textEl.classList.toggle('log-entry-deleted', !!log.is_deleted);
             textSection.style.display = 'block';
         } else {
             textSection.style.display = 'none';
@@ -871,7 +1186,9 @@ class UIController {
             dataContainer.innerHTML = log.data.map(item => `
                 <div class="log-data-item">
                     <div class="log-data-label">${this.escapeHtml(item.data_label)}</div>
-                    <div class="log-data-value">${this.escapeHtml(item.data_value)}${this.escapeHtml(item.data_unit || '')}</div>
+                    <div class="log-data-value">${this.escapeHtml(item.display_value)}${item.display_unit ? ' ' + this.escapeHtml(item.display_unit) : ''}</div>
+                    ${item.display_summary ? `<div class="log-data-summary">${this.escapeHtml(item.display_summary)}</div>` : ''}
+                    ${item.display_note ? `<div class="log-data-note">${this.escapeHtml(item.display_note)}</div>` : ''}
                 </div>
             `).join('');
             dataSection.style.display = 'block';
@@ -893,6 +1210,193 @@ class UIController {
         } else {
             distSection.style.display = 'none';
         }
+
+        this.displayRevisions(log);
+
+        this.updateLogActions(log);
+    }
+
+    /**
+     * Show the actions allowed for a log — deleted and sealed entries are read-only
+     * @param {Object} log - Log entry object
+     */
+    updateLogActions(log) {
+        const readOnly = !!log.is_deleted || !!log.seal;
+        document.getElementById('correctLogBtn').style.display = readOnly ? 'none' : '';
+        document.getElementById('deleteLogBtn').style.display = readOnly ? 'none' : '';
+        document.getElementById('sealDayBtn').style.display = log.seal ? 'none' : '';
+
+        const sealedEl = document.getElementById('logViewerSealed');
+        if (log.seal) {
+            const sealedAt = new Date(log.seal.sealed_at * 1000).toLocaleDateString('en-US', {
+                month: 'short', day: 'numeric', year: 'numeric'
+            });
+            sealedEl.textContent = `🔒 Sealed ${sealedAt}${log.seal.sealed_by ? ` by ${log.seal.sealed_by}` : ''}`;
+            sealedEl.title = `Hash ${log.seal.hash}`;
+            sealedEl.style.display = '';
+        } else {
+            sealedEl.style.display = 'none';
+        }
+        document.getElementById('logViewerActions').style.display = 'flex';
+    }
+
+    /**
+     * Seal every entry on the displayed log's day
+     */
+    async sealCurrentDay() {
+        const log = this.currentLog;
+        if (!log) return;
+
+        if (!confirm(`Seal all log entries for ${log.date_str}? Sealed entries can no longer be corrected or deleted.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/plugins/signalk-noon-log/api/seal', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ date: log.date_str })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showMessage('success', result.data.message);
+                this.loadVoyageLogs();
+            } else {
+                this.showMessage('error', `Error: ${result.error}`);
+            }
+        } catch (error) {
+            this.showMessage('error', `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Display correction history — old values struck through
+     * @param {Object} log - Log entry object with revisions
+     */
+    displayRevisions(log) {
+        const section = document.getElementById('logViewerRevisionSection');
+        const container = document.getElementById('logViewerRevisions');
+
+        if (!log.revisions || log.revisions.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = log.revisions.map(rev => {
+            const when = new Date(rev.revised_at * 1000).toLocaleString('en-US', {
+                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            });
+            const by = rev.author ? ` by ${this.escapeHtml(rev.author)}` : '';
+            const change = rev.action === 'delete'
+                ? 'Entry deleted'
+                : `${this.escapeHtml(rev.field)}: <del>${this.escapeHtml(rev.old_value) || '(empty)'}</del> → ${this.escapeHtml(rev.new_value) || '(empty)'}`;
+            return `
+                <div class="revision-item">
+                    <div>${change}</div>
+                    <div class="revision-meta">${when}${by} — ${this.escapeHtml(rev.reason)}</div>
+                </div>
+            `;
+        }).join('');
+        section.style.display = 'block';
+    }
+
+    /**
+     * Open the correction editor for the displayed log
+     */
+    openLogEditor() {
+        const log = this.currentLog;
+        if (!log) return;
+
+        document.getElementById('logEditText').value = log.log_text || '';
+        document.getElementById('logEditReason').value = '';
+        document.getElementById('logEditData').innerHTML = (log.data || []).map(item => `
+            <label for="logEditData-${item.id}">${this.escapeHtml(item.data_label)}${item.display_unit ? ` (${this.escapeHtml(item.display_unit)})` : ''}</label>
+            <input type="text" id="logEditData-${item.id}" class="input-field" data-data-id="${item.id}"
+                   value="${this.escapeHtml(item.display_value)}" style="width: 100%; margin-bottom: 8px;">
+        `).join('');
+
+        document.getElementById('logViewerEditor').style.display = 'block';
+        document.getElementById('logViewerActions').style.display = 'none';
+    }
+
+    /**
+     * Close the correction editor
+     */
+    closeLogEditor() {
+        document.getElementById('logViewerEditor').style.display = 'none';
+        if (this.currentLog) {
+            document.getElementById('logViewerActions').style.display = 'flex';
+        }
+    }
+
+    /**
+     * Submit a correction for the displayed log
+     */
+    async saveLogCorrection() {
+        const log = this.currentLog;
+        if (!log) return;
+
+        const reason = document.getElementById('logEditReason').value.trim();
+        if (!reason) {
+            this.showMessage('error', 'Please give a reason for the correction');
+            return;
+        }
+
+        const body = { reason, logText: document.getElementById('logEditText').value };
+        body.data = Array.from(document.querySelectorAll('#logEditData input')).map(input => ({
+            id: parseInt(input.dataset.dataId),
+            value: input.value
+        }));
+
+        try {
+            const response = await fetch(`/plugins/signalk-noon-log/api/logs/${log.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showMessage('success', 'Correction saved');
+                this.displayLog(result.data.log);
+                this.loadVoyageLogs();
+            } else {
+                this.showMessage('error', `Error: ${result.error}`);
+            }
+        } catch (error) {
+            this.showMessage('error', `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the displayed log — it stays in the logbook, struck through
+     */
+    async deleteCurrentLog() {
+        const log = this.currentLog;
+        if (!log) return;
+
+        const reason = prompt('Reason for deleting this entry (it will remain visible, struck through):');
+        if (!reason || !reason.trim()) return;
+
+        try {
+            const response = await fetch(`/plugins/signalk-noon-log/api/logs/${log.id}`, {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showMessage('success', 'Entry deleted');
+                this.displayLog(result.data.log);
+                this.loadVoyageLogs();
+            } else {
+                this.showMessage('error', `Error: ${result.error}`);
+            }
+        } catch (error) {
+            this.showMessage('error', `Error: ${error.message}`);
+        }
     }
 
     /**
@@ -144,7 +144,7 @@ class VoyageManager {
                                 <span class="log-data-label">${dateStr} &nbsp; ${timeStr}</span>
                                 ${posStr ? `<span class="log-data-label">${posStr}</span>` : ''}
                             </div>
-                            <div class="log-data-value" style="white-space: pre-wrap; font-size: 0.9rem; font-weight: normal;">${this.escapeHtml(log.log_text)}</div>
+                            <div class="log-data-value${log.is_deleted ? ' log-entry-deleted' : ''}" style="white-space: pre-wrap; font-size: 0.9rem; font-weight: normal;">${this.escapeHtml(log.log_text)}</div>
                         </div>
                     `;
                 });
@@ -173,6 +173,16 @@ class VoyageManager {
                     🏁 End Voyage
                     <br><small>Close this voyage — logging stops until a new voyage is started</small>
                 </button>` : ''}
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 10px;">
+                    <button class="export-btn" onclick="window.voyageManager.sealVoyage(${voyageId})">
+                        🔒 Seal Voyage
+                        <br><small>Make all entries read-only and tamper-evident</small>
+                    </button>
+                    <button class="export-btn" onclick="window.voyageManager.verifySeals()">
+                        ✅ Verify Seals
+                        <br><small>Check sealed entries have not been altered</small>
+                    </button>
+                </div>
                 <button class="export-btn delete-voyage-btn" style="width: 100%;" onclick="window.voyageManager.deleteVoyage(${voyageId})">
                     🗑️ Delete Voyage
                     <br><small>Permanently delete all logs from this voyage</small>
@@ -275,6 +285,47 @@ class VoyageManager {
         }
     }
 
+    // Seal all entries of a voyage onto the hash chain
+    async sealVoyage(voyageId) {
+        if (!confirm('Seal every log entry in this voyage? Sealed entries can no longer be corrected or deleted, and the voyage cannot be deleted.')) return;
+        try {
+            const response = await fetch('/plugins/signalk-noon-log/api/seal', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ voyageId })
+            });
+            const result = await response.json();
+            if (result.success) {
+                this.mainUI.showMessage('success', result.data.message);
+                this.mainUI.ui?.loadVoyageLogs();
+            } else {
+                this.mainUI.showMessage('error', `Error: ${result.error}`);
+            }
+        } catch (error) {
+            this.mainUI.showMessage('error', `Error: ${error.message}`);
+        }
+    }
+
+    // Verify the seal hash chain
+    async verifySeals() {
+        try {
+            const response = await fetch('/plugins/signalk-noon-log/api/seal/verify');
+            const result = await response.json();
+            if (!result.success) {
+                this.mainUI.showMessage('error', `Error: ${result.error}`);
+                return;
+            }
+            const { intact, sealedCount, problems } = result.data;
+            if (intact) {
+                alert(`Logbook seals intact — ${sealedCount} sealed entr${sealedCount !== 1 ? 'ies' : 'y'} verified.`);
+            } else {
+                alert(`WARNING: logbook seal verification failed.\n\n${problems.map(p => `Entry ${p.logId}: ${p.reason}`).join('\n')}`);
+            }
+        } catch (error) {
+            this.mainUI.showMessage('error', `Error: ${error.message}`);
+        }
+    }
+
     // Rename voyage
     async renameVoyage(voyageId, currentName) {
         const newName = prompt('Enter new voyage name:', currentName);
@@ -99,6 +99,7 @@ class WebSocketManager {
                     this.app.ui.loadVoyageLogs();
                 } else if (path === 'navigation.log.logListUpdated') {
                     this.app.ui.loadVoyageLogs();
+                    this.app.ui.loadJournal();
                 }
 
                 // Trigger UI update
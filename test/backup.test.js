@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LogStorage = require('../plugin/lib/data/storage.js');
+const BackupManager = require('../plugin/lib/backup.js');
+
+function createPlugin(dataDir, backup = {}) {
+  const app = {
+    debug: () => {},
+    error: () => {},
+    getDataDirPath: () => dataDir
+  };
+  const plugin = { options: { backup }, storage: new LogStorage(app) };
+  plugin.storage.init();
+  return { app, plugin, backups: new BackupManager(app, plugin) };
+}
+
+test('scheduled backups rotate and restore round-trips the logbook', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const { plugin, backups } = createPlugin(dataDir, { keepCopies: 2 });
+  plugin.storage.createLogEntry({ timestamp: 1700000000, dateStr: '2023-11-14', logText: 'Before backup' });
+
+  const first = await backups.runScheduledBackup();
+  await backups.runScheduledBackup();
+  const third = await backups.runScheduledBackup();
+  assert.equal(backups.listBackups().length, 2);
+  assert.ok(!backups.listBackups().some(b => b.file === first.file));
+
+  plugin.storage.createLogEntry({ timestamp: 1700003600, dateStr: '2023-11-14', logText: 'After backup' });
+  assert.equal(plugin.storage.getAllLogs().length, 2);
+
+  const result = await backups.restore(fs.createReadStream(path.join(backups.backupDir, third.file)));
+  assert.equal(result.restoredLogs, 1);
+  assert.deepEqual(plugin.storage.getAllLogs().map(l => l.log_text), ['Before backup']);
+  assert.ok(fs.existsSync(path.join(backups.backupDir, result.previous)));
+
+  plugin.storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('restore rejects files that are not a noon log database', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const { plugin, backups } = createPlugin(dataDir);
+  plugin.storage.createLogEntry({ timestamp: 1700000000, dateStr: '2023-11-14', logText: 'Keep me' });
+
+  await assert.rejects(backups.restore(Readable.from([Buffer.from('not a database')])), /SQLite|integrity/);
+  await assert.rejects(backups.restore(Readable.from([])), /request body/);
+  assert.equal(plugin.storage.getAllLogs().length, 1);
+  assert.deepEqual(fs.readdirSync(backups.backupDir), []);
+
+  plugin.storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('backups are dated by the trusted clock and restore copies are rotated too', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const { plugin, backups } = createPlugin(dataDir, { keepCopies: 1, intervalHours: 24 });
+  let now = Date.UTC(2023, 10, 14, 12);
+  plugin.clock = { now: () => now };
+  plugin.storage.createLogEntry({ timestamp: 1700000000, dateStr: '2023-11-14', logText: 'Noon' });
+
+  await backups.runIfDue();
+  assert.deepEqual(backups.listBackups().map(b => [b.file, b.createdAt]), [['noon-log-2023-11-14T12-00-00-000Z.db', now]]);
+
+  // Due by the trusted clock, whatever the system clock or file times say
+  now += 23 * 60 * 60 * 1000;
+  await backups.runIfDue();
+  assert.equal(backups.listBackups()[0].file, 'noon-log-2023-11-14T12-00-00-000Z.db');
+  now += 60 * 60 * 1000;
+  await backups.runIfDue();
+  assert.deepEqual(backups.listBackups().map(b => b.file), ['noon-log-2023-11-15T12-00-00-000Z.db']);
+
+  const snapshot = backups.listBackups()[0].path;
+  for (let i = 0; i < 3; i++) {
+    now += 1000;
+    await backups.restore(fs.createReadStream(snapshot));
+  }
+  assert.deepEqual(backups.listBackups('pre-restore-').map(b => b.file), ['pre-restore-2023-11-15T12-00-03-000Z.db']);
+
+  plugin.storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const LogStorage = require('../plugin/lib/data/storage.js');
+const DataCollector = require('../plugin/lib/data/collector.js');
+const Clock = require('../plugin/lib/clock.js');
+const ReportScheduler = require('../plugin/lib/scheduler.js');
+
+function setup(selfPaths, options) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const errors = [];
+  const warnings = [];
+  const statuses = [];
+  const app = {
+    debug: () => {},
+    error: (message) => warnings.push(message),
+    setPluginError: (message) => errors.push(message),
+    setPluginStatus: (message) => statuses.push(message),
+    getDataDirPath: () => dataDir,
+    getSelfPath: (path) => selfPaths[path]
+  };
+  const storage = new LogStorage(app);
+  storage.init();
+  const dataCollector = new DataCollector(app, options);
+  const plugin = { options, storage, dataCollector };
+  const clock = new Clock(app, plugin);
+  dataCollector.clock = clock;
+  return { app, plugin, storage, dataCollector, clock, errors, warnings, statuses };
+}
+
+test('GNSS time corrects a system clock that is hours off, and what was written on it', (t) => {
+  const system = Date.UTC(2025, 5, 1, 10, 0, 0);
+  const gnss = system + 3 * 3600 * 1000;
+  let now = system;
+  t.mock.method(Date, 'now', () => now);
+
+  const selfPaths = {};
+  const { storage, dataCollector, clock, warnings } = setup(selfPaths, {});
+  const voyageId = storage.startNewVoyage('Clock test');
+  const logId = storage.createLogEntry({ timestamp: system / 1000, dateStr: '2025-06-01', logText: 'Left harbour', isJournal: true });
+  storage.addTrackPoint({ timestamp: system / 1000, latitude: 50, longitude: -4 });
+
+  clock.check();
+  assert.equal(dataCollector.now(), system, 'system clock until GNSS time arrives');
+  assert.equal(dataCollector.isTimeTrusted(), true);
+
+  now = system + 10000;
+  selfPaths['navigation.datetime'] = { value: new Date(gnss + 10000).toISOString(), timestamp: new Date(now).toISOString() };
+  clock.check();
+
+  assert.equal(dataCollector.now(), gnss + 10000);
+  assert.equal(dataCollector.intervalStart, gnss + 10000, 'report statistics restart on GNSS time');
+  // Deltas stamped on arrival by the server are still fresh on GNSS time
+  selfPaths['navigation.speedOverGround'] = { value: 3, timestamp: new Date(now).toISOString() };
+  assert.equal(dataCollector.getReading('navigation.speedOverGround', { maxAge: 60 }).value, 3);
+  assert.equal(dataCollector.collectNoonData().timestamp, (gnss + 10000) / 1000);
+  assert.equal(storage.getLogById(logId).timestamp, gnss / 1000);
+  assert.equal(storage.getVoyageTrack(voyageId)[0].timestamp, gnss / 1000);
+  assert.equal(storage.getActiveVoyage().start_timestamp, gnss / 1000);
+
+  const [revision] = storage.getLogRevisions(logId);
+  assert.equal(revision.field, 'timestamp');
+  assert.equal(revision.old_value, new Date(system).toISOString());
+  assert.equal(revision.new_value, new Date(gnss).toISOString());
+  assert.match(revision.reason, /3\.0 hours behind GNSS time/);
+  assert.deepEqual(warnings, []);
+});
+
+test('reports are held on a 1970 clock, and entries are re-dated once the clock is set', (t) => {
+  const real = Date.UTC(2026, 2, 1, 12, 0, 20);
+  let now = 0;
+  let mono = 1000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(performance, 'now', () => mono);
+
+  const { app, plugin, storage, dataCollector, clock, errors, warnings, statuses } = setup({}, { timeSource: 'system' });
+  const earlierId = storage.createLogEntry({ timestamp: Date.UTC(2026, 1, 20) / 1000, dateStr: '2026-02-20', logText: 'Earlier run' });
+  const legacyId = storage.createLogEntry({ timestamp: 86400, dateStr: '1970-01-02', logText: 'Written on a 1970 clock' });
+
+  let reports = 0;
+  const scheduler = new ReportScheduler({ debug: () => {}, error: (message) => assert.fail(message) }, {}, () => reports++, clock);
+
+  clock.check();
+  assert.equal(clock.isTrusted(), false);
+  assert.match(errors[0], /reports are held/);
+  assert.deepEqual(statuses, []);
+  scheduler.checkForScheduledReport();
+  assert.equal(scheduler.holding, true);
+  assert.equal(reports, 0);
+
+  now = 20000;
+  mono += 20000;
+  const journalId = storage.createLogEntry({ timestamp: 20, dateStr: '1970-01-01', logText: 'Journal before NTP' });
+
+  // NTP sets the clock 30 seconds after start-up. The jump alone proves nothing,
+  // but the impossible dates are re-dated from the entries before them.
+  now = real;
+  mono += 10000;
+  clock.check();
+
+  assert.equal(clock.isTrusted(), true);
+  assert.equal(dataCollector.intervalStart, real);
+  assert.match(statuses[0], /reports resumed/);
+  assert.match(warnings[0], /System clock jumped/);
+  const earlier = storage.getLogById(earlierId).timestamp;
+  assert.equal(storage.getLogById(legacyId).timestamp, earlier);
+  assert.equal(storage.getLogById(journalId).timestamp, earlier);
+  assert.equal(storage.getLogById(journalId).date_str, '2026-02-20');
+  assert.equal(storage.getLogRevisions(legacyId)[0].reason, 'Written with an implausible system clock');
+  assert.equal(storage.getLogRevisions(earlierId).length, 0);
+
+  // The noon report fell due while the clock was wrong and goes out late, once
+  scheduler.checkForScheduledReport();
+  assert.equal(scheduler.holding, false);
+  assert.equal(reports, 1);
+  scheduler.checkForScheduledReport();
+  assert.equal(reports, 1);
+
+  // Later starts, on a clock that is behind or set again, leave the repaired entries alone
+  for (const startAt of [Date.UTC(2025, 0, 1), 0]) {
+    now = startAt;
+    const restarted = new Clock(app, plugin);
+    restarted.check();
+    now = real + 7200 * 1000;
+    mono += 15000;
+    restarted.check();
+  }
+  assert.equal(storage.getLogRevisions(legacyId).length, 1);
+  assert.equal(storage.getLogRevisions(journalId).length, 1);
+});
+
+test('a suspend and resume is not taken for a wrong clock', (t) => {
+  const start = Date.UTC(2026, 6, 1, 18, 0, 0);
+  let now = start;
+  let mono = 1000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(performance, 'now', () => mono);
+
+  const { storage, clock, warnings } = setup({}, {});
+  const voyageId = storage.startNewVoyage('Suspend test', start / 1000);
+  const logId = storage.createLogEntry({ timestamp: start / 1000, dateStr: '2026-07-01', logText: 'Alongside' });
+  storage.addTrackPoint({ timestamp: start / 1000, latitude: 50, longitude: -4 });
+  clock.check();
+
+  // The host sleeps overnight: the wall clock moves on, the monotonic clock does not
+  now = start + 14 * 3600 * 1000;
+  mono += 15000;
+  clock.check();
+
+  assert.match(warnings[0], /jumped by 50385 s/);
+  assert.equal(clock.isTrusted(), true);
+  assert.equal(storage.getLogById(logId).timestamp, start / 1000);
+  assert.deepEqual(storage.getLogRevisions(logId), []);
+  assert.equal(storage.getVoyageTrack(voyageId)[0].timestamp, start / 1000);
+  assert.equal(storage.getActiveVoyage().start_timestamp, start / 1000);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataCollector = require('../plugin/lib/data/collector.js');
+const DerivedFields = require('../plugin/lib/data/derived.js');
+const { formatDataItem } = require('../plugin/lib/data/units.js');
+
+test('derived fields are computed from other paths and collected with the report data', () => {
+  const selfPaths = {
+    // 10 m/s apparent from dead ahead at 4 m/s boat speed, heading east
+    'environment.wind.speedApparent': { value: 10 },
+    'environment.wind.angleApparent': { value: 0 },
+    'navigation.speedThroughWater': { value: 4 },
+    'navigation.headingTrue': { value: Math.PI / 2 },
+    'environment.water.temperature': { value: 291.15 },
+    'environment.outside.temperature': { value: 294.15 },
+    'electrical.batteries.house.voltage': { value: 12.5 },
+    'electrical.batteries.house.current': { value: -8 },
+    'environment.outside.pressure': { value: 101300, timestamp: new Date(Date.now() - 7200 * 1000).toISOString() }
+  };
+  const options = {
+    useMetricUnits: true,
+    customDataPaths: [],
+    derivedFields: [
+      { type: 'trueWindSpeed', label: 'True Wind Speed' },
+      { type: 'trueWindDirection', label: 'True Wind Direction' },
+      { type: 'beaufort', label: 'Wind Force' },
+      { type: 'seaAirTempDiff', label: 'Sea - Air' },
+      { type: 'batteryNetAh', label: 'Battery Net' },
+      { type: 'expression', label: 'House Power', expression: 'electrical.batteries.house.voltage * -electrical.batteries.house.current', units: 'W' },
+      { type: 'expression', label: 'Missing', expression: 'max(navigation.nothing, 1)' },
+      { type: 'expression', label: 'Stale', expression: 'environment.outside.pressure / 100 + environment.outside.temperature' },
+      { type: 'expression', label: 'Broken', expression: 'process.exit(1)' }
+    ]
+  };
+  const errors = [];
+  const collector = new DataCollector({
+    getSelfPath: path => selfPaths[path],
+    debug: () => {},
+    error: message => errors.push(message)
+  }, options);
+  assert.match(errors[0], /Broken.*Unknown function "process.exit"/);
+  assert.deepEqual(collector.derivedFields.statsPaths(), ['electrical.batteries.house.current']);
+
+  collector.intervalStart = Date.now() - 3600 * 1000;
+  for (const current of [-6, -10]) collector.recordSample('electrical.batteries.house.current', current);
+
+  const derived = Object.fromEntries(collector.collectNoonData().customData.map(item => [item.label, item]));
+  assert.equal(derived['True Wind Speed'].path, 'derived.trueWindSpeed');
+  assert.ok(Math.abs(derived['True Wind Speed'].value - 6) < 1e-9);
+  assert.ok(Math.abs(derived['True Wind Direction'].value - Math.PI / 2) < 1e-9);
+  assert.equal(derived['Wind Force'].value, '4 (Moderate breeze)');
+  assert.deepEqual(formatDataItem(derived['Sea - Air'], options).value, '-3.00');
+  assert.equal(formatDataItem(derived['Sea - Air'], { useMetricUnits: false }).value, '-5.40');
+  assert.equal(formatDataItem(derived['Battery Net'], options).value, '-8.00');
+  assert.equal(derived['House Power'].path, 'derived.housePower');
+  assert.equal(derived['House Power'].value, 100);
+  assert.equal(derived.Missing, undefined);
+  assert.equal(derived.Stale, undefined);
+
+  // A built-in calculator gives nothing from a stale input either
+  selfPaths['environment.water.temperature'].timestamp = new Date(Date.now() - 7200 * 1000).toISOString();
+  assert.equal(collector.derivedFields.compute({ type: 'seaAirTempDiff' }), null);
+
+  assert.equal(DerivedFields.compileExpression('2 ^ 3 ^ 2 - -1').evaluate(() => null), 513);
+  assert.deepEqual(DerivedFields.compileExpression('(a.b + 1) / c').paths, ['a.b', 'c']);
+  assert.throws(() => DerivedFields.compileExpression('1 +'), /Unexpected end/);
+  assert.throws(() => DerivedFields.compileExpression('a["constructor"]'), /Unexpected character/);
+  for (const name of ['constructor', 'toString', 'valueOf', 'hasOwnProperty']) {
+    assert.throws(() => DerivedFields.compileExpression(`${name}(1)`), /Unknown function/);
+  }
+});
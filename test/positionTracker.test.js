@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PositionTracker = require('../plugin/lib/positionTracker.js');
+const DataCollector = require('../plugin/lib/data/collector.js');
+const EmailFormatter = require('../plugin/lib/email/formatter.js');
+
+const KNOTS = 1 / 1.94384;
+const METRES_PER_DEGREE = 111195;
+
+test('position deltas are recorded on distance, course, speed and time triggers', (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+
+  const points = [];
+  let deltaCallback = null;
+  const fix = { latitude: 50, longitude: -4, sog: 6 * KNOTS, cog: 0 };
+  const app = {
+    debug: () => {},
+    error: (message) => assert.fail(message),
+    subscriptionmanager: {
+      subscribe: (subscription, unsubscribes, errorCallback, callback) => {
+        assert.equal(subscription.subscribe[0].path, 'navigation.position');
+        deltaCallback = callback;
+        unsubscribes.push(() => { deltaCallback = null; });
+      }
+    }
+  };
+  const dataCollector = {
+    now: () => Date.now(),
+    isTimeTrusted: () => true,
+    getPosition: () => ({ latitude: fix.latitude, longitude: fix.longitude, source: 'gps' }),
+    getValue: (path) => ({
+      'navigation.speedOverGround': fix.sog,
+      'navigation.courseOverGroundTrue': fix.cog
+    })[path] ?? null
+  };
+  const storage = { addTrackPoint: (point) => points.push(point) };
+  const tracker = new PositionTracker(app, {}, storage, dataCollector, {
+    positionTracking: { enabled: true, interval: 30, distance: 500, courseChange: 20, speedChange: 2, minSpeed: 1 }
+  });
+
+  // Delivers a delta after moving north the given number of metres
+  const step = (seconds, metres, changes = {}) => {
+    now += seconds * 1000;
+    fix.latitude += metres / METRES_PER_DEGREE;
+    Object.assign(fix, changes);
+    deltaCallback();
+    return points.length;
+  };
+
+  tracker.start();
+  assert.equal(points.length, 1);
+  assert.equal(step(30, 100), 1);
+  assert.equal(step(30, 300), 1);
+  assert.equal(step(30, 150), 2, 'distance trigger after 550 m');
+  assert.equal(step(5, 10, { cog: Math.PI / 2 }), 2, 'held back by the minimum interval');
+  assert.equal(step(10, 10), 3, 'course trigger on a tack');
+  assert.equal(step(20, 10, { sog: 3 * KNOTS }), 4, 'speed trigger');
+  assert.equal(step(29 * 60, 10), 4);
+  assert.equal(step(60, 10), 5, 'time trigger');
+
+  // Stopped: one point, then only the time trigger until moving again
+  assert.equal(step(20, 0, { sog: 0 }), 6);
+  assert.equal(step(20 * 60, 0), 6);
+  assert.equal(step(10 * 60, 0), 7, 'time trigger while stopped');
+
+  // Three hours drifting below the minimum speed is not taken for a gap
+  for (let half = 0; half < 6; half++) step(30 * 60, 500, { sog: 0.5 * KNOTS });
+  assert.equal(points.length, 13);
+  assert.equal(step(20, 20, { sog: 5 * KNOTS }), 14);
+
+  // Deltas stopped for hours and resumed 2 km away: a new segment
+  assert.equal(step(3 * 3600, 2000), 15);
+  assert.deepEqual(points.map(point => point.newSegment), [true, ...Array(13).fill(false), true]);
+
+  assert.equal(points[0].source, 'gps');
+  assert.equal(points[2].cog, Math.PI / 2);
+  assert.equal(tracker.getStatistics().isRunning, true);
+  tracker.stop();
+  assert.equal(deltaCallback, null);
+  assert.equal(tracker.getStatistics().isRunning, false);
+});
+
+test('implausible fixes are kept out of the track and logged for diagnostics', (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+
+  const points = [];
+  const rejected = [];
+  const fix = { latitude: 50, longitude: -4, hdop: 1 };
+  const dataCollector = {
+    now: () => Date.now(),
+    isTimeTrusted: () => true,
+    getPosition: () => ({ latitude: fix.latitude, longitude: fix.longitude }),
+    getValue: (path) => ({
+      'navigation.speedOverGround': 3,
+      'navigation.gnss.horizontalDilution': fix.hdop
+    })[path] ?? null
+  };
+  const storage = {
+    addTrackPoint: (point) => points.push(point),
+    addRejectedFix: (rejection) => rejected.push(rejection)
+  };
+  const tracker = new PositionTracker({ debug: () => {}, error: (message) => assert.fail(message) }, {}, storage, dataCollector, {
+    positionTracking: { enabled: true, distance: 100, minSpeed: 0 }
+  });
+
+  const deliver = (seconds, changes) => {
+    now += seconds * 1000;
+    Object.assign(fix, changes);
+    tracker.recordPosition();
+  };
+
+  deliver(0, {});
+  deliver(60, { latitude: 0, longitude: 0 });
+  deliver(60, { latitude: 53, longitude: -4 });
+  deliver(60, { latitude: 50.01, longitude: -4, hdop: 12 });
+  deliver(5, { hdop: 20 });
+  deliver(60, { hdop: 1.2 });
+
+  assert.deepEqual(points.map(point => point.latitude), [50, 50.01]);
+  assert.deepEqual(rejected.map(rejection => rejection.reason), ['null_island', 'speed', 'hdop']);
+  assert.match(rejected[1].detail, /Implied speed \d+ kts above 50 kts/);
+});
+
+test('positions are dead reckoned while the GPS is lost and labelled as such', (t) => {
+  let now = 1700000000000;
+  t.mock.method(Date, 'now', () => now);
+
+  const selfPaths = {
+    'navigation.position': { value: { latitude: 50, longitude: -4 } },
+    'navigation.headingTrue': { value: 0 },
+    'navigation.speedThroughWater': { value: 5 * KNOTS },
+    'navigation.speedOverGround': { value: 5 * KNOTS }
+  };
+  const options = { dataMaxAge: 0, positionTracking: { enabled: true, minSpeed: 1, interval: 60 } };
+  const dataCollector = new DataCollector({ getSelfPath: path => selfPaths[path], debug: () => {}, error: () => {} }, options);
+  const points = [];
+  const tracker = new PositionTracker({ debug: () => {}, error: (message) => assert.fail(message) }, {}, {
+    addTrackPoint: (point) => points.push(point),
+    addRejectedFix: () => assert.fail('DR position rejected')
+  }, dataCollector, options);
+
+  tracker.recordPosition();
+  assert.equal(points[0].positionType, null);
+
+  // GPS lost: two hours north at 5 knots, then one hour east
+  delete selfPaths['navigation.position'];
+  now += 2 * 3600 * 1000;
+  tracker.recordPosition();
+  selfPaths['navigation.headingTrue'].value = Math.PI / 2;
+  now += 3600 * 1000;
+  const position = dataCollector.getPosition();
+  tracker.recordPosition();
+
+  assert.equal(points.length, 3);
+  assert.equal(points[1].positionType, 'dr');
+  assert.ok(Math.abs(points[1].latitude - (50 + 10 / 60)) < 0.001, 'ten miles north');
+  assert.ok(Math.abs(points[2].longitude - (-4 + 5 / 60 / Math.cos((50 + 10 / 60) * Math.PI / 180))) < 0.001, 'five miles east');
+  assert.ok(points[2].positionError > points[1].positionError);
+  assert.equal(position.quality, 'dr');
+
+  const formatter = new EmailFormatter({ getSelfPath: () => 'Test', debug: () => {} }, {});
+  const text = formatter.generateEmailText({ position, customData: [], dateStr: '2023-11-14', timestamp: now / 1000 });
+  assert.match(text, /Dead-reckoned position \(DR ±\d+\.\d nm\) — no GPS fix since 22:13 UTC/);
+  assert.match(formatter.generateEmailHTML({ position, customData: [], dateStr: '2023-11-14' }), /class="position-note">Dead-reckoned position/);
+
+  // Dead reckoning stops once the last fix is too old
+  now += 24 * 3600 * 1000;
+  assert.equal(dataCollector.getPosition(), null);
+});
+
+test('dead reckoning takes over as soon as the GPS stops updating', (t) => {
+  let now = 1700000000000;
+  t.mock.method(Date, 'now', () => now);
+
+  const selfPaths = {
+    'navigation.position': { value: { latitude: 50, longitude: -4 }, timestamp: new Date(now).toISOString() },
+    'navigation.headingTrue': { value: 0 },
+    'navigation.speedThroughWater': { value: 5 * KNOTS }
+  };
+  const dataCollector = new DataCollector({ getSelfPath: path => selfPaths[path], debug: () => {}, error: () => {} }, {});
+
+  assert.equal(dataCollector.getPosition().quality, null);
+  now += 10 * 1000;
+  assert.equal(dataCollector.getPosition().latitude, 50);
+
+  // The last fix is still in the SignalK tree, far younger than the data age limit
+  now += 5 * 60 * 1000;
+  const position = dataCollector.getPosition();
+  assert.equal(position.quality, 'dr');
+  assert.ok(position.latitude > 50);
+});
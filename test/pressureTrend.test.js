@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogStorage = require('../plugin/lib/data/storage.js');
+const DataCollector = require('../plugin/lib/data/collector.js');
+const PressureTrend = require('../plugin/lib/pressureTrend.js');
+
+test('pressure trend reports the 3h/24h change and warns on a rapid fall', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const messages = [];
+  const app = {
+    debug: () => {},
+    error: () => {},
+    getDataDirPath: () => dataDir,
+    handleMessage: (id, delta) => messages.push(delta.updates[0].values[0])
+  };
+  const storage = new LogStorage(app);
+  storage.init();
+  const plugin = { id: 'signalk-noon-log', storage, options: { pressureTrend: { alertThreshold: 4 } } };
+  const trend = new PressureTrend(app, plugin);
+
+  // Steady fall of 5 hPa over the last 3 hours, 24h ago it was 1020 hPa
+  const now = Math.floor(Date.now() / 1000);
+  storage.addPressureReading(now - 24 * 3600, 102000);
+  for (let minutes = 180; minutes >= 0; minutes -= 10) {
+    storage.addPressureReading(now - minutes * 60, 101000 - (180 - minutes) / 180 * 500);
+  }
+
+  const current = trend.getTrend(now);
+  assert.equal(current.change3h, -500);
+  assert.equal(current.change24h, -1500);
+  assert.equal(current.tendency, 7);
+  assert.equal(current.description, 'Falling quickly (decreasing steadily)');
+  assert.deepEqual(trend.getReportData().map(item => item.value), [-500, -1500, current.description]);
+
+  await trend.checkAlarm(current);
+  await trend.checkAlarm(current);
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].path, 'notifications.environment.outside.pressure.rapidFall');
+  assert.equal(messages[0].value.state, 'warn');
+
+  await trend.checkAlarm({ ...current, change3h: -100 });
+  assert.equal(messages[1].value.state, 'normal');
+
+  assert.equal(PressureTrend.wmoTendency(200, -200), 0);
+  assert.equal(PressureTrend.wmoTendency(-300, 100), 5);
+  assert.equal(PressureTrend.wmoTendency(0, 0), 4);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a stale barometer reading is not sampled', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const now = Date.UTC(2025, 5, 1, 12);
+  t.mock.method(Date, 'now', () => now);
+  const selfPaths = {};
+  const app = {
+    debug: () => {},
+    error: (message) => assert.fail(message),
+    getDataDirPath: () => dataDir,
+    getSelfPath: (path) => selfPaths[path],
+    handleMessage: () => {}
+  };
+  const storage = new LogStorage(app);
+  storage.init();
+  const plugin = { storage, options: {}, dataCollector: new DataCollector(app, {}) };
+  const trend = new PressureTrend(app, plugin);
+
+  selfPaths['environment.outside.pressure'] = { value: 101300, timestamp: new Date(now - 3600 * 1000).toISOString() };
+  await trend.sample();
+  assert.equal(storage.getPressureReadingNear(now / 1000, 60), null);
+
+  selfPaths['environment.outside.pressure'] = { value: 101200, timestamp: new Date(now - 5000).toISOString() };
+  await trend.sample();
+  assert.equal(storage.getPressureReadingNear(now / 1000, 60).pressure, 101200);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,597 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const LogStorage = require('../plugin/lib/data/storage.js');
+const VoyageManager = require('../plugin/lib/voyageManager.js');
+const routeHandler = require('../plugin/lib/routeHandler.js');
+const { MIGRATIONS } = require('../plugin/lib/data/migrations.js');
+const { formatLogData } = require('../plugin/lib/data/units.js');
+
+function createStorage(dataDir) {
+  return new LogStorage({
+    debug: () => {},
+    error: () => {},
+    getDataDirPath: () => dataDir
+  });
+}
+
+test('migrates a legacy logbook in place and keeps a backup', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+
+  // Schema from before voyages and auto-tracking existed
+  const legacy = new DatabaseSync(path.join(dataDir, 'noon-log.db'));
+  legacy.exec(`
+    CREATE TABLE log_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp INTEGER NOT NULL,
+      date_str TEXT NOT NULL,
+      latitude REAL,
+      longitude REAL,
+      log_text TEXT,
+      email_sent BOOLEAN DEFAULT 0
+    )
+  `);
+  legacy.prepare(`
+    INSERT INTO log_entries (timestamp, date_str, latitude, longitude, log_text)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(1700000000, '2023-11-14', 50.1, -4.2, 'Anchored in Cawsand Bay');
+  legacy.close();
+
+  const storage = createStorage(dataDir);
+  assert.equal(storage.init(), true);
+
+  const logs = storage.getAllLogs();
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0].log_text, 'Anchored in Cawsand Bay');
+  assert.equal(logs[0].is_auto_track, 0);
+  assert.equal(storage.getSchemaVersion(), MIGRATIONS[MIGRATIONS.length - 1].version);
+
+  const backups = fs.readdirSync(dataDir).filter(f => f.endsWith('.bak'));
+  assert.equal(backups.length, 1);
+  storage.close();
+
+  // Re-opening an up-to-date database applies nothing and writes no backup
+  const reopened = createStorage(dataDir);
+  assert.equal(reopened.init(), true);
+  assert.equal(fs.readdirSync(dataDir).filter(f => f.endsWith('.bak')).length, 1);
+  reopened.close();
+
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('fresh database is created without a backup', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+
+  assert.equal(storage.init(), true);
+  assert.equal(storage.getAllLogs().length, 0);
+  assert.equal(fs.readdirSync(dataDir).filter(f => f.endsWith('.bak')).length, 0);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('pending log entry survives reopening the database', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  storage.setPendingLog('Reefed at 0300, wind backing SW', 'Skipper');
+  storage.close();
+
+  const reopened = createStorage(dataDir);
+  reopened.init();
+  const pending = reopened.getPendingLog();
+  assert.equal(pending.log_text, 'Reefed at 0300, wind backing SW');
+  assert.equal(pending.author, 'Skipper');
+  assert.equal(typeof pending.submitted_at, 'number');
+
+  // A failed report rolls back and leaves the pending entry in place
+  assert.throws(() => reopened.transaction(() => {
+    reopened.clearPendingLog();
+    throw new Error('report failed');
+  }));
+  assert.notEqual(reopened.getPendingLog(), null);
+
+  reopened.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('journal entries are rolled up into one noon report only', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  storage.startNewVoyage('Scillies');
+
+  const journal = (timestamp, logText) => storage.createLogEntry({ timestamp, dateStr: '2023-11-14', logText, isJournal: true });
+  const reefed = journal(1700000000, 'Reefed');
+  const deleted = journal(1700001000, 'Wrong boat');
+  const dolphins = journal(1700002000, 'Dolphins');
+  storage.deleteLogEntry(deleted, 'Entered on the wrong logbook');
+
+  const unreported = storage.getUnreportedJournalEntries();
+  assert.deepEqual(unreported.map(entry => entry.id), [reefed, dolphins]);
+  const firstReport = storage.createLogEntry({ timestamp: 1700003000, dateStr: '2023-11-14', logText: 'Noon' });
+  storage.attachJournalEntries(unreported.map(entry => entry.id), firstReport);
+  assert.deepEqual(storage.getUnreportedJournalEntries(), []);
+
+  // A later report picks up only what was written since, and never re-links the earlier entries
+  const anchored = journal(1700004000, 'Anchored');
+  const secondReport = storage.createLogEntry({ timestamp: 1700005000, dateStr: '2023-11-14', logText: 'Noon' });
+  storage.attachJournalEntries([reefed, anchored], secondReport);
+  assert.equal(storage.getLogById(reefed).report_log_id, firstReport);
+  assert.equal(storage.getLogById(anchored).report_log_id, secondReport);
+
+  // Correcting or deleting an entry after it was reported leaves it with that report
+  storage.reviseLogEntry(dolphins, { logText: 'Dolphins off the bow' }, 'More detail');
+  storage.deleteLogEntry(reefed, 'Duplicate');
+  assert.deepEqual(storage.getUnreportedJournalEntries(), []);
+  assert.equal(storage.getLogById(dolphins).report_log_id, firstReport);
+  assert.equal(storage.getLogById(deleted).report_log_id, null);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('corrections and deletions keep the old values as revisions', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  const voyageId = storage.startNewVoyage('Channel');
+
+  const logId = storage.createLogEntry({
+    timestamp: 1700000000, dateStr: '2023-11-14', latitude: 50.1, longitude: -4.2, logText: 'Wind NW 4', author: 'Mate'
+  });
+  storage.addLogData(logId, { path: 'environment.wind.speedApparent', label: 'Wind', value: 6.17, units: 'm/s' });
+  storage.addLogData(logId, { path: 'navigation.state', label: 'State', value: 'sailing' });
+  const [wind, state] = storage.getLogById(logId).data;
+
+  const revisions = storage.reviseLogEntry(logId, {
+    logText: 'Wind NE 4',
+    data: [
+      { id: wind.id, rawValue: 7.2, oldText: '12.0 kn', newText: '14.0 kn' },
+      { id: state.id, value: 'motoring' }
+    ]
+  }, 'Misread the instrument', 'Skipper');
+  assert.equal(revisions.length, 3);
+  assert.deepEqual(
+    storage.getLogRevisions(logId).map(r => [r.field, r.old_value, r.new_value, r.reason, r.author]),
+    [
+      ['log_text', 'Wind NW 4', 'Wind NE 4', 'Misread the instrument', 'Skipper'],
+      ['Wind', '12.0 kn', '14.0 kn', 'Misread the instrument', 'Skipper'],
+      ['State', 'sailing', 'motoring', 'Misread the instrument', 'Skipper']
+    ]
+  );
+  const revised = storage.getLogById(logId);
+  assert.equal(revised.log_text, 'Wind NE 4');
+  assert.equal(revised.author, 'Mate');
+  assert.equal(revised.data.find(d => d.id === wind.id).raw_value, 7.2);
+  assert.equal(revised.data.find(d => d.id === state.id).data_value, 'motoring');
+  assert.deepEqual(storage.reviseLogEntry(logId, { logText: 'Wind NE 4' }, 'No change'), []);
+
+  // A deleted entry stays in the logbook but drops out of search, the track and its date
+  assert.equal(storage.searchLogs({ query: 'wind' }).length, 1);
+  storage.deleteLogEntry(logId, 'Duplicate entry', 'Skipper');
+  const deleted = storage.getLogById(logId);
+  assert.equal(deleted.is_deleted, 1);
+  assert.deepEqual(
+    [deleted.revisions[3].action, deleted.revisions[3].old_value, deleted.revisions[3].reason, deleted.revisions[3].author],
+    ['delete', 'Wind NE 4', 'Duplicate entry', 'Skipper']
+  );
+  assert.equal(storage.getAllLogs().length, 1);
+  assert.deepEqual(storage.searchLogs({ query: 'wind' }), []);
+  assert.deepEqual(storage.getVoyageTrack(voyageId), []);
+  assert.equal(storage.getLogByDate('2023-11-14'), null);
+  assert.deepEqual(storage.getAllLogDates(), []);
+  assert.equal(storage.getLastLog(), null);
+  assert.throws(() => storage.reviseLogEntry(logId, { logText: 'x' }, 'again'), /deleted/);
+  assert.throws(() => storage.deleteLogEntry(logId, 'again'), /already been deleted/);
+
+  // Sealed entries can be neither corrected nor deleted
+  const sealedId = storage.createLogEntry({ timestamp: 1700086400, dateStr: '2023-11-15', logText: 'Arrived' });
+  storage.createLogEntry({ timestamp: 1700087400, dateStr: '2023-11-15', logText: 'Wrong day', isJournal: true });
+  storage.deleteLogEntry(storage.createLogEntry({ timestamp: 1700088400, dateStr: '2023-11-15', logText: 'Sent twice' }), 'Duplicate');
+  assert.deepEqual(storage.getAllLogDates().map(d => ({ ...d })), [{ date_str: '2023-11-15', has_noon_report: 0, entry_count: 2 }]);
+  storage.sealLogs({ dateStr: '2023-11-15' });
+  assert.throws(() => storage.reviseLogEntry(sealedId, { logText: 'Arrived Falmouth' }, 'detail'), /sealed/);
+  assert.throws(() => storage.deleteLogEntry(sealedId, 'mistake'), /sealed/);
+  assert.deepEqual(storage.getLogRevisions(sealedId), []);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('PUT and DELETE /api/logs/:id validate before changing anything', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  const app = { debug: () => {}, error: () => {} };
+  const plugin = { options: {}, storage };
+  const call = (handler, req) => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    handler({ params: {}, query: {}, body: {}, ...req }, res, app, plugin);
+    return res;
+  };
+
+  const logId = storage.createLogEntry({ timestamp: 1700000000, dateStr: '2023-11-14', logText: 'Wind NW 4' });
+  storage.addLogData(logId, { path: 'environment.wind.speedApparent', label: 'Wind', value: 6.17, units: 'm/s' });
+  const windId = storage.getLogById(logId).data[0].id;
+  const id = String(logId);
+
+  assert.equal(call(routeHandler.updateLog, { params: { id: 'abc' }, body: { logText: 'x', reason: 'typo' } }).statusCode, 400);
+  assert.match(call(routeHandler.updateLog, { params: { id }, body: { logText: 'x' } }).body.error, /reason is required/);
+  assert.match(call(routeHandler.updateLog, { params: { id }, body: { reason: 'typo' } }).body.error, /No changes/);
+  assert.match(call(routeHandler.updateLog, { params: { id }, body: { latitude: 91, reason: 'typo' } }).body.error, /latitude/);
+  assert.match(call(routeHandler.updateLog, { params: { id }, body: { data: [{ id: windId, value: 'calm' }], reason: 'typo' } }).body.error, /must be a number/);
+  assert.equal(call(routeHandler.updateLog, { params: { id: '999' }, body: { logText: 'x', reason: 'typo' } }).statusCode, 404);
+  assert.deepEqual(storage.getLogRevisions(logId), []);
+
+  const updated = call(routeHandler.updateLog, { params: { id }, body: { logText: 'Wind NE 4', reason: 'typo', author: 'Skipper' } });
+  assert.equal(updated.body.success, true);
+  assert.equal(updated.body.data.revisions[0].author, 'Skipper');
+
+  assert.match(call(routeHandler.deleteLog, { params: { id } }).body.error, /reason is required/);
+  assert.equal(call(routeHandler.deleteLog, { params: { id }, query: { reason: 'Duplicate' } }).body.success, true);
+  assert.match(call(routeHandler.deleteLog, { params: { id }, query: { reason: 'Duplicate' } }).body.error, /already been deleted/);
+  assert.match(call(routeHandler.updateLog, { params: { id }, body: { logText: 'x', reason: 'typo' } }).body.error, /deleted/);
+
+  const sealedId = String(storage.createLogEntry({ timestamp: 1700086400, dateStr: '2023-11-15', logText: 'Arrived' }));
+  storage.sealLogs({ dateStr: '2023-11-15' });
+  assert.match(call(routeHandler.updateLog, { params: { id: sealedId }, body: { logText: 'x', reason: 'typo' } }).body.error, /sealed/);
+  assert.match(call(routeHandler.deleteLog, { params: { id: sealedId }, query: { reason: 'mistake' } }).body.error, /sealed/);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('sealed entries are read-only and tampering breaks the chain', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+
+  const logId = storage.createLogEntry({
+    timestamp: 1700000000,
+    dateStr: '2023-11-14',
+    latitude: 50.1,
+    longitude: -4.2,
+    logText: 'Departed Plymouth'
+  });
+  storage.addLogData(logId, { path: 'environment.wind.speedApparent', label: 'Wind', value: 6.17, units: 'm/s' });
+
+  assert.equal(storage.sealLogs({ dateStr: '2023-11-14' }, 'Skipper').sealed, 1);
+  assert.equal(storage.verifySealChain().intact, true);
+  assert.throws(() => storage.reviseLogEntry(logId, { logText: 'Departed Falmouth' }, 'typo'), /sealed/);
+  assert.throws(() => storage.db.prepare('UPDATE log_entries SET log_text = ? WHERE id = ?').run('x', logId), /read-only/);
+
+  // Bypass the database guard to simulate editing the file directly
+  storage.db.exec('DROP TRIGGER sealed_log_entries_update');
+  storage.db.prepare('UPDATE log_entries SET log_text = ? WHERE id = ?').run('Departed Falmouth', logId);
+
+  const result = storage.verifySealChain();
+  assert.equal(result.intact, false);
+  assert.equal(result.problems[0].logId, Number(logId));
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('auto-tracked log entries move into track_points', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+
+  // Schema from before migrations, when track points were log entries
+  const legacy = new DatabaseSync(path.join(dataDir, 'noon-log.db'));
+  legacy.exec(`
+    CREATE TABLE log_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, voyage_id INTEGER, timestamp INTEGER NOT NULL,
+      date_str TEXT NOT NULL, latitude REAL, longitude REAL, log_text TEXT,
+      email_sent BOOLEAN DEFAULT 0, is_auto_track BOOLEAN DEFAULT 0
+    );
+    CREATE TABLE log_data (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, log_id INTEGER NOT NULL, data_path TEXT NOT NULL,
+      data_label TEXT, data_value TEXT, data_unit TEXT
+    );
+    CREATE TABLE voyage_info (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, voyage_name TEXT, start_timestamp INTEGER NOT NULL,
+      end_timestamp INTEGER, is_active BOOLEAN DEFAULT 1
+    );
+    INSERT INTO voyage_info (voyage_name, start_timestamp) VALUES ('Channel crossing', 1699990000);
+    INSERT INTO log_entries (voyage_id, timestamp, date_str, latitude, longitude, is_auto_track)
+      VALUES (1, 1700000000, '2023-11-14', 50.0, -4.0, 1), (1, 1700003600, '2023-11-14', 50.1, -4.0, 1);
+    INSERT INTO log_entries (voyage_id, timestamp, date_str, latitude, longitude, log_text)
+      VALUES (1, 1700006000, '2023-11-14', 50.1, -4.0, 'Noon');
+    INSERT INTO log_data (log_id, data_path, data_label, data_value, data_unit)
+      VALUES (1, 'navigation.speedOverGround', 'SOG', '6.00', 'kts'),
+             (1, 'navigation.courseOverGroundTrue', 'COG', '0.5', ''),
+             (1, 'environment.outside.temperature', 'Air', '12.00', '°C');
+  `);
+  legacy.close();
+
+  const storage = createStorage(dataDir);
+  assert.equal(storage.init(), true);
+
+  const logs = storage.getAllLogs();
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0].log_text, 'Noon');
+  assert.equal(storage.db.prepare('SELECT COUNT(*) as count FROM log_data').get().count, 0);
+
+  const points = storage.getPositionsByVoyage(1);
+  assert.equal(points.length, 2);
+  const first = points[points.length - 1];
+  assert.ok(Math.abs(first.sog - 6 / 1.94384) < 1e-6);
+  assert.equal(first.cog, 0.5);
+  assert.equal(storage.getPositionTrackCount(), 2);
+  assert.equal(storage.getDistanceSinceTimestamp(1, 0), 6);
+  assert.equal(storage.getVoyageTrack(1).length, 3);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('voyage_id backfill follows each voyage window', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+
+  storage.db.exec(`
+    INSERT INTO voyage_info (voyage_name, start_timestamp, end_timestamp, is_active)
+      VALUES ('Out', 1000, 2000, 0), ('Back', 3000, NULL, 1);
+    INSERT INTO log_entries (timestamp, date_str, log_text)
+      VALUES (1500, 'd', 'during first'), (2500, 'd', 'between voyages'), (3500, 'd', 'during second');
+    INSERT INTO track_points (timestamp, latitude, longitude) VALUES (1500, 50, -4), (2500, 50, -4);
+  `);
+  MIGRATIONS.find(m => m.version === 7).up(storage.db);
+
+  assert.deepEqual(storage.getLogsByVoyage(1).map(l => l.log_text), ['during first']);
+  assert.deepEqual(storage.getLogsByVoyage(2).map(l => l.log_text), ['during second']);
+  assert.equal(storage.getPositionsByVoyage(1).length, 1);
+  assert.equal(storage.getPositionsByVoyage(2).length, 0);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('voyage statistics stay in step with the track', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  const voyageId = storage.startNewVoyage('Biscay');
+
+  storage.addTrackPoint({ timestamp: 1000, latitude: 47.0, longitude: -5.0 });
+  storage.addTrackPoint({ timestamp: 2000, latitude: 46.5, longitude: -5.5 });
+  storage.addTrackPoint({ timestamp: 3000, latitude: 46.0, longitude: -6.0 });
+  const logId = storage.createLogEntry({ timestamp: 3000, dateStr: '2023-11-14', latitude: 46.0, longitude: -6.0 });
+  storage.createLogEntry({ timestamp: 2500, dateStr: '2023-11-14', logText: 'Shook out the reef', isJournal: true });
+  storage.markEmailSent(logId);
+  storage.markEmailSent(logId);
+
+  const cached = storage.getVoyageStats(voyageId);
+  assert.equal(cached.point_count, 3);
+  assert.equal(cached.reports_sent, 1);
+  assert.equal(cached.first_fix_timestamp, 1000);
+  assert.equal(cached.last_latitude, 46.0);
+  assert.equal(storage.getVoyageDistance(), storage.getDistanceSinceTimestamp(voyageId, 0));
+  assert.equal(storage.getReportsSentCount(), 1);
+  assert.deepEqual({ ...cached }, { ...storage.rebuildVoyageStats(voyageId) });
+
+  // A late fix arriving out of order is folded in by recomputing
+  storage.addTrackPoint({ timestamp: 1500, latitude: 46.8, longitude: -5.2 });
+  assert.equal(storage.getAllVoyages()[0].positionCount, 4);
+  assert.equal(storage.getAllVoyages()[0].totalDistance, storage.getDistanceSinceTimestamp(voyageId, 0));
+  assert.equal(storage.getAllVoyages()[0].logCount, 1);
+
+  // A sent report that is later deleted no longer counts
+  storage.deleteLogEntry(logId, 'Sent twice');
+  assert.equal(storage.getReportsSentCount(), 0);
+  assert.equal(storage.rebuildVoyageStats(voyageId).reports_sent, 0);
+  assert.equal(storage.getAllVoyages()[0].logCount, 0);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('full-text search finds log and journal text with highlighted snippets', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  const voyageId = storage.startNewVoyage('Scillies');
+
+  const noon = storage.createLogEntry({ timestamp: 1700000000, dateStr: '2023-11-14', logText: 'Anchored in St Mary\'s <Pool>' });
+  storage.createLogEntry({ timestamp: 1700003600, dateStr: '2023-11-15', logText: 'Reefed early, anchor watch set', isJournal: true });
+  storage.createLogEntry({ timestamp: 1700007200, dateStr: '2023-11-16', logText: 'Motoring, no wind' });
+
+  const results = storage.searchLogs({ query: 'anchor' });
+  assert.equal(results.length, 2);
+  assert.ok(results.some(r => r.snippet.includes('<mark>Anchored</mark>') && r.snippet.includes('&lt;Pool&gt;')));
+
+  assert.equal(storage.searchLogs({ query: 'anchor', endDate: '2023-11-14' }).length, 1);
+  assert.equal(storage.searchLogs({ query: 'anchor', voyageId: voyageId + 1 }).length, 0);
+  assert.deepEqual(storage.searchLogs({ query: '"no wind' }).map(r => r.date_str), ['2023-11-16']);
+  assert.deepEqual(storage.searchLogs({ query: 'AND OR (' }), []);
+
+  // Corrections and deletions keep the index current
+  storage.reviseLogEntry(noon, { logText: 'Moored in Hugh Town' }, 'wrong harbour');
+  assert.equal(storage.searchLogs({ query: 'hugh' }).length, 1);
+  assert.equal(storage.searchLogs({ query: 'anchored' }).length, 0);
+  storage.deleteLogEntry(noon, 'duplicate');
+  assert.equal(storage.searchLogs({ query: 'hugh' }).length, 0);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('readings are stored raw and legacy display text is converted back to SI', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+
+  const logId = storage.createLogEntry({ timestamp: 1700000000, dateStr: '2023-11-14' });
+  storage.addLogData(logId, { path: 'environment.outside.temperature', label: 'Air', value: 293.15, units: 'K' });
+  storage.addLogData(logId, { path: 'navigation.state', label: 'State', value: 'sailing' });
+  const [air, state] = storage.getLogById(logId).data;
+  assert.equal(air.raw_value, 293.15);
+  assert.equal(air.raw_unit, 'K');
+  assert.deepEqual(formatLogData(air, { useMetricUnits: true }), { value: '20.00', unit: '°C', summary: '', note: '' });
+  assert.deepEqual(formatLogData(air, { useMetricUnits: false }), { value: '68.00', unit: '°F', summary: '', note: '' });
+  assert.deepEqual(formatLogData(state, {}), { value: 'sailing', unit: '', summary: '', note: '' });
+
+  // Rows written as display text before raw values were kept; one is sealed
+  const sealedId = storage.createLogEntry({ timestamp: 1699900000, dateStr: '2023-11-13' });
+  storage.db.exec(`
+    INSERT INTO log_data (log_id, data_path, data_label, data_value, data_unit) VALUES
+      (${logId}, 'environment.wind.speedApparent', 'Wind', '12.00', 'kts'),
+      (${logId}, 'environment.outside.pressure', 'Baro', '1013.00', 'hPa'),
+      (${logId}, 'environment.depth.belowKeel', 'Depth', 'N/A', 'ft'),
+      (${sealedId}, 'environment.outside.temperature', 'Air', '68.00', '°F');
+  `);
+  storage.sealLogs({ dateStr: '2023-11-13' }, 'Skipper');
+  MIGRATIONS.find(m => m.version === 10).up(storage.db);
+
+  const rows = Object.fromEntries(storage.getLogById(logId).data.map(row => [row.data_label, row]));
+  assert.ok(Math.abs(rows.Wind.raw_value - 12 / 1.94384) < 1e-9);
+  assert.equal(rows.Baro.raw_value, 101300);
+  assert.deepEqual(formatLogData(rows.Baro, { useMetricUnits: true }), { value: '1013.00', unit: 'hPa', summary: '', note: '' });
+  assert.equal(rows.Depth.raw_value, null);
+  assert.equal(rows.Depth.data_value, 'N/A');
+
+  const [sealedAir] = storage.getLogById(sealedId).data;
+  assert.equal(sealedAir.raw_value, null);
+  assert.deepEqual(formatLogData(sealedAir, { useMetricUnits: true }), { value: '68.00', unit: '°F', summary: '', note: '' });
+  assert.equal(storage.verifySealChain().intact, true);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('track points keep course, speed and GNSS quality for the API and GPX', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  const voyageId = storage.startNewVoyage('Scillies');
+
+  storage.addTrackPoint({ timestamp: 1000, latitude: 49.9, longitude: -6.3, sog: 3.2, cog: Math.PI, heading: 3.1, satellites: 9, hdop: 0.8, source: 'gps' });
+  storage.addTrackPoint({ timestamp: 2000, latitude: 49.8, longitude: -6.3 });
+
+  const [latest, first] = storage.getPositionsByVoyage(voyageId);
+  assert.equal(latest.satellites, null);
+  assert.deepEqual(
+    { sog: first.sog, cog: first.cog, heading: first.heading, satellites: first.satellites, hdop: first.hdop },
+    { sog: 3.2, cog: Math.PI, heading: 3.1, satellites: 9, hdop: 0.8 }
+  );
+
+  const gpx = new VoyageManager(storage, {}).generateGPX(voyageId);
+  assert.match(gpx, /<time>1970-01-01T00:16:40.000Z<\/time>\s*<sat>9<\/sat>\s*<hdop>0.8<\/hdop>\s*<extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>3.20<\/gpxtpx:speed><gpxtpx:course>180.0<\/gpxtpx:course>/);
+  assert.match(gpx, /<time>1970-01-01T00:33:20.000Z<\/time>\s*<\/trkpt>/);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a voyage track can be cleaned of GPS glitches after the fact', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  const voyageId = storage.startNewVoyage('Channel');
+
+  // A bad first fix, a spike, a fix at 0,0, and a genuine jump after a long gap
+  const track = [[10, 10], [50.00, -4.0], [50.01, -4.0], [50.5, -4.0], [50.02, -4.0], [0, 0], [50.03, -4.0], [50.04, -4.0], [51.5, -4.0], [51.51, -4.0]];
+  track.forEach(([latitude, longitude], i) => {
+    storage.addTrackPoint({ timestamp: 1000 + i * 600 + (i >= 8 ? 10 * 3600 : 0), latitude, longitude, hdop: 1 });
+  });
+  const before = storage.getVoyageStats(voyageId).distance;
+
+  const result = storage.cleanVoyageTrack(voyageId, { maxSpeed: 50, maxHdop: 5 });
+  assert.deepEqual(result, { checked: 10, removed: 3, reasons: { speed: 2, null_island: 1 } });
+  assert.deepEqual(storage.getVoyageTrack(voyageId).map(point => point.latitude), [50.00, 50.01, 50.02, 50.03, 50.04, 51.5, 51.51]);
+  assert.equal(storage.getRejectedFixes(voyageId).length, 3);
+
+  const stats = storage.getVoyageStats(voyageId);
+  assert.ok(stats.distance < before);
+  assert.equal(stats.point_count, 7);
+  assert.equal(stats.first_latitude, 50.00);
+  assert.ok(Math.abs(stats.distance - storage.getDistanceSinceTimestamp(voyageId, 0)) < 0.1);
+
+  storage.deleteVoyage(voyageId);
+  assert.equal(storage.getRejectedFixes(voyageId).length, 0);
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('old track points are thinned, keeping corners, stops and report positions', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  const voyageId = storage.startNewVoyage('Biscay');
+
+  // North with a few metres of GPS wobble, a stop at point 4, then a turn east at point 9
+  const points = Array.from({ length: 20 }, (_, i) => ({
+    timestamp: 1000 + i * 300,
+    latitude: i < 10 ? 50 + i * 0.01 : 50.09,
+    longitude: i < 10 ? -4 + (i % 2) * 0.00005 : -4 + (i - 9) * 0.015,
+    sog: i === 4 ? 0.1 : 3
+  }));
+  points.forEach(point => storage.addTrackPoint(point));
+  storage.createLogEntry({ timestamp: points[6].timestamp, dateStr: '1970-01-01', latitude: points[6].latitude, longitude: points[6].longitude, logText: 'Noon' });
+
+  const distance = storage.getVoyageStats(voyageId).distance;
+  const sinceStart = storage.getDistanceSinceTimestamp(voyageId, 0);
+  const result = storage.thinTrackPoints(points[15].timestamp, 10);
+  assert.deepEqual(result, { voyages: 1, checked: 15, removed: 11 });
+
+  // The wobble that was thinned away still counts as distance sailed, however often the stats are rebuilt
+  assert.ok(Math.abs(storage.getVoyageStats(voyageId).distance - distance) < 1e-9);
+  assert.ok(Math.abs(storage.rebuildVoyageStats(voyageId).distance - distance) < 1e-9);
+  assert.equal(storage.getDistanceSinceTimestamp(voyageId, 0), sinceStart);
+  assert.deepEqual(storage.thinTrackPoints(points[15].timestamp, 10), { voyages: 1, checked: 4, removed: 0 });
+  assert.ok(Math.abs(storage.getVoyageStats(voyageId).distance - distance) < 1e-9);
+
+  const remaining = storage.getPositionsByVoyage(voyageId).map(point => point.timestamp).reverse();
+  assert.deepEqual(remaining, [0, 4, 6, 9, 15, 16, 17, 18, 19].map(i => points[i].timestamp));
+  assert.equal(storage.getVoyageStats(voyageId).point_count, 9);
+
+  const capped = storage.getPositionsByVoyage(voyageId, undefined, { maxPoints: 3 });
+  assert.deepEqual(capped.map(point => point.timestamp), [19, 4, 0].map(i => points[i].timestamp));
+
+  // Start, stop, report (point 6 duplicates it), corner and end
+  const gpx = new VoyageManager(storage, {}).generateGPX(voyageId, { tolerance: 10 });
+  assert.equal(gpx.match(/<trkpt /g).length, 5);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a gap in recording starts a new segment that is neither drawn nor counted', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noon-log-'));
+  const storage = createStorage(dataDir);
+  storage.init();
+  const voyageId = storage.startNewVoyage('Solent');
+
+  // 0.1° of latitude is 6 nm; the server was off while the boat moved 30 nm
+  storage.addTrackPoint({ timestamp: 1000, latitude: 50.0, longitude: -1.3 });
+  storage.addTrackPoint({ timestamp: 4600, latitude: 50.1, longitude: -1.3 });
+  storage.addTrackPoint({ timestamp: 90000, latitude: 50.6, longitude: -1.3, newSegment: true });
+  storage.addTrackPoint({ timestamp: 93600, latitude: 50.7, longitude: -1.3 });
+
+  const track = storage.getVoyageTrack(voyageId);
+  assert.deepEqual(track.map(point => point.segment), [0, 0, 1, 1]);
+  const stats = storage.getVoyageStats(voyageId);
+  assert.ok(Math.abs(stats.distance - 12) < 0.1);
+  assert.ok(Math.abs(stats.gap_distance - 30) < 0.1);
+  assert.equal(storage.getDistanceSinceTimestamp(voyageId, 0), 12);
+  assert.equal(storage.getVoyageDistance(), 12);
+  assert.deepEqual(storage.rebuildVoyageStats(voyageId), stats);
+
+  const gpx = new VoyageManager(storage, {}).generateGPX(voyageId);
+  assert.equal(gpx.match(/<trkseg>/g).length, 2);
+  assert.match(gpx, /<trkseg>\s*<trkpt lat="50.6"/);
+
+  storage.options = { positionTracking: { countGapDistance: true } };
+  assert.equal(storage.getVoyageDistance(), 42);
+  assert.equal(storage.getDistanceSinceTimestamp(voyageId, 0), 42);
+
+  storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataCollector = require('../plugin/lib/data/collector.js');
+const { formatReading, formatDataItem, formatLogData, describeReading, toSI } = require('../plugin/lib/data/units.js');
+
+test('units come from SignalK metadata, with per-path display overrides', () => {
+  const selfPaths = {
+    'electrical.batteries.house.capacity.stateOfCharge': { value: 0.85, meta: { units: 'ratio' } },
+    'propulsion.main.temperature': { value: 353.15, meta: { units: 'K' } },
+    'propulsion.main.oilPressure': { value: 300000, meta: { units: 'Pa' } },
+    'tanks.fuel.main.currentVolume': { value: 0.1, meta: { units: 'm3' } },
+    'propulsion.main.revolutions': { value: 30 },
+    'navigation.state': { value: 'sailing' }
+  };
+  const options = {
+    useMetricUnits: true,
+    customDataPaths: Object.keys(selfPaths).map(path => ({ path, label: path })).map(entry => ({
+      ...entry,
+      unit: { 'propulsion.main.oilPressure': 'psi', 'propulsion.main.temperature': 'kts' }[entry.path]
+    }))
+  };
+  const collector = new DataCollector({
+    getSelfPath: path => selfPaths[path],
+    getMetadata: path => (path === 'vessels.self.propulsion.main.revolutions' ? { units: 'Hz' } : undefined),
+    debug: () => {},
+    error: () => {}
+  }, options);
+
+  const readings = Object.fromEntries(collector.collectCustomData().map(data => [
+    data.path.split('.').pop(),
+    formatReading(data.path, data.value, data.units, options)
+  ]));
+
+  assert.deepEqual(readings.stateOfCharge, { value: '85.00', unit: '%', summary: '' });
+  // An override that does not suit the unit falls back to the preference
+  assert.deepEqual(readings.temperature, { value: '80.00', unit: '°C', summary: '' });
+  assert.deepEqual(readings.oilPressure, { value: '43.51', unit: 'psi', summary: '' });
+  assert.deepEqual(readings.currentVolume, { value: '100.00', unit: 'L', summary: '' });
+  assert.deepEqual(readings.revolutions, { value: '30.00', unit: 'Hz', summary: '' });
+  assert.deepEqual(readings.state, { value: 'sailing', unit: '', summary: '' });
+
+  assert.ok(Math.abs(toSI(43.51, 'Pa', 'propulsion.main.oilPressure', options) - 300000) < 100);
+  assert.deepEqual(
+    formatLogData({ data_path: 'environment.outside.temperature', raw_value: 293.15, raw_unit: 'K' }, { useMetricUnits: false }),
+    { value: '68.00', unit: '°F', summary: '', note: '' }
+  );
+  // Rows stored before units were recorded use the old path rules
+  assert.deepEqual(
+    formatLogData({ data_path: 'environment.wind.speedApparent', raw_value: 5, raw_unit: null }, {}),
+    { value: '9.72', unit: 'kts', summary: '', note: '' }
+  );
+});
+
+test('interval statistics keep the peak between reports and average angles as vectors', () => {
+  const selfPaths = {
+    'environment.wind.speedTrue': { value: 6, meta: { units: 'm/s' } },
+    'environment.wind.directionTrue': { value: 0.1, meta: { units: 'rad' } }
+  };
+  const options = { useMetricUnits: false, customDataPaths: Object.keys(selfPaths).map(path => ({ path, label: 'Wind' })) };
+  const collector = new DataCollector({ getSelfPath: path => selfPaths[path], debug: () => {}, error: () => {} }, options);
+
+  for (const speed of [6, 19.55, 5]) collector.recordSample('environment.wind.speedTrue', speed);
+  for (const direction of [2 * Math.PI - 0.1, 0.1]) collector.recordSample('environment.wind.directionTrue', direction);
+
+  const [speed, direction] = collector.collectCustomData();
+  assert.equal(speed.stats.max, 19.55);
+  assert.equal(speed.stats.samples, 3);
+  assert.equal(describeReading(formatReading(speed.path, speed.value, speed.units, options, speed.stats)), '11.66 kts (max 38.00)');
+  assert.equal(direction.stats.max, null);
+  assert.ok(Math.abs(direction.stats.mean) < 1e-9);
+
+  collector.resetIntervalStats();
+  assert.equal(collector.getIntervalStats('environment.wind.speedTrue'), null);
+});
+
+test('wildcard paths expand to every instance with stable paths and labels', () => {
+  const tree = {
+    tanks: {
+      fuel: {
+        starboard: { currentLevel: { value: 0.4, meta: { units: 'ratio' } }, type: { value: 'diesel' } },
+        port: { currentLevel: { value: 0.75, meta: { units: 'ratio' } } },
+        meta: { displayName: 'Fuel tanks' }
+      }
+    },
+    electrical: { batteries: { house: { voltage: { value: 12.8, meta: { units: 'V' } } } } }
+  };
+  const getSelfPath = path => path.split('.').reduce((node, key) => node?.[key], tree);
+  const options = {
+    customDataPaths: [
+      { path: 'tanks.fuel.*.currentLevel', label: 'Fuel', unit: 'ratio' },
+      { path: 'electrical.batteries.*.voltage', label: '{id} battery' }
+    ]
+  };
+  const collector = new DataCollector({ getSelfPath, debug: () => {}, error: () => {} }, options);
+
+  const data = collector.collectCustomData();
+  assert.deepEqual(data.map(d => [d.path, d.label, d.value]), [
+    ['tanks.fuel.port.currentLevel', 'Fuel (port)', 0.75],
+    ['tanks.fuel.starboard.currentLevel', 'Fuel (starboard)', 0.4],
+    ['electrical.batteries.house.voltage', 'house battery', 12.8]
+  ]);
+  // Per-path unit overrides apply to every instance of the pattern
+  assert.equal(formatReading(data[0].path, data[0].value, data[0].units, options).unit, 'ratio');
+});
+
+test('stale readings are reported missing and fallback sources are marked', () => {
+  const now = Date.now();
+  const ago = seconds => new Date(now - seconds * 1000).toISOString();
+  const selfPaths = {
+    'navigation.position': {
+      value: { latitude: 50.1, longitude: -4.2 },
+      $source: 'nmea0183.GP',
+      timestamp: ago(5),
+      values: {
+        'n2k.115': { value: { latitude: 50.2, longitude: -4.3 }, timestamp: ago(7200) },
+        'nmea0183.GP': { value: { latitude: 50.1, longitude: -4.2 }, timestamp: ago(5) }
+      }
+    },
+    'environment.outside.temperature': { value: 290, meta: { units: 'K' }, timestamp: ago(7200) },
+    'environment.water.temperature': { value: 288, meta: { units: 'K' }, timestamp: ago(7200) }
+  };
+  const options = {
+    dataMaxAge: 600,
+    positionSources: 'n2k.115, nmea0183.GP',
+    customDataPaths: [
+      { path: 'environment.outside.temperature', label: 'Air' },
+      { path: 'environment.water.temperature', label: 'Sea', maxAge: 0 }
+    ]
+  };
+  const collector = new DataCollector({ getSelfPath: path => selfPaths[path], debug: () => {}, error: () => {} }, options);
+
+  const position = collector.getPosition();
+  assert.equal(position.latitude, 50.1);
+  assert.equal(position.source, 'nmea0183.GP');
+  assert.equal(position.quality, 'substituted');
+
+  const [air, sea] = collector.collectCustomData();
+  assert.equal(air.value, null);
+  assert.equal(air.quality, 'stale');
+  assert.equal(describeReading(formatDataItem(air, options)), 'N/A (stale)');
+  assert.equal(sea.value, 288);
+  assert.equal(sea.quality, null);
+
+  options.positionSources = '';
+  selfPaths['navigation.position'].timestamp = ago(7200);
+  assert.equal(collector.getPosition(), null);
+});
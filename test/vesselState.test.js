@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { performance } = require('perf_hooks');
+const VesselState = require('../plugin/lib/vesselState.js');
+
+const KNOTS = 1 / 1.94384;
+const METRES_PER_DEGREE = 111195;
+
+test('state changes are confirmed, logged with time and position, and published', (t) => {
+  let now = Date.UTC(2026, 6, 1, 8, 0, 0);
+  let mono = 0;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(performance, 'now', () => mono);
+
+  const values = {};
+  let engineState = 'started';
+  let position = { latitude: 50, longitude: -4, source: 'gps' };
+  const entries = [];
+  const published = [];
+
+  const app = {
+    debug: () => {},
+    error: (message) => assert.fail(message),
+    getSelfPath: (path) => {
+      assert.equal(path, 'propulsion');
+      return { main: { state: { value: engineState, timestamp: new Date(now).toISOString() } } };
+    }
+  };
+  const plugin = {
+    options: {},
+    dataCollector: {
+      now: () => Date.now(),
+      readingTime: (timestamp) => Date.parse(timestamp),
+      isTimeTrusted: () => true,
+      getPosition: () => position,
+      getValue: (path) => values[path] ?? null
+    },
+    storage: {
+      getActiveVoyage: () => ({ id: 1 }),
+      createLogEntry: (entry) => entries.push(entry)
+    },
+    publisher: {
+      publishVesselState: (state) => published.push(state),
+      publishLogListUpdated: () => {}
+    }
+  };
+  const vesselState = new VesselState(app, plugin);
+
+  const run = (minutes, each = () => {}) => {
+    for (let i = 0; i < minutes * 2; i++) {
+      each(i);
+      vesselState.sample();
+      now += 30 * 1000;
+      mono += 30 * 1000;
+    }
+  };
+
+  // Motoring out: the state found at start-up is published but not logged
+  values['navigation.speedOverGround'] = 6 * KNOTS;
+  run(4, () => { position = { ...position, latitude: position.latitude + 0.001 }; });
+  assert.deepEqual(published, ['underwayPower']);
+  assert.equal(entries.length, 0);
+
+  // Engine off under sail; a brief lull in the wind is not a change
+  engineState = 'stopped';
+  values['navigation.speedThroughWater'] = 5 * KNOTS;
+  const sailingFrom = now;
+  run(1);
+  // The system clock being set forward does not cut the confirmation short
+  now += 3600 * 1000;
+  run(1);
+  assert.deepEqual(published, ['underwayPower']);
+  values['navigation.speedOverGround'] = 0.5 * KNOTS;
+  run(1);
+  values['navigation.speedOverGround'] = 5 * KNOTS;
+  run(5);
+  assert.deepEqual(published, ['underwayPower', 'underwaySail']);
+  assert.equal(entries[0].logText, 'Under way under sail (was under way under power)');
+  assert.equal(entries[0].timestamp, sailingFrom / 1000);
+
+  // Anchor down: swinging within 30 m with the anchor position set
+  values['navigation.speedOverGround'] = 0.2 * KNOTS;
+  values['navigation.speedThroughWater'] = 0.2 * KNOTS;
+  values['navigation.anchor.position'] = { latitude: 50.05, longitude: -4 };
+  const anchorage = { ...position };
+  run(20, (i) => {
+    position = { ...anchorage, latitude: anchorage.latitude + (i % 2) * 30 / METRES_PER_DEGREE };
+  });
+  assert.deepEqual(published, ['underwayPower', 'underwaySail', 'anchored']);
+  assert.equal(entries[1].logText, 'Anchored (was under way under sail)');
+  assert.equal(entries[1].author, 'Automatic');
+  assert.equal(entries[1].isJournal, true);
+  assert.ok(Math.abs(entries[1].latitude - anchorage.latitude) < 0.001);
+});
+
+test('slow vessels are told apart by how far the position wanders', () => {
+  const settings = { underwaySpeed: 1, mooredRadius: 15, anchorRadius: 75 };
+  const slow = { sogKnots: 0.1, engineRunning: false, anchorDown: false, settled: true };
+  assert.equal(VesselState.classify({ ...slow, dispersion: 5 }, settings), 'moored');
+  assert.equal(VesselState.classify({ ...slow, dispersion: 5, anchorDown: true }, settings), 'anchored');
+  assert.equal(VesselState.classify({ ...slow, dispersion: 40 }, settings), 'anchored');
+  assert.equal(VesselState.classify({ ...slow, dispersion: 200 }, settings), 'drifting');
+  assert.equal(VesselState.classify({ ...slow, dispersion: 5, settled: false }, settings), null);
+  assert.equal(VesselState.classify({ sogKnots: 2, stwKnots: 0.2, engineRunning: false }, settings), 'drifting');
+});